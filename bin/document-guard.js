@@ -0,0 +1,1069 @@
+#!/usr/bin/env node
+/**
+ * Document Guard CLI
+ *
+ * Usage: node <plugin>/bin/document-guard.js <command> [options]
+ *
+ * Commands:
+ *   config            Print the effective merged config, where it came from
+ *                     and validation errors (exit code 1 when invalid)
+ *   check <file>      Dry-run an edit (--tool, --old/--new, --content-file,
+ *                     --command, or hook JSON on stdin) and print the decision
+ *   scan [paths]      Scan existing files for credentials and rule coverage
+ *   baseline add|prune|audit   Manage acknowledged findings (.document-guard-baseline.json)
+ *   override grant|list|revoke Issue signed single-use overrides (run by the user
+ *                     in a terminal, confirmed with a typed code)
+ *   verify            Check the audit log hash chain for edits and gaps
+ *   report            Summarize the audit log per rule, check, file and day
+ *
+ * Global options:
+ *   --project <dir>   Project root (default: CLAUDE_PROJECT_DIR or cwd)
+ *   --json            Machine-readable output
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { walkFiles, readTextFile, DEFAULT_MAX_BYTES } = require('../lib/file-walker');
+const { redactSecret } = require('../lib/credentials');
+const baselineLib = require('../lib/baseline');
+const signing = require('../lib/override-signing');
+const auditLib = require('../lib/audit-log');
+const auditReport = require('../lib/audit-report');
+const exportFormats = require('../lib/export-formats');
+const PLUGIN_VERSION = require('../.claude-plugin/plugin.json').version;
+const { CHECK_OPTIONS } = require('../lib/config-validator');
+
+// --- Argument Parsing ---
+
+// Boolean flags never take a value ("--json file.md" keeps file.md positional)
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'replace-all', 'dry-run', 'all']);
+
+function parseArgs(argv) {
+  var args = { _: [], flags: {} };
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i];
+    if (a === '--') {
+      args._ = args._.concat(argv.slice(i + 1));
+      break;
+    }
+    if (a.startsWith('--')) {
+      var eq = a.indexOf('=');
+      var name = eq !== -1 ? a.slice(2, eq) : a.slice(2);
+      if (eq !== -1) {
+        args.flags[name] = a.slice(eq + 1);
+      } else if (!BOOLEAN_FLAGS.has(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        args.flags[name] = argv[++i];
+      } else {
+        args.flags[name] = true;
+      }
+      continue;
+    }
+    args._.push(a);
+  }
+  return args;
+}
+
+// --- User Confirmation ---
+
+/**
+ * Grants and baseline additions approve the agent's own edits, so they need a
+ * person at a terminal: a random code is printed to the controlling terminal
+ * and must be typed back there. The agent's Bash tool has no terminal, and
+ * piping input into the command doesn't reach it.
+ *
+ * @param {string} action - What is being approved, shown in the prompt
+ * @returns {Promise<string|null>} null when confirmed, otherwise the reason it wasn't
+ */
+async function confirmAtTerminal(action) {
+  var input;
+  var output;
+  if (process.platform === 'win32') {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) return 'this command needs an interactive terminal';
+    input = process.stdin;
+    output = process.stdout;
+  } else {
+    var fd;
+    try {
+      fd = fs.openSync('/dev/tty', 'r+');
+    } catch (err) {
+      return 'this command needs an interactive terminal (no controlling terminal: ' + err.code + ')';
+    }
+    input = fs.createReadStream(null, { fd: fd, autoClose: false });
+    output = fs.createWriteStream(null, { fd: fd, autoClose: false });
+  }
+
+  var code = crypto.randomBytes(3).toString('hex');
+  var rl = readline.createInterface({ input: input, output: output, terminal: false });
+  var answer = await new Promise(function(resolve) {
+    rl.question(action + '\nType ' + code + ' to confirm: ', resolve);
+    rl.on('close', function() { resolve(null); });
+  });
+  rl.close();
+  if (fd !== undefined) {
+    input.destroy();
+    fs.closeSync(fd);
+  }
+  return answer !== null && answer.trim() === code ? null : 'not confirmed';
+}
+
+// --- Output Helpers ---
+
+// JSON.stringify that keeps RegExps and functions readable
+function configReplacer(key, value) {
+  if (value instanceof RegExp) return String(value);
+  if (typeof value === 'function') return '[Function' + (value.name ? ' ' + value.name : '') + ']';
+  return value;
+}
+
+function pad(text, width) {
+  text = String(text);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function printTable(headers, rows) {
+  var widths = headers.map(function(h, i) {
+    return Math.max(h.length, ...rows.map(function(r) { return String(r[i]).length; }));
+  });
+  console.log(headers.map(function(h, i) { return pad(h, widths[i]); }).join('  ').trimEnd());
+  console.log(widths.map(function(w) { return '-'.repeat(w); }).join('  '));
+  for (var r = 0; r < rows.length; r++) {
+    console.log(rows[r].map(function(c, i) { return pad(c, widths[i]); }).join('  ').trimEnd());
+  }
+}
+
+// --format value; --json is shorthand for --format json. Null (after an error) when not in `formats`
+function outputFormat(args, formats) {
+  var format = args.flags.json ? 'json' : String(args.flags.format || 'table');
+  if (formats.indexOf(format) !== -1) return format;
+  console.error('[document-guard] --format must be ' + formats.join(', '));
+  return null;
+}
+
+// Prints findings as SARIF 2.1.0 or JUnit XML (see lib/export-formats.js)
+function printExport(guard, format, findings, config, junitOptions) {
+  if (format === 'sarif') {
+    var rules = config ? config.general.concat(config.rules) : [];
+    console.log(JSON.stringify(exportFormats.toSarif(findings, { rules: rules, root: guard.PROJECT_DIR, version: PLUGIN_VERSION }), null, 2));
+    return;
+  }
+  process.stdout.write(exportFormats.toJUnit(findings, junitOptions));
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+function printValidation(validation, fallback, refused) {
+  if (validation.errors.length === 0 && validation.warnings.length === 0) {
+    console.log('\nValidation: OK');
+    return;
+  }
+  console.log('\nValidation: ' + validation.errors.length + ' error(s), ' + validation.warnings.length + ' warning(s)');
+  for (var e = 0; e < validation.errors.length; e++) console.log('  ERROR  ' + validation.errors[e].message);
+  for (var w = 0; w < validation.warnings.length; w++) console.log('  WARN   ' + validation.warnings[w].message);
+  if (refused) console.log('\nfailMode is "closed": the hook refuses guarded edits until the errors are fixed.');
+  else if (fallback) console.log('\nfailMode is "open": the hook enforces the plugin default alone (shown below) until the errors are fixed.');
+}
+
+async function commandConfig(guard, args) {
+  var config = null;
+  var refused = false;
+  try {
+    config = await guard.loadConfig();
+  } catch (err) {
+    if (!(err instanceof guard.ConfigError)) throw err;
+    refused = true;
+  }
+  var info = guard.getConfigInfo() || { files: [], origins: {}, checkOrigins: {}, disabled: [], errors: [] };
+  var validation = info.validation || { errors: [], warnings: [] };
+  var layers = guard.configLayerPaths().map(function(l) {
+    var loaded = info.files.some(function(f) { return f.path === l.path; });
+    var failed = info.errors.find(function(e) { return e.path === l.path; });
+    return { source: l.source, path: l.path, status: failed ? 'error: ' + failed.message : loaded ? 'loaded' : 'not found' };
+  });
+  var extended = info.files.filter(function(f) { return / \(extends\)$/.test(f.source); });
+
+  if (args.flags.json) {
+    console.log(JSON.stringify({
+      layers: layers,
+      extends: extended,
+      ruleSources: info.origins,
+      customCheckSources: info.checkOrigins,
+      disabledRules: info.disabled,
+      validation: validation,
+      fallback: !!info.fallback,
+      refused: refused,
+      config: config,
+    }, configReplacer, 2));
+    return validation.errors.length > 0 ? 1 : 0;
+  }
+
+  console.log('Config layers (lowest precedence first):');
+  for (var i = 0; i < layers.length; i++) {
+    console.log('  ' + pad(layers[i].source, 15) + ' ' + pad(layers[i].status, 10) + ' ' + layers[i].path);
+  }
+  for (var e = 0; e < extended.length; e++) {
+    console.log('  ' + pad(extended[e].source, 15) + ' ' + pad('loaded', 10) + ' ' + extended[e].path);
+  }
+  printValidation(validation, info.fallback, refused);
+  if (!config) {
+    if (!refused) console.log('\nNo config loaded.');
+    return 1;
+  }
+
+  if (info.disabled.length > 0) {
+    console.log('\nDisabled rules:');
+    for (var d = 0; d < info.disabled.length; d++) {
+      console.log('  - ' + info.disabled[d].name + ' (by ' + info.disabled[d].source + ')' + (info.disabled[d].found ? '' : ' [no such rule]'));
+    }
+  }
+
+  console.log('\nRules:');
+  printTable(['Tier', 'Rule Name', 'Pattern', 'Checks', 'Source'], config.rules.map(function(r) {
+    return [r.tier || '-', r.name || '(unnamed)', r.pattern, (r.checks || []).join(', '), info.origins[r.name] || '-'];
+  }));
+
+  var customChecks = Object.keys(config.customChecks || {});
+  if (customChecks.length > 0) {
+    console.log('\nCustom checks:');
+    printTable(['Check', 'Used by', 'Source'], customChecks.map(function(name) {
+      var users = config.rules.filter(function(r) { return (r.checks || []).indexOf(name) !== -1; }).map(function(r) { return r.name; });
+      return [name, users.join(', ') || '(no rule)', info.checkOrigins[name] || '-'];
+    }));
+  }
+
+  console.log('\nGeneral rules: ' + (config.general || []).map(function(g) { return g.name; }).join(', '));
+  console.log('Credential patterns: ' + (config.credentialPatterns || []).length +
+    ', placeholder patterns: ' + (config.placeholderPatterns || []).length);
+  console.log('\nSettings:');
+  console.log(JSON.stringify(config.settings, configReplacer, 2));
+  return validation.errors.length > 0 ? 1 : 0;
+}
+
+// --- check ---
+
+async function readStdin() {
+  var chunks = [];
+  for await (var chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Builds a hook payload from flags, or reads a raw one from stdin
+async function buildCheckContext(guard, args) {
+  var file = args._[0];
+  var flags = args.flags;
+  if (!file && !flags.command) {
+    if (process.stdin.isTTY) return { error: 'check needs a file path, --command, or hook JSON on stdin' };
+    var raw = await readStdin();
+    try {
+      return { context: JSON.parse(raw) };
+    } catch (e) {
+      return { error: 'stdin is not valid hook JSON: ' + e.message };
+    }
+  }
+
+  var hasContent = flags.content !== undefined || flags['content-file'] !== undefined;
+  var tool = flags.tool || (flags.command ? 'Bash' : hasContent ? 'Write' : 'Edit');
+  var filePath = file ? path.resolve(guard.PROJECT_DIR, String(file)) : undefined;
+  var input;
+  if (tool === 'Bash') {
+    if (typeof flags.command !== 'string') return { error: '--tool Bash needs --command' };
+    input = { command: flags.command };
+  } else if (tool === 'Write') {
+    var content = flags.content;
+    if (flags['content-file'] !== undefined) content = fs.readFileSync(path.resolve(String(flags['content-file'])), 'utf8');
+    if (typeof content !== 'string') return { error: '--tool Write needs --content-file <file> or --content <text>' };
+    input = { file_path: filePath, content: content };
+  } else if (tool === 'Edit') {
+    if (typeof flags.old !== 'string' || typeof flags.new !== 'string') return { error: '--tool Edit needs --old <text> and --new <text>' };
+    input = { file_path: filePath, old_string: flags.old, new_string: flags.new, replace_all: !!flags['replace-all'] };
+  } else {
+    return { error: 'Unsupported --tool ' + tool + ' (use Edit, Write or Bash; pipe hook JSON on stdin for other tools)' };
+  }
+  return { context: { tool_name: tool, tool_input: input, cwd: guard.PROJECT_DIR } };
+}
+
+async function commandCheck(guard, args) {
+  var format = outputFormat(args, ['table', 'json', 'sarif', 'junit']);
+  if (!format) return 1;
+  var built = await buildCheckContext(guard, args);
+  if (built.error) {
+    console.error('[document-guard] ' + built.error);
+    return 1;
+  }
+  var context = built.context;
+  var report = [];
+  var result;
+  try {
+    result = await guard.evaluateToolUse(context, report);
+  } catch (err) {
+    if (!(err instanceof guard.ConfigError)) throw err;
+    var refusal = guard.formatConfigRefusal(err);
+    if (format === 'json') console.log(JSON.stringify({ tool: context.tool_name, decision: 'deny', message: refusal }, null, 2));
+    else if (format === 'table') console.log('Decision: DENY (invalid config)\n\n' + refusal);
+    else console.error(refusal);
+    return 2;
+  }
+
+  var out = { tool: context.tool_name, decision: 'allow', tier: null, targets: [], checks: report, message: null };
+  if (result.skip) {
+    out.skipped = result.skip;
+  } else {
+    var classified = guard.classifyTargets(result.targets);
+    var messages = [];
+    var missing = [];
+    for (var b = 0; b < classified.blocked.length; b++) {
+      var t = classified.blocked[b];
+      // Read-only: the hook would consume an active override, check never does
+      var override = t.tamper ? { entries: [], uncovered: t.violations, rejected: [] } : await guard.checkOverride(t.relativePath, t.violations, context.session_id);
+      t.overrideActive = override.uncovered.length === 0;
+      t.overrideIds = override.entries.map(function(e) { return e.id || null; });
+      t.rejectedOverrides = override.rejected;
+      t.uncovered = override.uncovered;
+      if (!t.overrideActive) missing.push(t);
+    }
+    var asks = missing.length > 0 && guard.shouldAsk(result.config, missing);
+    for (var mi = 0; mi < missing.length; mi++) {
+      var mt = missing[mi];
+      messages.push(asks
+        ? guard.formatAskMessage(mt.relativePath, mt.uncovered, mt.rules, result.config, result.verb)
+        : guard.formatBlockMessage(mt.relativePath, mt.uncovered, mt.rules, result.config, result.verb, context.session_id));
+    }
+    var allViolations = [].concat.apply([], result.targets.map(function(t) { return t.violations; }));
+    out.tier = allViolations.length > 0 ? guard.highestTierOf(allViolations) : null;
+    if (messages.length > 0) out.decision = asks ? 'ask' : 'deny';
+    else if (classified.blocked.length > 0) {
+      out.decision = 'allow';
+      out.viaOverride = true;
+    }
+    else if (classified.warned.length > 0) out.decision = 'warn';
+    else if (classified.logged.length > 0) out.decision = 'log';
+    out.message = messages.length > 0 ? messages.join('\n\n') : null;
+    out.targets = result.targets.map(function(t) {
+      return {
+        file: t.relativePath,
+        matchedRules: guard.findMatchingRules(result.config, t.relativePath).map(function(r) {
+          return { name: r.name, tier: r.tier, pattern: r.pattern, checks: r.checks };
+        }),
+        violations: t.violations,
+        overrideActive: !!t.overrideActive,
+        overrides: t.overrideIds || [],
+        rejectedOverrides: t.rejectedOverrides || [],
+      };
+    });
+  }
+  var exitCode = out.decision === 'deny' ? 2 : out.decision === 'ask' ? 3 : 0;
+
+  if (format === 'json') {
+    console.log(JSON.stringify(out, null, 2));
+    return exitCode;
+  }
+  if (format === 'sarif' || format === 'junit') {
+    var exported = exportFormats.fromCheckReport(report);
+    printExport(guard, format, exported.findings, result.config, { passed: exported.passed, skipped: exported.skipped });
+    return exitCode;
+  }
+
+  console.log('Tool: ' + out.tool);
+  if (out.skipped) {
+    console.log('Not guarded: ' + out.skipped);
+    console.log('\nDecision: ALLOW');
+    return exitCode;
+  }
+  for (var i = 0; i < out.targets.length; i++) {
+    var target = out.targets[i];
+    console.log('\nFile: ' + target.file);
+    if (target.matchedRules.length === 0) {
+      console.log('  No path rules match');
+    } else {
+      console.log('  Matched rules:');
+      for (var r = 0; r < target.matchedRules.length; r++) {
+        var mr = target.matchedRules[r];
+        console.log('    ' + pad(mr.tier, 8) + '  ' + mr.name + '  (' + mr.pattern + ': ' + (mr.checks || []).join(', ') + ')');
+      }
+    }
+    if (target.overrideActive) console.log('  Covered by override ' + target.overrides.join(', ') + ': the hook would allow this edit and use it once');
+    for (var ro = 0; ro < target.rejectedOverrides.length; ro++) {
+      var rejected = target.rejectedOverrides[ro];
+      console.log('  Ignored override' + (rejected.id ? ' ' + rejected.id : '') + ': ' + rejected.reason);
+    }
+  }
+
+  if (report.length > 0) {
+    console.log('\nChecks:');
+    printTable(['Result', 'File', 'Rule', 'Check', 'Details'], report.map(function(c) {
+      var details = c.reason || c.violations.map(function(v) { return '[' + v.tier + '] ' + v.message; }).join('; ');
+      return [c.status.toUpperCase(), c.file, c.rule || '-', c.check, details || '-'];
+    }));
+  }
+
+  var notes = [];
+  if (out.viaOverride) notes.push('via active override');
+  if (out.tier) notes.push('highest tier: ' + out.tier);
+  console.log('\nDecision: ' + out.decision.toUpperCase() + (notes.length > 0 ? ' (' + notes.join(', ') + ')' : ''));
+  if (out.message) console.log('\n' + out.message);
+  return exitCode;
+}
+
+// --- scan ---
+
+// Loads the config for read-only commands; an invalid config is reported, not enforced
+async function loadConfigForCommand(guard) {
+  try {
+    var config = await guard.loadConfig();
+    if (!config) console.error('[document-guard] No config found');
+    return config;
+  } catch (err) {
+    if (!(err instanceof guard.ConfigError)) throw err;
+    console.error(guard.formatConfigRefusal(err));
+    return null;
+  }
+}
+
+// Walks paths and collects credential findings (with the raw match, for
+// fingerprinting only - never print it) and per-rule file coverage
+async function collectFindings(guard, config, paths, maxBytes) {
+  var walked = await walkFiles(guard.PROJECT_DIR, paths);
+  var result = { scanned: 0, scannedFiles: [], skipped: walked.skipped.slice(), findings: [], coverage: null };
+  result.coverage = config.rules.map(function(r) {
+    return { rule: r.name, tier: r.tier, pattern: r.pattern, checks: r.checks || [], files: [] };
+  });
+
+  for (var i = 0; i < walked.files.length; i++) {
+    var file = walked.files[i];
+    var matched = guard.findMatchingRules(config, file.relativePath);
+    for (var m = 0; m < matched.length; m++) {
+      result.coverage[config.rules.indexOf(matched[m])].files.push(file.relativePath);
+    }
+
+    var read = await readTextFile(file.path, file.size, maxBytes);
+    if (read.skip) {
+      result.skipped.push({ relativePath: file.relativePath, reason: read.skip });
+      continue;
+    }
+    result.scanned++;
+    result.scannedFiles.push(file.relativePath);
+    var found = guard.findSecrets(config, read.text, file.relativePath);
+    for (var f = 0; f < found.length; f++) {
+      found[f].file = file.relativePath;
+      result.findings.push(found[f]);
+    }
+  }
+  return result;
+}
+
+// Printable form of a finding, without the secret
+function publicFinding(f) {
+  var out = { file: f.file, line: f.line, column: f.column, pattern: f.pattern, preview: redactSecret(f.match) };
+  if (f.confidence !== undefined) {
+    out.confidence = f.confidence;
+    out.tier = f.tier;
+  }
+  return out;
+}
+
+// Splits findings by file against the baseline
+function applyBaseline(findings, baseline) {
+  var byFile = {};
+  findings.forEach(function(f) { (byFile[f.file] = byFile[f.file] || []).push(f); });
+  var result = { findings: [], baselined: [] };
+  for (var file in byFile) {
+    var parts = baselineLib.partitionBaselined(byFile[file], baseline, file);
+    result.findings = result.findings.concat(parts.findings);
+    result.baselined = result.baselined.concat(parts.baselined);
+  }
+  var byPosition = function(a, b) { return a.file === b.file ? a.index - b.index : a.file < b.file ? -1 : 1; };
+  result.findings.sort(byPosition);
+  result.baselined.sort(byPosition);
+  return result;
+}
+
+async function loadBaselineForCommand(guard) {
+  var baseline = await baselineLib.loadBaseline(guard.PROJECT_DIR);
+  if (baseline.error) console.error('[document-guard] ' + baseline.error);
+  return baseline;
+}
+
+// SARIF/JUnit findings for a scan; every scanned file is a testcase of the credential rule
+function scanExport(config, findings, scannedFiles) {
+  var general = config.general.filter(function(g) { return g.check === 'credential_scan'; })[0];
+  var rule = general ? general.name : 'credential_scan';
+  return {
+    findings: findings.map(function(f) {
+      return {
+        rule: rule,
+        check: 'credential_scan',
+        tier: f.tier || 'critical',
+        message: 'Potential ' + f.pattern + ': ' + f.preview,
+        file: f.file,
+        line: f.line,
+        column: f.column,
+        properties: f.confidence !== undefined ? { pattern: f.pattern, confidence: f.confidence } : { pattern: f.pattern },
+      };
+    }),
+    passed: scannedFiles.map(function(file) { return { rule: rule, file: file }; }),
+  };
+}
+
+async function commandScan(guard, args) {
+  var format = outputFormat(args, ['table', 'json', 'sarif', 'junit']);
+  if (!format) return 1;
+  var config = await loadConfigForCommand(guard);
+  if (!config) return 1;
+  var maxBytes = args.flags['max-bytes'] ? Number(args.flags['max-bytes']) : DEFAULT_MAX_BYTES;
+  var limit = args.flags.limit ? Number(args.flags.limit) : 10;
+
+  var collected = await collectFindings(guard, config, args._, maxBytes);
+  var baseline = await loadBaselineForCommand(guard);
+  var split = applyBaseline(collected.findings, baseline);
+  var findings = split.findings.map(publicFinding);
+  var skipped = collected.skipped;
+  var coverage = collected.coverage;
+  var scanned = collected.scanned;
+
+  var exitCode = findings.length > 0 ? 2 : 0;
+  if (format === 'sarif' || format === 'junit') {
+    var exported = scanExport(config, findings, collected.scannedFiles);
+    printExport(guard, format, exported.findings, config, { passed: exported.passed });
+    return exitCode;
+  }
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      root: guard.PROJECT_DIR,
+      filesScanned: scanned,
+      skipped: skipped,
+      findings: findings,
+      baselined: split.baselined.length,
+      coverage: coverage,
+    }, null, 2));
+    return exitCode;
+  }
+
+  console.log('Scanned ' + scanned + ' file(s) under ' + guard.PROJECT_DIR + (skipped.length > 0 ? ' (' + skipped.length + ' skipped)' : ''));
+
+  console.log('\nCredential findings: ' + findings.length + (split.baselined.length > 0 ? ' (' + split.baselined.length + ' more acknowledged in ' + baselineLib.BASELINE_FILENAME + ')' : ''));
+  if (findings.length > 0) {
+    printTable(['File', 'Line:Col', 'Pattern', 'Confidence', 'Preview'], findings.map(function(f) {
+      return [f.file, f.line + ':' + f.column, f.pattern, f.confidence !== undefined ? f.confidence + ' (' + f.tier + ')' : '-', f.preview];
+    }));
+  }
+
+  console.log('\nRule coverage:');
+  printTable(['Tier', 'Rule Name', 'Pattern', 'Files'], coverage.map(function(c) {
+    return [c.tier || '-', c.rule || '(unnamed)', c.pattern, c.files.length];
+  }));
+  for (var c = 0; c < coverage.length; c++) {
+    if (coverage[c].files.length === 0) continue;
+    console.log('\n' + coverage[c].rule + ':');
+    var shown = coverage[c].files.slice(0, limit);
+    for (var s = 0; s < shown.length; s++) console.log('  ' + shown[s]);
+    if (coverage[c].files.length > limit) console.log('  ... and ' + (coverage[c].files.length - limit) + ' more (--limit N or --json for all)');
+  }
+
+  if (skipped.length > 0) {
+    console.log('\nSkipped:');
+    for (var k = 0; k < skipped.length; k++) console.log('  ' + skipped[k].relativePath + ' (' + skipped[k].reason + ')');
+  }
+  return exitCode;
+}
+
+// --- baseline ---
+
+async function baselineAdd(guard, args, baseline) {
+  var config = await loadConfigForCommand(guard);
+  if (!config) return 1;
+  var expires = args.flags.expires;
+  if (expires !== undefined && isNaN(baselineLib.expiryTime(String(expires)))) {
+    console.error('[document-guard] --expires must be a date (YYYY-MM-DD) or ISO timestamp');
+    return 1;
+  }
+
+  var collected = await collectFindings(guard, config, args._, DEFAULT_MAX_BYTES);
+  var candidates = applyBaseline(collected.findings, baseline).findings.filter(function(f) {
+    if (args.flags.pattern && f.pattern !== args.flags.pattern) return false;
+    if (args.flags.line && f.line !== Number(args.flags.line)) return false;
+    return true;
+  });
+
+  var added = [];
+  var seen = {};
+  for (var i = 0; i < candidates.length; i++) {
+    var f = candidates[i];
+    var fp = baselineLib.fingerprint(f.pattern, f.file, f.match);
+    if (seen[fp]) continue;
+    seen[fp] = true;
+    var entry = { fingerprint: fp, pattern: f.pattern, file: f.file, preview: redactSecret(f.match), added: new Date().toISOString() };
+    if (args.flags.reason) entry.reason = String(args.flags.reason);
+    if (expires !== undefined) entry.expires = String(expires);
+    added.push(entry);
+  }
+
+  if (added.length > 0) {
+    var refused = await confirmAtTerminal('Baseline ' + added.length + ' finding(s) in ' + baseline.path + ':\n' + added.map(function(e) {
+      return '  ' + e.file + '  ' + e.pattern + '  ' + e.preview;
+    }).join('\n'));
+    if (refused) {
+      console.error('[document-guard] baseline add: ' + refused + '; nothing was added');
+      return 1;
+    }
+    baseline.entries = baseline.entries.concat(added);
+    await baselineLib.saveBaseline(baseline);
+  }
+  if (args.flags.json) {
+    console.log(JSON.stringify({ added: added }, null, 2));
+    return 0;
+  }
+  console.log('Added ' + added.length + ' entr' + (added.length === 1 ? 'y' : 'ies') + ' to ' + baseline.path);
+  if (added.length > 0) {
+    printTable(['File', 'Pattern', 'Preview', 'Expires'], added.map(function(e) {
+      return [e.file, e.pattern, e.preview, e.expires || '-'];
+    }));
+    if (!args.flags.reason) console.log('\nTip: record why with --reason; reviewers see it in the committed baseline.');
+  }
+  return 0;
+}
+
+// Status of every entry: active, expired, stale (secret no longer in the file)
+async function baselineStatuses(guard, baseline) {
+  var config = await loadConfigForCommand(guard);
+  if (!config) return null;
+  var present = {};
+  var files = {};
+  baseline.entries.forEach(function(e) { files[e.file] = true; });
+  for (var file in files) {
+    var abs = path.resolve(guard.PROJECT_DIR, file);
+    var stat;
+    try {
+      stat = fs.statSync(abs);
+    } catch (e) {
+      continue;
+    }
+    var read = await readTextFile(abs, stat.size, DEFAULT_MAX_BYTES);
+    if (read.skip) continue;
+    var found = guard.findSecrets(config, read.text, file);
+    for (var f = 0; f < found.length; f++) present[baselineLib.fingerprint(found[f].pattern, file, found[f].match)] = true;
+  }
+  return baseline.entries.map(function(e) {
+    var status = 'active';
+    if (isNaN(baselineLib.expiryTime(e.expires))) status = 'invalid expiry';
+    else if (baselineLib.isExpired(e)) status = 'expired';
+    else if (!present[e.fingerprint]) status = 'stale';
+    return { entry: e, status: status };
+  });
+}
+
+async function baselinePrune(guard, args, baseline) {
+  var statuses = await baselineStatuses(guard, baseline);
+  if (!statuses) return 1;
+  var removed = statuses.filter(function(s) { return s.status !== 'active'; });
+  if (!args.flags['dry-run'] && removed.length > 0) {
+    baseline.entries = statuses.filter(function(s) { return s.status === 'active'; }).map(function(s) { return s.entry; });
+    await baselineLib.saveBaseline(baseline);
+  }
+  if (args.flags.json) {
+    console.log(JSON.stringify({ removed: removed.map(function(s) { return Object.assign({ status: s.status }, s.entry); }), dryRun: !!args.flags['dry-run'] }, null, 2));
+    return 0;
+  }
+  console.log((args.flags['dry-run'] ? 'Would remove ' : 'Removed ') + removed.length + ' of ' + statuses.length + ' entries');
+  if (removed.length > 0) {
+    printTable(['Status', 'File', 'Pattern', 'Preview'], removed.map(function(s) {
+      return [s.status, s.entry.file, s.entry.pattern, s.entry.preview || '-'];
+    }));
+  }
+  return 0;
+}
+
+async function baselineAudit(guard, args, baseline) {
+  var statuses = await baselineStatuses(guard, baseline);
+  if (!statuses) return 1;
+  var problems = statuses.filter(function(s) { return s.status !== 'active'; }).length;
+  if (args.flags.json) {
+    console.log(JSON.stringify({ path: baseline.path, entries: statuses.map(function(s) { return Object.assign({ status: s.status }, s.entry); }) }, null, 2));
+    return problems > 0 ? 1 : 0;
+  }
+  console.log(baseline.path + ': ' + statuses.length + ' entries, ' + problems + ' need attention');
+  if (statuses.length > 0) {
+    printTable(['Status', 'File', 'Pattern', 'Preview', 'Expires', 'Reason'], statuses.map(function(s) {
+      return [s.status, s.entry.file, s.entry.pattern, s.entry.preview || '-', s.entry.expires || '-', s.entry.reason || '(none)'];
+    }));
+  }
+  if (problems > 0) console.log('\nRun "baseline prune" to drop expired and stale entries.');
+  return problems > 0 ? 1 : 0;
+}
+
+const BASELINE_COMMANDS = {
+  add: baselineAdd,
+  prune: baselinePrune,
+  audit: baselineAudit,
+};
+
+async function commandBaseline(guard, args) {
+  var sub = args._.shift();
+  if (!BASELINE_COMMANDS[sub]) {
+    console.error('[document-guard] Usage: baseline add|prune|audit');
+    return 1;
+  }
+  var baseline = await loadBaselineForCommand(guard);
+  if (baseline.error) return 1;
+  return BASELINE_COMMANDS[sub](guard, args, baseline);
+}
+
+// --- override ---
+
+// Project-relative override path; absolute paths must be inside the project
+function overrideTarget(guard, file) {
+  var resolved = path.isAbsolute(file) ? path.relative(guard.PROJECT_DIR, file) : path.normalize(file);
+  resolved = resolved.replace(/\\/g, '/');
+  if (resolved === '' || resolved === '.' || resolved.startsWith('../') || path.isAbsolute(resolved)) return null;
+  return resolved;
+}
+
+// Check names an override can be scoped to: built-ins plus any used by the config
+function knownChecks(config) {
+  var names = Object.keys(CHECK_OPTIONS).concat(['credential_scan', 'shell_write', 'check_error'], Object.keys((config && config.customChecks) || {}));
+  var rules = (config && config.rules) || [];
+  for (var i = 0; i < rules.length; i++) names = names.concat(rules[i].checks || []);
+  return names;
+}
+
+// Validates grant scope flags against the config; returns the scope or { error }
+function overrideScopeFromFlags(guard, args, config) {
+  var scope = {};
+  if (args.flags.glob !== undefined) {
+    if (args._[0]) return { error: 'Give either a file or --glob, not both' };
+    scope.glob = String(args.flags.glob);
+  } else {
+    scope.file = args._[0] && overrideTarget(guard, String(args._[0]));
+    if (!scope.file) return { error: 'Usage: override grant <file>|--glob <pattern> [--checks a,b] [--rule <name>] [--uses <n>] [--session <id>] [--reason <text>] [--ttl <seconds>] (file inside the project)' };
+  }
+  if (args.flags.checks !== undefined) {
+    var known = knownChecks(config);
+    scope.checks = String(args.flags.checks).split(',').map(function(c) { return c.trim(); }).filter(Boolean);
+    var unknown = scope.checks.filter(function(c) { return known.indexOf(c) === -1; });
+    if (scope.checks.length === 0 || unknown.length > 0) return { error: '--checks: unknown check ' + (unknown[0] || '(none given)') + ' (known: ' + known.filter(function(c, i) { return known.indexOf(c) === i; }).join(', ') + ')' };
+  }
+  if (args.flags.rule !== undefined) {
+    scope.rule = String(args.flags.rule);
+    var ruleNames = config ? config.rules.concat(config.general).map(function(r) { return r.name; }) : [];
+    if (config && ruleNames.indexOf(scope.rule) === -1) return { error: '--rule: no rule named "' + scope.rule + '" in the effective config' };
+  }
+  if (args.flags.uses !== undefined) {
+    scope.uses = Number(args.flags.uses);
+    if (!(Number.isInteger(scope.uses) && scope.uses > 0)) return { error: '--uses must be a positive integer' };
+  }
+  if (args.flags.session !== undefined) scope.session = String(args.flags.session);
+  return scope;
+}
+
+async function overrideGrant(guard, args) {
+  var config = null;
+  try {
+    config = await guard.loadConfig();
+  } catch (err) {
+    if (!(err instanceof guard.ConfigError)) throw err;
+  }
+  var scope = overrideScopeFromFlags(guard, args, config);
+  if (scope.error) {
+    console.error('[document-guard] ' + scope.error);
+    return 1;
+  }
+  var ttl = args.flags.ttl !== undefined ? Number(args.flags.ttl) : ((config && config.settings.overrideTTL) || 120);
+  if (!(ttl > 0)) {
+    console.error('[document-guard] --ttl must be a positive number of seconds');
+    return 1;
+  }
+
+  if (args.flags['dry-run']) {
+    console.log('Would grant an override for ' + describeOverrideScope(scope) + ', expiring ' + ttl + 's after it is granted.');
+    console.log('To grant it, run in your own terminal:\n  ' + grantCommandLine(guard));
+    return 0;
+  }
+  var refused = await confirmAtTerminal('Grant an override for ' + describeOverrideScope(scope) + ' (expires in ' + ttl + 's)?');
+  if (refused) {
+    console.error('[document-guard] override grant: ' + refused + '; no override was granted');
+    return 1;
+  }
+
+  var hadKey = fs.existsSync(signing.keyPath());
+  var key = await signing.loadKey(true);
+  var now = Date.now();
+  var entry = signing.signEntry(Object.assign({ id: crypto.randomBytes(4).toString('hex') }, scope, {
+    reason: args.flags.reason ? String(args.flags.reason) : 'User approved',
+    issued: now,
+    expires: now + Math.round(ttl * 1000),
+  }), key);
+
+  var current = await signing.readOverrideFile(guard.OVERRIDE_FILE);
+  var kept = current.entries.filter(function(o) { return o && typeof o.expires === 'number' && o.expires > now; });
+  await signing.writeOverrideFile(guard.OVERRIDE_FILE, kept.concat([entry]));
+
+  if (args.flags.json) {
+    console.log(JSON.stringify({ granted: entry, keyCreated: !hadKey }, null, 2));
+    return 0;
+  }
+  if (!hadKey) console.log('Created signing key ' + signing.keyPath() + ' (keep it outside the project)');
+  console.log('Granted override ' + entry.id + ' for ' + describeOverrideScope(entry) + ', expires in ' + ttl + 's');
+  return 0;
+}
+
+function shellQuote(word) {
+  return /^[\w@%+=:,.\/-]+$/.test(word) ? word : "'" + word.replace(/'/g, "'\\''") + "'";
+}
+
+// This grant command without --dry-run, with the project made explicit
+function grantCommandLine(guard) {
+  var argv = process.argv.slice(2).filter(function(a) { return a !== '--dry-run'; });
+  var projectIdx = argv.indexOf('--project');
+  if (projectIdx !== -1) argv.splice(projectIdx, 2);
+  argv = argv.filter(function(a) { return !a.startsWith('--project='); });
+  return ['node', path.join(__dirname, 'document-guard.js')].concat(argv, ['--project', guard.PROJECT_DIR]).map(shellQuote).join(' ');
+}
+
+// "CLAUDE.md (checks: section_preservation; 3 uses; session abc)"
+function describeOverrideScope(entry) {
+  var parts = [];
+  if (entry.checks) parts.push('checks: ' + entry.checks.join(', '));
+  if (entry.rule) parts.push('rule: ' + entry.rule);
+  var uses = entry.uses || 1;
+  parts.push(uses === 1 ? 'single-use' : uses + ' uses');
+  if (entry.session) parts.push('session ' + entry.session);
+  return (entry.file || entry.glob || '?') + ' (' + parts.join('; ') + ')';
+}
+
+async function overrideList(guard, args) {
+  var current = await signing.readOverrideFile(guard.OVERRIDE_FILE);
+  if (current.error) {
+    console.error('[document-guard] ' + current.error);
+    return 1;
+  }
+  var key = await signing.loadKey(false);
+  var now = Date.now();
+  var rows = [];
+  for (var i = 0; i < current.entries.length; i++) {
+    var o = current.entries[i] || {};
+    var status = signing.verifyEntry(o, key);
+    var left = status ? null : await signing.usesLeft(o);
+    if (left === 0) status = 'replayed (no uses left)';
+    if (!status) status = o.expires > now ? 'valid' : 'expired';
+    rows.push({ id: o.id || null, scope: describeOverrideScope(o), reason: o.reason || null, expires: o.expires || null, usesLeft: left, status: status });
+  }
+  if (args.flags.json) {
+    console.log(JSON.stringify({ path: guard.OVERRIDE_FILE, overrides: rows }, null, 2));
+    return 0;
+  }
+  if (rows.length === 0) {
+    console.log('No overrides in ' + guard.OVERRIDE_FILE);
+    return 0;
+  }
+  printTable(['Id', 'Scope', 'Status', 'Uses left', 'Expires in', 'Reason'], rows.map(function(r) {
+    var left = typeof r.expires === 'number' ? Math.max(0, Math.round((r.expires - now) / 1000)) + 's' : '-';
+    return [r.id || '-', r.scope, r.status, r.usesLeft === null ? '-' : String(r.usesLeft), left, r.reason || '-'];
+  }));
+  return 0;
+}
+
+async function overrideRevoke(guard, args) {
+  var id = args._[0];
+  if (!id && !args.flags.all) {
+    console.error('[document-guard] Usage: override revoke <id> | --all');
+    return 1;
+  }
+  var current = await signing.readOverrideFile(guard.OVERRIDE_FILE);
+  var kept = args.flags.all ? [] : current.entries.filter(function(o) { return !(o && o.id === id); });
+  var removed = current.entries.length - kept.length;
+  await signing.writeOverrideFile(guard.OVERRIDE_FILE, kept);
+  console.log('Revoked ' + removed + ' override' + (removed === 1 ? '' : 's'));
+  return removed > 0 || args.flags.all ? 0 : 1;
+}
+
+const OVERRIDE_COMMANDS = {
+  grant: overrideGrant,
+  list: overrideList,
+  revoke: overrideRevoke,
+};
+
+async function commandOverride(guard, args) {
+  var sub = args._.shift();
+  if (!OVERRIDE_COMMANDS[sub]) {
+    console.error('[document-guard] Usage: override grant|list|revoke');
+    return 1;
+  }
+  return OVERRIDE_COMMANDS[sub](guard, args);
+}
+
+// --- verify ---
+
+async function commandVerify(guard, args) {
+  var result = await auditLib.verifyLog(guard.AUDIT_FILE);
+  var ok = result.errors.length === 0;
+  if (args.flags.json) {
+    console.log(JSON.stringify(Object.assign({ log: guard.AUDIT_FILE, ok: ok }, result), null, 2));
+    return ok ? 0 : 1;
+  }
+  var where = path.relative(guard.PROJECT_DIR, guard.AUDIT_FILE);
+  if (result.files.length === 0 && ok) {
+    console.log(where + ': no audit log yet');
+    return 0;
+  }
+  console.log(where + ': ' + result.entries + ' entries in ' + result.files.length + ' file(s)' +
+    (result.legacy > 0 ? ', ' + result.legacy + ' from before hash chaining (not verifiable)' : ''));
+  function row(severity) {
+    return function(p) { return [severity, p.file, p.line === null ? '-' : String(p.line), p.message]; };
+  }
+  var rows = result.errors.map(row('error')).concat(result.warnings.map(row('warning')));
+  if (rows.length > 0) {
+    console.log('');
+    printTable(['Severity', 'File', 'Line', 'Problem'], rows);
+  }
+  console.log('\n' + (ok ? 'Chain intact.' : 'Chain BROKEN: the audit log was edited, truncated or had entries removed.'));
+  return ok ? 0 : 1;
+}
+
+// --- report ---
+
+// Report filters from flags; returns { error } on a bad value
+function reportFilters(args) {
+  var filters = {};
+  var scope = [];
+  if (args.flags.since !== undefined) {
+    filters.since = auditReport.parseSince(args.flags.since);
+    if (filters.since === null) return { error: '--since must be a date (2026-03-01) or a duration (24h, 7d, 2w)' };
+    scope.push('since ' + new Date(filters.since).toISOString());
+  }
+  if (args.flags.action !== undefined) {
+    filters.actions = String(args.flags.action).split(',').map(function(a) { return a.trim(); }).filter(Boolean);
+    scope.push('action ' + filters.actions.join(', '));
+  }
+  ['rule', 'file', 'session'].forEach(function(key) {
+    if (args.flags[key] === undefined) return;
+    filters[key] = String(args.flags[key]);
+    scope.push(key + ' ' + filters[key]);
+  });
+  return { filters: filters, scope: scope.length > 0 ? 'Filtered by ' + scope.join('; ') : 'All entries' };
+}
+
+async function commandReport(guard, args) {
+  var format = outputFormat(args, ['table', 'json', 'markdown', 'sarif', 'junit']);
+  if (!format) return 1;
+  var parsed = reportFilters(args);
+  if (parsed.error) {
+    console.error('[document-guard] ' + parsed.error);
+    return 1;
+  }
+  var entries = auditReport.filterEntries(await auditLib.readEntries(guard.AUDIT_FILE), parsed.filters, guard.matchGlob);
+  if (format === 'sarif' || format === 'junit') {
+    var config = null;
+    try {
+      config = await guard.loadConfig();
+    } catch (err) {
+      if (!(err instanceof guard.ConfigError)) throw err;
+    }
+    printExport(guard, format, exportFormats.fromAuditEntries(entries), config, { timestamp: entries.length > 0 ? entries[entries.length - 1].timestamp : undefined });
+    return 0;
+  }
+  var report = auditReport.buildReport(entries, { limit: args.flags.limit ? Number(args.flags.limit) : 10 });
+
+  if (format === 'json') {
+    console.log(JSON.stringify(Object.assign({ log: guard.AUDIT_FILE, filters: parsed.filters }, report), null, 2));
+    return 0;
+  }
+  if (format === 'markdown') {
+    process.stdout.write(auditReport.formatMarkdown(report, parsed.scope));
+    return 0;
+  }
+
+  console.log(parsed.scope + ': ' + report.entries + ' entries' + (report.from ? ' (' + report.from + ' to ' + report.to + ')' : ''));
+  auditReport.reportSections(report).forEach(function(section) {
+    if (section.rows.length === 0) return;
+    console.log('\n' + section.title + ':');
+    printTable(section.headers, section.rows);
+  });
+  var note = auditReport.noisyNote(report);
+  if (note) console.log('\n' + note);
+  return 0;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+const COMMANDS = {
+  config: commandConfig,
+  check: commandCheck,
+  scan: commandScan,
+  baseline: commandBaseline,
+  override: commandOverride,
+  verify: commandVerify,
+  report: commandReport,
+};
+
+function usage() {
+  return [
+    'Usage: document-guard <command> [options]',
+    '',
+    'Commands:',
+    '  config            Print the effective merged config, its layers and',
+    '                    validation errors (exit 1 when invalid)',
+    '  check <file>      Dry-run an edit: matched rules, per-check results and',
+    '                    the decision, without auditing or consuming overrides',
+    '                    (exit 2 when it would be denied, 3 when the user would be asked)',
+    '      --tool Edit|Write|Bash   Tool to simulate (inferred from the flags)',
+    '      --old <text> --new <text> [--replace-all]   Edit',
+    '      --content-file <file> | --content <text>     Write',
+    '      --command <cmd>                              Bash',
+    '    With no file or --command, a raw hook JSON payload is read from stdin.',
+    '  scan [paths]      Scan project files (respecting .gitignore) for credentials',
+    '                    and list the files each rule covers (exit 2 on findings)',
+    '      --limit <n>              Files listed per rule (default 10)',
+    '      --max-bytes <n>          Skip larger files (default 1 MiB)',
+    '      --format sarif|junit     SARIF 2.1.0 or JUnit XML (also for check)',
+    '  baseline add [paths]   Acknowledge current findings in ' + baselineLib.BASELINE_FILENAME,
+    '      --reason <text> --expires <YYYY-MM-DD> --pattern <name> --line <n>',
+    '                    Asks you to type a code in the terminal to confirm',
+    '  baseline prune [--dry-run]   Drop expired entries and ones whose secret is gone',
+    '  baseline audit    List entries with their status (exit 1 if any are expired or stale)',
+    '  override grant <file>|--glob <pattern>   Sign an override. Run it yourself, in a',
+    '                    terminal: it asks you to type a code to confirm. Creates the key on first use',
+    '      --dry-run                         Check the scope and print the command to run',
+    '      --reason <text> --ttl <seconds>   (default: settings.overrideTTL)',
+    '      --checks <a,b> --rule <name>      Waive only these checks / this rule',
+    '      --uses <n> --session <id>         Tool calls allowed (default 1); one session only',
+    '  override list     Show overrides and whether each is valid, expired or rejected',
+    '  override revoke <id> | --all',
+    '  verify            Check the audit log hash chain across rotated files',
+    '                    (exit 1 when entries were edited, removed or truncated)',
+    '  report            Audit log stats per rule, check, file and day, with the',
+    '                    override rate per rule and noisy rules flagged',
+    '      --since <date|24h|7d|2w> --action <a,b> --rule <name> --file <path|glob>',
+    '      --session <id> --limit <n> (top files, default 10)',
+    '      --format table|json|markdown, or sarif|junit to export the matching',
+    '                    entries\' violations instead of the summary',
+    '',
+    'Global options:',
+    '  --project <dir>   Project root (default: CLAUDE_PROJECT_DIR or cwd)',
+    '  --json            Machine-readable output (same as --format json)',
+  ].join('\n');
+}
+
+async function main() {
+  var args = parseArgs(process.argv.slice(2));
+  var command = args._.shift();
+  if (!command || args.flags.help || !COMMANDS[command]) {
+    console.log(usage());
+    return command && !COMMANDS[command] && !args.flags.help ? 1 : 0;
+  }
+
+  // The hook resolves its project root at load time
+  if (args.flags.project) process.env.CLAUDE_PROJECT_DIR = path.resolve(String(args.flags.project));
+  var guard = require('../hooks/document-guard.js');
+  return COMMANDS[command](guard, args);
+}
+
+main().then(function(code) {
+  process.exitCode = code || 0;
+}).catch(function(err) {
+  console.error('[document-guard] ' + err.message);
+  process.exitCode = 1;
+});
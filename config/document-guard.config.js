@@ -2,12 +2,16 @@
  * Document Guard - Universal Default Configuration
  *
  * Protects common files in any Claude Code project.
- * For project-specific rules, create a project override at:
- *   .claude/hooks/document-guard.config.js
+ * This is the lowest config layer. Add rules on top of it (no copying needed) in:
+ *   ~/.claude/document-guard.config.js                  (user-global)
+ *   .claude/hooks/document-guard.config.js              (project)
+ *   .claude/hooks/document-guard.config.local.js        (local, uncommitted)
+ * Layers merge by rule name; use `disableRules: [...]` to drop a rule here.
  *
  * Tiers:
  *   critical - Block all violations, override requires user approval
  *   high     - Block all violations, override requires user approval
+ *              (a rule with `onViolation: 'ask'` asks in the permission prompt instead)
  *   medium   - Warn but allow (injected into context)
  *   low      - Log only
  *
@@ -23,6 +27,7 @@ module.exports = {
       enabled: true,            // All V1 structural checks
       credentialScan: true,     // Credential pattern detection
       structuralChecks: true,   // section/heading/key/frontmatter/shebang
+      customChecks: true,       // checks from customChecks and .claude/hooks/document-guard-checks/
     },
     v2: {
       enabled: false,           // Semantic checks (requires local Ollama - opt in)
@@ -31,9 +36,17 @@ module.exports = {
       timeout: 5000,            // Hard timeout in ms
       minContentLength: 50,     // Skip semantic check for tiny edits
     },
-    failMode: 'open',           // 'open' = allow on hook error, 'closed' = block on error
-    overrideTTL: 120,            // seconds before override expires
+    failMode: 'open',           // 'open' = allow on hook error, 'closed' = block on error (incl. invalid config);
+                                // per tier: { critical: 'closed', high: 'closed', default: 'open' }
+    checkTimeout: 10000,        // ms before one check counts as failed (check_error)
+    hookTimeout: 30000,         // ms before the whole hook gives up and applies failMode
+    overrideTTL: 120,            // seconds before a granted override expires (`override grant --ttl` overrides it)
     maxViolationsShown: 5,       // limit violations in block message
+    audit: {
+      maxBytes: 5 * 1024 * 1024, // rotate .claude/logs/document-guard.jsonl at this size
+      maxAgeDays: 30,            // ...or once its first entry is this old
+      maxFiles: 10,              // rotated files kept; older ones are deleted
+    },
   },
 
   // --- General Rules (checked for ALL edited files) ---
@@ -78,6 +91,14 @@ module.exports = {
       pattern: '.claude/settings.json',
       tier: 'critical',
       checks: ['key_deletion_protection'],
+      lockedKeys: ['permissions.allow', 'permissions.deny', 'permissions.ask', 'hooks.*'],
+      lockedValues: ['permissions.deny'],    // deny entries may be added, never removed
+    },
+    {
+      name: 'Document Guard config - keep valid',
+      pattern: '.claude/hooks/document-guard.config*.js',
+      tier: 'critical',
+      checks: ['syntax_valid'],
     },
     {
       name: 'CLAUDE.md (nested) - protect structure',
@@ -105,14 +126,31 @@ module.exports = {
       pattern: '.claude/skills/*/SKILL.md',
       tier: 'high',
       checks: ['frontmatter_preservation'],
-      lockedFields: ['name', 'created', 'category'],
+      immutableOnceSet: ['name', 'created', 'category'],
+      requiredFields: ['name', 'description'],
+      fieldSchema: {
+        name: { type: 'string', regex: /^[a-z0-9][a-z0-9-]{0,63}$/ },
+        description: { type: 'string' },
+      },
     },
     {
       name: 'Commands - protect frontmatter routing',
       pattern: '.claude/commands/*.md',
       tier: 'high',
       checks: ['frontmatter_preservation'],
-      lockedFields: ['skill'],
+      immutableOnceSet: ['skill'],
+      fieldSchema: {
+        skill: { type: 'string' },
+        description: { type: 'string' },
+        'allowed-tools': { type: ['string', 'array'] },
+      },
+    },
+    {
+      name: 'Secrets baseline - human-managed',
+      pattern: '.document-guard-baseline.json',
+      tier: 'high',
+      checks: ['no_write_allowed'],
+      message: 'The secrets baseline acknowledges credential findings. Ask the user to run: bin/document-guard.js baseline add',
     },
 
     // ===== MEDIUM TIER =====
@@ -148,6 +186,38 @@ module.exports = {
     { name: 'Database URL',       regex: /(?:postgres|mysql|mongodb):\/\/[^:]+:[^@\s]+@/ },
   ],
 
+  // --- Tool Input Mappings (extend to guard other MCP filesystem servers) ---
+  // Built-in: Edit, MultiEdit, Write, NotebookEdit, mcp__filesystem__edit_file,
+  // mcp__filesystem__write_file. Each tool also needs a PreToolUse matcher.
+  // kind: 'edit' | 'edits' | 'write' | 'notebook'
+  toolInputs: {
+    // mcp__myfs__write: { kind: 'write', path: 'path', content: 'content' },
+    // mcp__myfs__patch: { kind: 'edits', path: 'path', edits: 'edits', old: 'oldText', new: 'newText' },
+  },
+
+  // --- Entropy Detection (opt-in, part of credential_scan) ---
+  // Catches secrets the patterns above miss: high-entropy values assigned to
+  // names like *_KEY/*_TOKEN, .npmrc _authToken= lines, long base64 blobs.
+  // Findings below blockConfidence warn (medium) instead of blocking.
+  entropyDetection: {
+    enabled: false,
+    minLength: 20,              // shortest value considered
+    minConfidence: 0.5,         // ignore findings below this
+    blockConfidence: 0.8,       // critical at or above, medium below
+    thresholds: { hex: 3.0, alnum: 3.7, base64: 4.0, mixed: 3.5 },  // bits per char
+    keywords: ['key', 'token', 'secret', 'password', 'passwd', 'pwd', 'credential', 'auth', 'private'],
+    // Per-file-type tuning, matched on the file name
+    fileTypes: {
+      '*.lock': { enabled: false },
+      'package-lock.json': { enabled: false },
+      'go.sum': { enabled: false },
+      '*.svg': { enabled: false },
+      '*.md': { confidenceAdjust: -0.2 },
+      '.npmrc': { confidenceAdjust: 0.1 },
+      '.env*': { confidenceAdjust: 0.1 },
+    },
+  },
+
   // --- Placeholder Patterns (false positive exclusions) ---
   placeholderPatterns: [
     /example/i, /placeholder/i, /your[_-]/i, /test[_-]/i,
@@ -5,21 +5,44 @@
  * Validates file edits against protection policies before allowing changes.
  * Blocks unauthorized modifications to critical infrastructure files.
  *
- * Covers: Edit, Write, mcp__filesystem__edit_file, mcp__filesystem__write_file
+ * Covers: Edit, MultiEdit, Write, NotebookEdit, mcp__filesystem__edit_file,
+ *         mcp__filesystem__write_file (plus any tool mapped via config.toolInputs),
+ *         Bash (write targets of redirections, sed -i, tee, cp/mv/rm, truncate, git checkout)
  *
- * Config loading (two-tier):
- *   1. Project: <project>/.claude/hooks/document-guard.config.js
- *   2. Plugin:  <plugin>/config/document-guard.config.js
+ * Config loading (layered, lowest precedence first):
+ *   1. Plugin:  <plugin>/config/document-guard.config.js
+ *   2. User:    ~/.claude/document-guard.config.js
+ *   3. Project: <project>/.claude/hooks/document-guard.config.js
+ *   4. Local:   <project>/.claude/hooks/document-guard.config.local.js (uncommitted)
+ *   Merge semantics: lib/config-layers.js. Print with: bin/document-guard.js config
+ *   Custom check modules: <project>/.claude/hooks/document-guard-checks/*.js
  *
- * Overrides: <project>/.claude/logs/.document-guard-overrides.json
- * Audit:     <project>/.claude/logs/document-guard.jsonl
+ * Overrides: <project>/.claude/logs/.document-guard-overrides.json (HMAC-signed by
+ *            `bin/document-guard.js override grant`, see lib/override-signing.js)
+ * Audit:     <project>/.claude/logs/document-guard.jsonl (hash-chained and rotated,
+ *            see lib/audit-log.js; check with `bin/document-guard.js verify`)
  *
  * Based on AIProjects Document Guard v2.1.0
  * Plugin version: 1.0.0
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const os = require('os');
+const { applyLayer, emptyConfig } = require('../lib/config-layers');
+const { validateConfig, formatValidationErrors, ConfigError } = require('../lib/config-validator');
+const { analyzeShellCommand, mentionedPaths, MAX_DIR_FILES } = require('../lib/shell-analyzer');
+const structured = require('../lib/structured-data');
+const { findCredentials, redactSecret, lineColumn } = require('../lib/credentials');
+const { entropyOptionsFor, detectSecrets } = require('../lib/entropy');
+const baselineLib = require('../lib/baseline');
+const signing = require('../lib/override-signing');
+const auditLib = require('../lib/audit-log');
+const { diffLines, summarizeDiff } = require('../lib/line-diff');
+const syntaxCheck = require('../lib/syntax-check');
+const frontmatterLib = require('../lib/frontmatter');
 
 // --- Constants ---
 
@@ -30,27 +53,84 @@ const PROJECT_DIR = process.env.CLAUDE_PROJECT_DIR || process.cwd();
 const LOG_DIR = path.join(PROJECT_DIR, '.claude', 'logs');
 const OVERRIDE_FILE = path.join(LOG_DIR, '.document-guard-overrides.json');
 const AUDIT_FILE = path.join(LOG_DIR, 'document-guard.jsonl');
-
-const EDIT_TOOLS = new Set([
-  'Edit', 'Write',
-  'mcp__filesystem__edit_file', 'mcp__filesystem__write_file',
-]);
+const PENDING_ASKS_FILE = path.join(LOG_DIR, '.document-guard-pending-asks.json');
+// Hash of the config errors last audited, so each distinct set is logged once
+const CONFIG_ERROR_FILE = path.join(LOG_DIR, '.document-guard-config-error.json');
+const CUSTOM_CHECKS_DIR = path.join(PROJECT_DIR, '.claude', 'hooks', 'document-guard-checks');
+// An ask with no successful tool call within this window counts as rejected
+const ASK_ANSWER_WINDOW_MS = 10 * 60 * 1000;
+// Defaults for settings.checkTimeout and settings.hookTimeout (Claude Code kills hooks after 60s)
+const CHECK_TIMEOUT_MS = 10000;
+const HOOK_TIMEOUT_MS = 30000;
+const HOOK_STARTED = Date.now();
+
+// Tool-to-input mappings. `kind` selects how the input is normalized:
+//   edit     - one old/new pair        (fields: old, new, replaceAll)
+//   edits    - array of old/new pairs  (fields: edits, old, new, replaceAll)
+//   write    - full file content       (fields: content)
+//   notebook - Jupyter cell edit       (fields: cell, source, mode)
+// `path` names the input field holding the target file. Configs can map
+// additional tools (e.g. other MCP filesystem servers) via `toolInputs`.
+const TOOL_INPUTS = {
+  Edit: { kind: 'edit', path: 'file_path', old: 'old_string', new: 'new_string', replaceAll: 'replace_all' },
+  MultiEdit: { kind: 'edits', path: 'file_path', edits: 'edits', old: 'old_string', new: 'new_string', replaceAll: 'replace_all' },
+  Write: { kind: 'write', path: 'file_path', content: 'content' },
+  NotebookEdit: { kind: 'notebook', path: 'notebook_path', cell: 'cell_id', source: 'new_source', mode: 'edit_mode' },
+  mcp__filesystem__edit_file: { kind: 'edits', path: 'path', edits: 'edits', old: 'oldText', new: 'newText' },
+  mcp__filesystem__write_file: { kind: 'write', path: 'path', content: 'content' },
+};
+
+const SHELL_TOOL = 'Bash';
 
 // --- Hook Output Helpers ---
 // Claude Code PreToolUse hooks require hookSpecificOutput format
 
-function hookAllow(additionalContext) {
-  var output = { hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'allow' } };
-  if (additionalContext) output.hookSpecificOutput.additionalContext = additionalContext;
-  console.log(JSON.stringify(output));
+// Set when an invalid config was replaced by the plugin default (failMode 'open')
+let configNotice = null;
+
+// Only the first decision is printed (a hook timeout may decide before main() does)
+let decided = false;
+
+function decideOnce() {
+  if (decided) return false;
+  decided = true;
+  return true;
+}
+
+function withConfigNotice(text) {
+  if (!configNotice) return text;
+  return text ? text + '\n' + configNotice : configNotice;
+}
+
+// Lets the tool call continue to Claude Code's own permission handling. The
+// guard only ever denies or asks: an 'allow' would skip the user's prompt for
+// every call it passes, including Bash commands it has nothing to say about.
+function hookPass(additionalContext) {
+  if (!decideOnce()) return;
+  additionalContext = withConfigNotice(additionalContext);
+  if (!additionalContext) return;
+  console.log(JSON.stringify({ hookSpecificOutput: { hookEventName: 'PreToolUse', additionalContext: additionalContext } }));
 }
 
 function hookDeny(reason) {
+  if (!decideOnce()) return;
   console.log(JSON.stringify({
     hookSpecificOutput: {
       hookEventName: 'PreToolUse',
       permissionDecision: 'deny',
-      permissionDecisionReason: reason,
+      permissionDecisionReason: withConfigNotice(reason),
+    },
+  }));
+}
+
+// Hands the decision to the user through Claude Code's permission prompt
+function hookAsk(reason) {
+  if (!decideOnce()) return;
+  console.log(JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'ask',
+      permissionDecisionReason: withConfigNotice(reason),
     },
   }));
 }
@@ -58,33 +138,171 @@ function hookDeny(reason) {
 // --- Config Cache ---
 
 let configCache = null;
-let configMtime = 0;
-let configSource = null;
+let configKey = null;
+let configInfo = null;
+
+// Config layers, lowest precedence first
+function configLayerPaths() {
+  return [
+    { source: 'plugin-default', path: path.join(PLUGIN_ROOT, 'config', 'document-guard.config.js') },
+    { source: 'user', path: path.join(os.homedir(), '.claude', 'document-guard.config.js') },
+    { source: 'project', path: path.join(PROJECT_DIR, '.claude', 'hooks', 'document-guard.config.js') },
+    { source: 'local', path: path.join(PROJECT_DIR, '.claude', 'hooks', 'document-guard.config.local.js') },
+  ];
+}
 
-async function loadConfig() {
-  // Two-tier config: project override takes precedence over plugin default
-  const projectConfig = path.join(PROJECT_DIR, '.claude', 'hooks', 'document-guard.config.js');
-  const pluginConfig = path.join(PLUGIN_ROOT, 'config', 'document-guard.config.js');
+function requireFresh(file) {
+  delete require.cache[require.resolve(file)];
+  return require(file);
+}
 
-  const candidates = [
-    { path: projectConfig, source: 'project' },
-    { path: pluginConfig, source: 'plugin-default' },
-  ];
+function mergeLayers(present, meta) {
+  var config = emptyConfig();
+  for (var j = 0; j < present.length; j++) {
+    try {
+      var layer = requireFresh(present[j].path);
+      meta.files.push({ source: present[j].source, path: present[j].path });
+      config = applyLayer(config, layer, present[j].path, requireFresh, meta, present[j].source);
+    } catch (err) {
+      meta.errors.push({ source: present[j].source, path: present[j].path, message: err.message });
+    }
+  }
+  return config;
+}
+
+// Check modules in CUSTOM_CHECKS_DIR, by name
+async function customCheckFiles() {
+  var names;
+  try {
+    names = await fs.readdir(CUSTOM_CHECKS_DIR);
+  } catch (err) {
+    return [];
+  }
+  var files = [];
+  var jsFiles = names.filter(function(n) { return /\.js$/.test(n); }).sort();
+  for (var i = 0; i < jsFiles.length; i++) {
+    var file = path.join(CUSTOM_CHECKS_DIR, jsFiles[i]);
+    try {
+      files.push({ path: file, mtimeMs: (await fs.stat(file)).mtimeMs });
+    } catch (err) { continue; }
+  }
+  return files;
+}
 
-  for (const candidate of candidates) {
+// Each module registers one check named after its file (lint-links.js -> lint-links).
+// A name that the config layers already define is an error, not an override.
+function loadCheckModules(config, files, meta) {
+  if (files.length === 0) return config;
+  var checks = Object.assign({}, config.customChecks);
+  for (var i = 0; i < files.length; i++) {
+    var name = path.basename(files[i].path, '.js');
     try {
-      const stat = await fs.stat(candidate.path);
-      if (candidate.source !== configSource || stat.mtimeMs > configMtime) {
-        delete require.cache[require.resolve(candidate.path)];
-        configCache = require(candidate.path);
-        configMtime = stat.mtimeMs;
-        configSource = candidate.source;
+      var definition = requireFresh(files[i].path);
+      if (checks[name] !== undefined) {
+        meta.checkErrors.push({ path: files[i].path, message: 'check "' + name + '" is already defined in the ' + meta.checkOrigins[name] + ' config' });
+        continue;
       }
-      return configCache;
+      checks[name] = definition;
+      meta.checkOrigins[name] = path.relative(PROJECT_DIR, files[i].path);
+    } catch (err) {
+      meta.checkErrors.push({ path: files[i].path, message: err.message });
+    }
+  }
+  return Object.assign({}, config, { customChecks: checks });
+}
+
+// Schema check plus layer load failures, which are errors too: silently
+// skipping a broken layer would drop the rules it was meant to add
+function validateMerged(config, meta) {
+  var result = validateConfig(config, { validatePattern: validatePattern, compileGlob: globToRegExp });
+  var loadErrors = meta.errors.map(function(e) {
+    return { path: e.source, rule: null, message: 'Failed to load ' + e.source + ' config (' + e.path + '): ' + e.message };
+  }).concat((meta.checkErrors || []).map(function(e) {
+    return { path: 'customChecks', rule: null, message: 'Custom check module ' + e.path + ': ' + e.message };
+  }));
+  var duplicateErrors = meta.duplicates.map(function(d) {
+    return { path: 'rules', rule: d.name, message: 'Rule "' + d.name + '": defined more than once in the ' + d.source + ' config (only the last definition applies)' };
+  });
+  var disableWarnings = meta.disabled.filter(function(d) { return !d.found; }).map(function(d) {
+    return { path: 'disableRules', rule: d.name, message: 'disableRules in ' + d.source + ' names unknown rule "' + d.name + '"' };
+  });
+  return { errors: loadErrors.concat(duplicateErrors, result.errors), warnings: disableWarnings.concat(result.warnings) };
+}
+
+/**
+ * Loads, merges and validates the config layers.
+ *
+ * An invalid config is never used as-is. When settings.failMode is 'closed'
+ * (for any tier, see failModeFor) a ConfigError is thrown and the hook denies;
+ * otherwise the plugin default is used on its own and a notice is attached to
+ * every hook decision.
+ *
+ * @returns {Promise<object|null>} Config, or null when no usable config exists
+ * @throws {ConfigError}
+ */
+async function loadConfig() {
+  var present = [];
+  var layers = configLayerPaths();
+  for (var i = 0; i < layers.length; i++) {
+    try {
+      var stat = await fs.stat(layers[i].path);
+      present.push({ source: layers[i].source, path: layers[i].path, mtimeMs: stat.mtimeMs });
     } catch (err) { continue; }
   }
-  console.error('[document-guard] No config found');
-  return null;
+  if (present.length === 0) {
+    console.error('[document-guard] No config found');
+    return null;
+  }
+
+  var checkFiles = await customCheckFiles();
+  var key = present.concat(checkFiles).map(function(p) { return p.path + ':' + p.mtimeMs; }).join('|');
+  if (configCache && key === configKey) return configCache;
+
+  var meta = { files: [], origins: {}, checkOrigins: {}, disabled: [], duplicates: [], errors: [], checkErrors: [] };
+  var config = loadCheckModules(mergeLayers(present, meta), checkFiles, meta);
+  var validation = validateMerged(config, meta);
+  meta.validation = validation;
+  meta.fallback = false;
+  configInfo = meta;
+
+  for (var w = 0; w < validation.warnings.length; w++) {
+    console.error('[document-guard] Config warning: ' + validation.warnings[w].message);
+  }
+
+  if (validation.errors.length === 0) {
+    // A later breakage is audited again, even with the same errors as before
+    await fs.unlink(CONFIG_ERROR_FILE).catch(function() {});
+  } else {
+    console.error('[document-guard] Invalid config:\n' + formatValidationErrors(validation.errors));
+    if (failModeFor(config.settings) === 'closed') throw new ConfigError(validation.errors);
+
+    // Fail open to the plugin default alone, never to "no protection"
+    var defaultLayer = present.filter(function(p) { return p.source === 'plugin-default'; });
+    var fallbackMeta = { files: [], origins: {}, checkOrigins: {}, disabled: [], duplicates: [], errors: [] };
+    var fallback = mergeLayers(defaultLayer, fallbackMeta);
+    if (defaultLayer.length === 0 || validateMerged(fallback, fallbackMeta).errors.length > 0) {
+      console.error('[document-guard] Plugin default config is unusable too; guard disabled');
+      return null;
+    }
+    meta.fallback = true;
+    meta.origins = fallbackMeta.origins;
+    meta.checkOrigins = fallbackMeta.checkOrigins;
+    config = fallback;
+    configNotice = 'Document Guard: config has ' + validation.errors.length + ' error(s), so only the plugin default rules are enforced. ' +
+      'Run: node "' + path.join(PLUGIN_ROOT, 'bin', 'document-guard.js') + '" config';
+  }
+
+  configCache = config;
+  configKey = key;
+  // The hook deadline starts with the default; the config may change it
+  if (hookTimer) armHookTimeout(config.settings.hookTimeout);
+  return config;
+}
+
+// Provenance of the last loaded config: layer files, rule origins, disabled
+// rules, validation results and whether the plugin default was used instead
+function getConfigInfo() {
+  return configInfo;
 }
 
 // --- Toggle Resolver ---
@@ -97,7 +315,7 @@ function resolveToggles(config) {
   if (envVal !== undefined) {
     var envEnabled = envVal !== 'false' && envVal !== '0' && envVal !== '';
     if (!envEnabled) {
-      return { masterEnabled: false, v1Enabled: false, credentialScan: false, structuralChecks: false, v2Enabled: false, v2Settings: {} };
+      return { masterEnabled: false, v1Enabled: false, credentialScan: false, structuralChecks: false, customChecks: false, v2Enabled: false, v2Settings: {} };
     }
   }
 
@@ -110,6 +328,7 @@ function resolveToggles(config) {
     v1Enabled: masterEnabled && v1.enabled !== false,
     credentialScan: masterEnabled && v1.enabled !== false && v1.credentialScan !== false,
     structuralChecks: masterEnabled && v1.enabled !== false && v1.structuralChecks !== false,
+    customChecks: masterEnabled && v1.enabled !== false && v1.customChecks !== false,
     v2Enabled: masterEnabled && v2.enabled === true,
     v2Settings: {
       ollamaUrl: v2.ollamaUrl || 'http://localhost:11434',
@@ -120,12 +339,77 @@ function resolveToggles(config) {
   };
 }
 
+// --- Fail Mode ---
+
+const TIER_NAMES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * What a failure resolves to. settings.failMode is 'open' (let through), 'closed'
+ * (deny) or per tier, e.g. { critical: 'closed', high: 'closed', default: 'open' }.
+ * Failures not tied to one rule (bad hook input, crashes, hook timeouts,
+ * invalid config) use the strictest mode configured for any tier.
+ *
+ * @param {object} [settings]
+ * @param {string} [tier] - Tier of the rule whose check failed
+ * @returns {'open'|'closed'}
+ */
+function failModeFor(settings, tier) {
+  var mode = settings && settings.failMode;
+  if (mode === 'open' || mode === 'closed') return mode;
+  if (!mode || typeof mode !== 'object') return 'open';
+  var modeOf = function(t) { return mode[t] || mode.default || 'open'; };
+  if (tier) return modeOf(tier);
+  return TIER_NAMES.some(function(t) { return modeOf(t) === 'closed'; }) ? 'closed' : 'open';
+}
+
+function withTimeout(promise, ms) {
+  var timer;
+  var timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() { reject(new Error('timed out after ' + ms + ' ms')); }, ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(function() { clearTimeout(timer); });
+}
+
+/**
+ * Runs one check so that a throw or a timeout (settings.checkTimeout) can't
+ * abort the others. The failure becomes a `check_error` violation: with
+ * failMode 'closed' for the rule's tier it keeps that tier (a critical rule
+ * blocks), with 'open' it is downgraded to low (logged only).
+ *
+ * @returns {Promise<{violations: Array, error: boolean}>}
+ */
+async function runIsolated(config, tier, check, run) {
+  try {
+    var ms = config.settings.checkTimeout || CHECK_TIMEOUT_MS;
+    return { violations: await withTimeout(Promise.resolve().then(run), ms), error: false };
+  } catch (err) {
+    console.error('[document-guard] Check ' + check + ' failed: ' + err.message);
+    var closed = failModeFor(config.settings, tier) === 'closed';
+    return {
+      error: true,
+      violations: [{
+        check: 'check_error',
+        tier: closed ? tier : 'low',
+        failedCheck: check,
+        message: 'Check ' + check + ' failed: ' + err.message + (closed ? ' (failMode closed)' : ' (failMode open, not enforced)'),
+      }],
+    };
+  }
+}
+
 // --- Path Helpers ---
 
-function extractFilePath(toolName, toolInput) {
-  if (toolName === 'Edit' || toolName === 'Write') return toolInput?.file_path;
-  if (toolName === 'mcp__filesystem__edit_file' || toolName === 'mcp__filesystem__write_file') return toolInput?.path;
-  return null;
+function getToolMapping(toolName, config) {
+  var custom = config && config.toolInputs;
+  if (custom && Object.prototype.hasOwnProperty.call(custom, toolName)) return custom[toolName];
+  return Object.prototype.hasOwnProperty.call(TOOL_INPUTS, toolName) ? TOOL_INPUTS[toolName] : null;
+}
+
+function extractFilePath(toolName, toolInput, config) {
+  var mapping = getToolMapping(toolName, config);
+  if (!mapping || !toolInput) return null;
+  return toolInput[mapping.path || 'file_path'];
 }
 
 function toRelativePath(absolutePath) {
@@ -158,9 +442,7 @@ function validatePattern(pattern) {
 
 // --- Glob Matching ---
 
-function matchGlob(pattern, filePath) {
-  if (!validatePattern(pattern)) return false;
-
+function globToRegExp(pattern) {
   let regex = pattern
     .replace(/[.+^${}()|[\]\\]/g, '\\$&')
     .replace(/\*\*\//g, '<<<GLOBSTAR_SLASH>>>')
@@ -174,7 +456,12 @@ function matchGlob(pattern, filePath) {
     regex = '(?:^|/)' + regex;
   }
 
-  return new RegExp(regex + '$').test(filePath);
+  return new RegExp(regex + '$');
+}
+
+function matchGlob(pattern, filePath) {
+  if (!validatePattern(pattern)) return false;
+  return globToRegExp(pattern).test(filePath);
 }
 
 function patternSpecificity(pattern) {
@@ -199,28 +486,160 @@ function findMatchingRules(config, relativePath) {
 
 // --- Edit Content Extraction ---
 
-function getEditInfo(toolName, toolInput) {
-  if (toolName === 'Edit') {
-    return {
-      edits: [{ oldText: toolInput.old_string || '', newText: toolInput.new_string || '' }],
-      isFullWrite: false,
-    };
+function normalizeEdit(mapping, e) {
+  return {
+    oldText: e[mapping.old || 'old_string'] || '',
+    newText: e[mapping.new || 'new_string'] || '',
+    replaceAll: mapping.replaceAll ? e[mapping.replaceAll] === true : false,
+  };
+}
+
+function cellSource(cell) {
+  if (!cell) return '';
+  return Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+}
+
+// NotebookEdit targets one cell; the current source is read from the notebook
+// so replace/delete can be compared like a regular old/new edit.
+async function getNotebookEditInfo(mapping, toolInput, absolutePath) {
+  var cellId = toolInput[mapping.cell || 'cell_id'];
+  var mode = toolInput[mapping.mode || 'edit_mode'] || 'replace';
+  var newSource = toolInput[mapping.source || 'new_source'] || '';
+  var oldSource = '';
+
+  if (mode !== 'insert' && absolutePath) {
+    try {
+      var notebook = JSON.parse(await fs.readFile(absolutePath, 'utf8'));
+      var cells = notebook.cells || [];
+      var cell = null;
+      for (var i = 0; i < cells.length; i++) {
+        if (cells[i].id === cellId) { cell = cells[i]; break; }
+      }
+      if (!cell && /^\d+$/.test(String(cellId))) cell = cells[Number(cellId)];
+      oldSource = cellSource(cell);
+    } catch (e) { /* New or unreadable notebook */ }
   }
-  if (toolName === 'Write') {
-    return { fullContent: toolInput.content || '', isFullWrite: true };
+
+  return {
+    edits: [{ oldText: oldSource, newText: mode === 'delete' ? '' : newSource }],
+    isFullWrite: false,
+    notebook: { cellId: cellId, editMode: mode, cellType: toolInput.cell_type || null },
+  };
+}
+
+async function getEditInfo(toolName, toolInput, absolutePath, config) {
+  var mapping = getToolMapping(toolName, config);
+  if (!mapping || !toolInput) return null;
+
+  if (mapping.kind === 'edit') {
+    return { edits: [normalizeEdit(mapping, toolInput)], isFullWrite: false };
   }
-  if (toolName === 'mcp__filesystem__edit_file') {
-    var edits = (toolInput.edits || []).map(function(e) {
-      return { oldText: e.oldText || '', newText: e.newText || '' };
+  if (mapping.kind === 'edits') {
+    var edits = (toolInput[mapping.edits || 'edits'] || []).map(function(e) {
+      return normalizeEdit(mapping, e || {});
     });
     return { edits: edits, isFullWrite: false };
   }
-  if (toolName === 'mcp__filesystem__write_file') {
-    return { fullContent: toolInput.content || '', isFullWrite: true };
+  if (mapping.kind === 'write') {
+    return { fullContent: toolInput[mapping.content || 'content'] || '', isFullWrite: true };
+  }
+  if (mapping.kind === 'notebook') {
+    return getNotebookEditInfo(mapping, toolInput, absolutePath);
   }
   return null;
 }
 
+// --- Document Reconstruction ---
+
+// Applies one old/new pair the way Edit does: first occurrence, or every
+// occurrence with replace_all. Returns null if old text is not present
+// (the tool itself would fail, so the snippet fallback is used instead).
+function applyEdit(text, edit) {
+  if (edit.oldText === '') return null;
+  var idx = text.indexOf(edit.oldText);
+  if (idx === -1) return null;
+  if (edit.replaceAll) return text.split(edit.oldText).join(edit.newText);
+  return text.slice(0, idx) + edit.newText + text.slice(idx + edit.oldText.length);
+}
+
+// Notebooks are compared as their concatenated cell sources, which is what
+// heading/section/credential rules care about (not the .ipynb JSON envelope).
+function applyNotebookEdit(raw, editInfo) {
+  var notebook = JSON.parse(raw);
+  var cells = (notebook.cells || []).map(cellSource);
+  var nb = editInfo.notebook;
+  var idx = -1;
+  for (var i = 0; i < (notebook.cells || []).length; i++) {
+    if (notebook.cells[i].id === nb.cellId) { idx = i; break; }
+  }
+  if (idx === -1 && /^\d+$/.test(String(nb.cellId))) idx = Number(nb.cellId);
+
+  var before = cells.join('\n\n');
+  var after = cells.slice();
+  var newText = editInfo.edits[0].newText;
+  if (nb.editMode === 'insert') {
+    // Inserted after the referenced cell, or at the top without one
+    after.splice(idx === -1 ? 0 : idx + 1, 0, newText);
+  } else if (idx === -1 || idx >= cells.length) {
+    return null;
+  } else if (nb.editMode === 'delete') {
+    after.splice(idx, 1);
+  } else {
+    after[idx] = newText;
+  }
+  return { before: before, after: after.join('\n\n') };
+}
+
+// Reads the current file and builds the full before/after documents so
+// structural checks see the whole result, not just the edit snippet.
+// Sets editInfo.before / editInfo.after / editInfo.reconstructed.
+async function reconstructDocuments(editInfo, absolutePath) {
+  editInfo.reconstructed = false;
+  var current = null;
+  try {
+    current = await fs.readFile(absolutePath, 'utf8');
+  } catch (e) { /* New or unreadable file */ }
+
+  if (editInfo.isFullWrite) {
+    editInfo.before = current;
+    editInfo.after = editInfo.fullContent || '';
+    editInfo.reconstructed = current !== null;
+    return editInfo;
+  }
+  if (current === null) return editInfo;
+
+  if (editInfo.notebook) {
+    try {
+      var docs = applyNotebookEdit(current, editInfo);
+      if (docs) {
+        editInfo.before = docs.before;
+        editInfo.after = docs.after;
+        editInfo.reconstructed = true;
+      }
+    } catch (e) { /* Not valid notebook JSON - fall back to snippets */ }
+    return editInfo;
+  }
+
+  var after = current;
+  for (var i = 0; i < (editInfo.edits || []).length; i++) {
+    after = applyEdit(after, editInfo.edits[i]);
+    if (after === null) return editInfo;
+  }
+  editInfo.before = current;
+  editInfo.after = after;
+  editInfo.reconstructed = true;
+  return editInfo;
+}
+
+// Before/after text pairs for structural checks: the full documents when
+// reconstructed, otherwise each edit snippet. A full write to a new file
+// has nothing to preserve.
+function comparisonPairs(editInfo) {
+  if (editInfo.reconstructed) return [{ oldText: editInfo.before, newText: editInfo.after }];
+  if (editInfo.isFullWrite) return [];
+  return editInfo.edits || [];
+}
+
 // ============================================================
 // CHECK IMPLEMENTATIONS
 // ============================================================
@@ -233,85 +652,193 @@ function checkNoWriteAllowed(rule, editInfo, relativePath) {
   }];
 }
 
-function checkCredentialScan(config, editInfo) {
-  var violations = [];
-  var patterns = config.credentialPatterns || [];
-  var placeholders = config.placeholderPatterns || [];
-  var textsToScan = [];
+async function loadProjectBaseline() {
+  var baseline = await baselineLib.loadBaseline(PROJECT_DIR);
+  if (baseline.error) console.error('[document-guard] Baseline ignored: ' + baseline.error);
+  return baseline;
+}
 
+// Texts a credential scan covers, each with where it lands in the resulting
+// file (`doc` + `offset`) when that is known
+function credentialScanTargets(editInfo) {
   if (editInfo.isFullWrite) {
-    textsToScan.push(editInfo.fullContent);
-  } else if (editInfo.edits) {
-    for (var i = 0; i < editInfo.edits.length; i++) {
-      textsToScan.push(editInfo.edits[i].newText);
-    }
-  }
-
-  for (var t = 0; t < textsToScan.length; t++) {
-    var text = textsToScan[t];
-    for (var p = 0; p < patterns.length; p++) {
-      var match = text.match(patterns[p].regex);
-      if (match) {
-        var matchedText = match[0];
-        var isPlaceholder = false;
-        for (var pl = 0; pl < placeholders.length; pl++) {
-          if (placeholders[pl].test(matchedText)) { isPlaceholder = true; break; }
-        }
-        if (!isPlaceholder) {
-          violations.push({
-            check: 'credential_scan',
-            tier: 'critical',
-            message: 'Potential ' + patterns[p].name + ' detected in edit content',
-          });
-        }
-      }
+    return [{ text: editInfo.fullContent, doc: editInfo.fullContent, offset: 0, label: editInfo.contentLabel || null }];
+  }
+  return (editInfo.edits || []).map(function(e) {
+    if (editInfo.notebook) return { text: e.newText, doc: e.newText, offset: 0, label: 'cell ' + (editInfo.notebook.cellId || '(new)') };
+    var idx = editInfo.reconstructed && typeof editInfo.after === 'string' ? editInfo.after.indexOf(e.newText) : -1;
+    if (idx !== -1) return { text: e.newText, doc: editInfo.after, offset: idx, label: null };
+    return { text: e.newText, doc: null, offset: 0, label: 'new text' };
+  });
+}
+
+// One line of text, trimmed and shortened for block messages
+function excerptLine(text, lineNumber) {
+  var line = (text.split('\n')[lineNumber - 1] || '').trim();
+  return line.length > 160 ? line.slice(0, 157) + '...' : line;
+}
+
+// The finding's line of the scanned text with every secret on it redacted
+function redactedContextLine(text, findings, finding) {
+  var redacted = text;
+  for (var i = findings.length - 1; i >= 0; i--) {
+    var f = findings[i];
+    redacted = redacted.slice(0, f.index) + redactSecret(f.match) + redacted.slice(f.index + f.length);
+  }
+  return excerptLine(redacted, finding.line);
+}
+
+/**
+ * Regex credentialPatterns plus, when config.entropyDetection is enabled, the
+ * entropy/context detector. Detector findings below blockConfidence are
+ * medium tier (warn) instead of critical.
+ *
+ * @returns {Array} Findings with { pattern, index, length, line, column, match, confidence? }
+ */
+function findSecrets(config, text, relativePath) {
+  var findings = findCredentials(text, config.credentialPatterns, config.placeholderPatterns);
+  var options = entropyOptionsFor(config.entropyDetection, relativePath);
+  if (!options) return findings;
+  var detected = detectSecrets(text, options, config.placeholderPatterns).filter(function(d) {
+    return !findings.some(function(f) { return d.index < f.index + f.length && d.index + d.length > f.index; });
+  });
+  for (var d = 0; d < detected.length; d++) {
+    var loc = lineColumn(text, detected[d].index);
+    detected[d].line = loc.line;
+    detected[d].column = loc.column;
+    detected[d].tier = detected[d].confidence >= options.blockConfidence ? 'critical' : 'medium';
+  }
+  return findings.concat(detected).sort(function(a, b) { return a.index - b.index; });
+}
+
+// Findings acknowledged in .document-guard-baseline.json are skipped
+function checkCredentialScan(config, editInfo, relativePath, baseline) {
+  var violations = [];
+  var targets = credentialScanTargets(editInfo);
+
+  for (var t = 0; t < targets.length; t++) {
+    var target = targets[t];
+    var all = findSecrets(config, target.text, relativePath);
+    var findings = baselineLib.partitionBaselined(all, baseline, relativePath).findings;
+    for (var f = 0; f < findings.length; f++) {
+      var finding = findings[f];
+      // Location in the resulting file when known, otherwise within the scanned text
+      var loc = target.doc && target.doc !== target.text ? lineColumn(target.doc, target.offset + finding.index) : finding;
+      var preview = redactSecret(finding.match);
+      var violation = {
+        check: 'credential_scan',
+        tier: finding.tier || 'critical',
+        message: (finding.confidence !== undefined ? 'Possible secret (' + finding.pattern + ', confidence ' + finding.confidence + ')' : 'Potential ' + finding.pattern) +
+          ' at line ' + loc.line + ', column ' + loc.column + (target.label ? ' of ' + target.label : '') + ': ' + preview,
+        pattern: finding.pattern,
+        line: loc.line,
+        column: loc.column,
+        preview: preview,
+        context: redactedContextLine(target.text, all, finding),
+      };
+      if (finding.confidence !== undefined) violation.confidence = finding.confidence;
+      violations.push(violation);
     }
   }
   return violations;
 }
 
 function findRemovedKeys(oldText, newText) {
-  var keyRegex = /^([a-zA-Z_][\w_-]*)\s*:/gm;
+  // Unquoted YAML-style keys at column 0, plus quoted JSON keys at any depth
+  // (a snippet carries no reliable nesting information)
+  var keyRegex = /^(?:([a-zA-Z_][\w_-]*)|\s*"((?:[^"\\]|\\.)+)")\s*:/gm;
   var oldKeys = {};
   var newKeys = {};
   var m;
-  while ((m = keyRegex.exec(oldText)) !== null) oldKeys[m[1]] = true;
+  while ((m = keyRegex.exec(oldText)) !== null) oldKeys[m[1] || m[2]] = true;
   keyRegex.lastIndex = 0;
-  while ((m = keyRegex.exec(newText)) !== null) newKeys[m[1]] = true;
+  while ((m = keyRegex.exec(newText)) !== null) newKeys[m[1] || m[2]] = true;
   var removed = [];
   for (var k in oldKeys) { if (!newKeys[k]) removed.push(k); }
   return removed;
 }
 
-async function checkKeyDeletion(editInfo, absolutePath) {
+function keyViolation(message) {
+  return { check: 'key_deletion_protection', tier: 'critical', message: message };
+}
+
+// Parses both documents by file type and diffs them by dotted key path.
+// Returns null when the original can't be parsed (caller falls back to regex).
+function checkStructuredKeys(rule, before, after, format) {
+  var oldDoc;
+  try {
+    oldDoc = structured.parseStructured(before, format);
+  } catch (e) {
+    return null;
+  }
   var violations = [];
-  if (editInfo.isFullWrite) {
-    try {
-      var current = await fs.readFile(absolutePath, 'utf8');
-      var removed = findRemovedKeys(current, editInfo.fullContent);
-      for (var i = 0; i < removed.length; i++) {
-        violations.push({
-          check: 'key_deletion_protection',
-          tier: 'critical',
-          message: "Top-level key '" + removed[i] + "' would be removed",
-        });
+  var newDoc;
+  try {
+    newDoc = structured.parseStructured(after, format);
+  } catch (e) {
+    var where = e.line ? ' (line ' + e.line + (e.column ? ', column ' + e.column : '') + ')' : '';
+    return [keyViolation('File would no longer parse as ' + format.toUpperCase() + where + '; protected keys cannot be verified')];
+  }
+
+  // Every top-level key is protected against removal
+  if (structured.isPlainObject(oldDoc)) {
+    for (var key in oldDoc) {
+      if (!structured.hasKeyPath(newDoc, key)) {
+        violations.push(keyViolation("Top-level key '" + key + "' would be removed"));
       }
-    } catch (e) { /* New file */ }
-  } else if (editInfo.edits) {
-    for (var j = 0; j < editInfo.edits.length; j++) {
-      var removed2 = findRemovedKeys(editInfo.edits[j].oldText, editInfo.edits[j].newText);
-      for (var k = 0; k < removed2.length; k++) {
-        violations.push({
-          check: 'key_deletion_protection',
-          tier: 'critical',
-          message: "Top-level key '" + removed2[k] + "' would be removed",
-        });
+    }
+  }
+
+  // lockedKeys: nested paths (wildcards allowed) that must keep existing
+  var lockedKeys = rule.lockedKeys || [];
+  for (var i = 0; i < lockedKeys.length; i++) {
+    var paths = structured.expandKeyPath(oldDoc, lockedKeys[i]);
+    for (var p = 0; p < paths.length; p++) {
+      if (paths[p].indexOf('.') === -1) continue; // already reported as top-level
+      if (!structured.hasKeyPath(newDoc, paths[p])) {
+        violations.push(keyViolation("Locked key '" + paths[p] + "' would be removed"));
+      }
+    }
+  }
+
+  // lockedValues: the value itself may not be weakened
+  var lockedValues = rule.lockedValues || [];
+  for (var j = 0; j < lockedValues.length; j++) {
+    var spec = typeof lockedValues[j] === 'string' ? { path: lockedValues[j] } : lockedValues[j];
+    var valuePaths = structured.expandKeyPath(oldDoc, spec.path);
+    for (var vp = 0; vp < valuePaths.length; vp++) {
+      var problems = structured.compareLockedValue(
+        valuePaths[vp],
+        structured.getKeyPath(oldDoc, valuePaths[vp]),
+        structured.getKeyPath(newDoc, valuePaths[vp]),
+        spec.mode
+      );
+      for (var q = 0; q < problems.length; q++) {
+        violations.push(keyViolation('Locked value ' + problems[q]));
       }
     }
   }
   return violations;
 }
 
+async function checkKeyDeletion(rule, editInfo, relativePath) {
+  var format = structured.detectFormat(relativePath);
+  if (format && editInfo.reconstructed) {
+    var structuredViolations = checkStructuredKeys(rule, editInfo.before, editInfo.after, format);
+    if (structuredViolations) return structuredViolations;
+  }
+
+  var violations = [];
+  var pairs = comparisonPairs(editInfo);
+  for (var j = 0; j < pairs.length; j++) {
+    var removed = findRemovedKeys(pairs[j].oldText, pairs[j].newText);
+    for (var k = 0; k < removed.length; k++) {
+      violations.push(keyViolation("Top-level key '" + removed[k] + "' would be removed"));
+    }
+  }
+  return violations;
+}
+
 function findRemovedSections(oldText, newText) {
   var headingRegex = /^##\s+(.+)$/gm;
   var oldHeadings = [];
@@ -323,223 +850,646 @@ function findRemovedSections(oldText, newText) {
   return oldHeadings.filter(function(h) { return newHeadings.indexOf(h) === -1; });
 }
 
-async function checkSectionPreservation(rule, editInfo, absolutePath) {
+async function checkSectionPreservation(rule, editInfo) {
   var violations = [];
   var protectedSections = rule.protectedSections || null;
+  var pairs = comparisonPairs(editInfo);
 
-  if (editInfo.isFullWrite) {
-    try {
-      var current = await fs.readFile(absolutePath, 'utf8');
-      var removed = findRemovedSections(current, editInfo.fullContent);
-      for (var i = 0; i < removed.length; i++) {
-        if (!protectedSections || protectedSections.indexOf(removed[i]) !== -1) {
-          violations.push({
-            check: 'section_preservation',
-            tier: rule.tier,
-            message: 'Section "## ' + removed[i] + '" would be removed',
-          });
-        }
-      }
-    } catch (e) { /* New file */ }
-  } else if (editInfo.edits) {
-    for (var j = 0; j < editInfo.edits.length; j++) {
-      var removed2 = findRemovedSections(editInfo.edits[j].oldText, editInfo.edits[j].newText);
-      for (var k = 0; k < removed2.length; k++) {
-        if (!protectedSections || protectedSections.indexOf(removed2[k]) !== -1) {
-          violations.push({
-            check: 'section_preservation',
-            tier: rule.tier,
-            message: 'Section "## ' + removed2[k] + '" would be removed',
-          });
-        }
+  for (var j = 0; j < pairs.length; j++) {
+    var removed = findRemovedSections(pairs[j].oldText, pairs[j].newText);
+    for (var k = 0; k < removed.length; k++) {
+      if (!protectedSections || protectedSections.indexOf(removed[k]) !== -1) {
+        violations.push({
+          check: 'section_preservation',
+          tier: rule.tier,
+          message: 'Section "## ' + removed[k] + '" would be removed',
+        });
       }
     }
   }
   return violations;
 }
 
-async function checkHeadingStructure(rule, editInfo, absolutePath) {
-  if (!editInfo.isFullWrite) return [];
+async function checkHeadingStructure(rule, editInfo) {
+  // Headings move freely within a file, so snippets alone can't tell a
+  // removal from a relocation - only compare full documents
+  if (!editInfo.reconstructed) return [];
   var violations = [];
-  try {
-    var current = await fs.readFile(absolutePath, 'utf8');
-    var headingRegex = /^(#{1,6})\s+(.+)$/gm;
-    var oldHeadings = [];
-    var newHeadings = [];
-    var m;
-    while ((m = headingRegex.exec(current)) !== null) {
-      oldHeadings.push({ level: m[1].length, text: m[2].trim() });
-    }
-    headingRegex.lastIndex = 0;
-    while ((m = headingRegex.exec(editInfo.fullContent)) !== null) {
-      newHeadings.push({ level: m[1].length, text: m[2].trim() });
-    }
-    for (var i = 0; i < oldHeadings.length; i++) {
-      var exists = false;
-      for (var j = 0; j < newHeadings.length; j++) {
-        if (newHeadings[j].text === oldHeadings[i].text && newHeadings[j].level === oldHeadings[i].level) {
-          exists = true; break;
-        }
-      }
-      if (!exists) {
-        var hashes = '';
-        for (var h = 0; h < oldHeadings[i].level; h++) hashes += '#';
-        violations.push({
-          check: 'heading_structure',
-          tier: rule.tier,
-          message: 'Heading "' + hashes + ' ' + oldHeadings[i].text + '" would be removed',
-        });
+  var headingRegex = /^(#{1,6})\s+(.+)$/gm;
+  var oldHeadings = [];
+  var newHeadings = [];
+  var m;
+  while ((m = headingRegex.exec(editInfo.before)) !== null) {
+    oldHeadings.push({ level: m[1].length, text: m[2].trim() });
+  }
+  headingRegex.lastIndex = 0;
+  while ((m = headingRegex.exec(editInfo.after)) !== null) {
+    newHeadings.push({ level: m[1].length, text: m[2].trim() });
+  }
+  for (var i = 0; i < oldHeadings.length; i++) {
+    var exists = false;
+    for (var j = 0; j < newHeadings.length; j++) {
+      if (newHeadings[j].text === oldHeadings[i].text && newHeadings[j].level === oldHeadings[i].level) {
+        exists = true; break;
       }
     }
-  } catch (e) { /* New file */ }
+    if (!exists) {
+      var hashes = '';
+      for (var h = 0; h < oldHeadings[i].level; h++) hashes += '#';
+      violations.push({
+        check: 'heading_structure',
+        tier: rule.tier,
+        message: 'Heading "' + hashes + ' ' + oldHeadings[i].text + '" would be removed',
+      });
+    }
+  }
   return violations;
 }
 
-function parseSimpleFrontmatter(text) {
-  var fmMatch = text.match(/^---\n([\s\S]*?)\n---/);
-  if (!fmMatch) return null;
-  var fields = {};
-  var lines = fmMatch[1].split('\n');
-  for (var i = 0; i < lines.length; i++) {
-    var kv = lines[i].match(/^(\w[\w-]*)\s*:\s*(.+)/);
-    if (kv) fields[kv[1]] = kv[2].trim();
-  }
-  return fields;
+// Empty and null fields count as unset for lockedFields, immutableOnceSet and
+// requiredFields
+function isUnset(value) {
+  return value === undefined || value === null || value === '';
 }
 
-async function checkFrontmatterPreservation(rule, editInfo, absolutePath) {
-  var lockedFields = rule.lockedFields || [];
-  if (lockedFields.length === 0) return [];
+// lockedFields and immutableOnceSet fields may be filled in while unset and
+// can't change or be removed after that
+function frontmatterFieldViolations(rule, before, after) {
   var violations = [];
-
-  if (editInfo.isFullWrite) {
-    try {
-      var current = await fs.readFile(absolutePath, 'utf8');
-      var oldFm = parseSimpleFrontmatter(current);
-      var newFm = parseSimpleFrontmatter(editInfo.fullContent);
-      if (oldFm && !newFm) {
-        violations.push({ check: 'frontmatter_preservation', tier: rule.tier, message: 'YAML frontmatter was removed entirely' });
-      } else if (oldFm && newFm) {
-        for (var i = 0; i < lockedFields.length; i++) {
-          var field = lockedFields[i];
-          if (oldFm[field] && oldFm[field] !== newFm[field]) {
-            violations.push({
-              check: 'frontmatter_preservation', tier: rule.tier,
-              message: "Locked field '" + field + "' changed: \"" + oldFm[field] + '" -> "' + (newFm[field] || '(removed)') + '"',
-            });
-          }
-        }
-      }
-    } catch (e) { /* New file */ }
-  } else if (editInfo.edits) {
-    for (var j = 0; j < editInfo.edits.length; j++) {
-      var oldFm2 = parseSimpleFrontmatter(editInfo.edits[j].oldText);
-      var newFm2 = parseSimpleFrontmatter(editInfo.edits[j].newText);
-      if (oldFm2) {
-        if (!newFm2) {
-          violations.push({ check: 'frontmatter_preservation', tier: rule.tier, message: 'YAML frontmatter was removed in edit' });
-        } else {
-          for (var k = 0; k < lockedFields.length; k++) {
-            var f = lockedFields[k];
-            if (oldFm2[f] && oldFm2[f] !== newFm2[f]) {
-              violations.push({
-                check: 'frontmatter_preservation', tier: rule.tier,
-                message: "Locked field '" + f + "' changed: \"" + oldFm2[f] + '" -> "' + (newFm2[f] || '(removed)') + '"',
-              });
-            }
-          }
-        }
-      }
-    }
+  function compare(f, label) {
+    var was = structured.getKeyPath(before, f);
+    var now = structured.getKeyPath(after, f);
+    if (isUnset(was) || structured.deepEqual(was, now)) return;
+    violations.push({
+      check: 'frontmatter_preservation', tier: rule.tier,
+      message: label + ': "' + structured.preview(was) + '" -> "' + (now === undefined ? '(removed)' : structured.preview(now)) + '"',
+    });
   }
+  (rule.lockedFields || []).forEach(function(f) { compare(f, "Locked field '" + f + "' changed"); });
+  (rule.immutableOnceSet || []).forEach(function(f) { compare(f, "Field '" + f + "' can't change once set"); });
   return violations;
 }
 
-async function checkShebangPreservation(rule, editInfo, absolutePath) {
+// Problems of a whole document's frontmatter against requiredFields and
+// fieldSchema, keyed so problems the file already had can be told apart
+function frontmatterProblems(rule, fm) {
+  var required = rule.requiredFields || [];
+  if (!fm) {
+    return required.length === 0 ? [] : [{ key: 'missing', message: 'YAML frontmatter is missing; required fields: ' + required.join(', ') }];
+  }
+  if (fm.error) return [{ key: 'parse', message: 'YAML frontmatter would not parse: ' + fm.error.message, line: fm.error.line }];
+  var problems = [];
+  required.forEach(function(f) {
+    if (isUnset(structured.getKeyPath(fm.data, f))) problems.push({ key: 'required ' + f, message: "Required frontmatter field '" + f + "' is missing or empty" });
+  });
+  var schema = rule.fieldSchema || {};
+  Object.keys(schema).forEach(function(f) {
+    var value = structured.getKeyPath(fm.data, f);
+    if (value === undefined || value === null) return;
+    frontmatterLib.validateField(f, value, schema[f]).forEach(function(problem) {
+      problems.push({ key: problem, message: 'Frontmatter field ' + problem });
+    });
+  });
+  return problems;
+}
+
+/**
+ * Parses the YAML frontmatter before and after the edit. Field locks compare
+ * parsed values, so quoting and formatting changes don't count. Required
+ * fields and schemas are checked on the resulting file when it is known;
+ * problems it already had before the edit are let through, so a file can be
+ * fixed in steps.
+ */
+async function checkFrontmatterPreservation(rule, editInfo) {
   var violations = [];
-  if (editInfo.isFullWrite) {
-    try {
-      var current = await fs.readFile(absolutePath, 'utf8');
-      var oldFirst = current.split('\n')[0];
-      var newFirst = (editInfo.fullContent || '').split('\n')[0];
-      if (oldFirst.startsWith('#!') && !newFirst.startsWith('#!')) {
-        violations.push({ check: 'shebang_preservation', tier: rule.tier, message: 'Shebang line removed: "' + oldFirst + '"' });
-      }
-    } catch (e) { /* New file */ }
-  } else if (editInfo.edits) {
-    for (var i = 0; i < editInfo.edits.length; i++) {
-      var oldF = editInfo.edits[i].oldText.split('\n')[0];
-      var newF = editInfo.edits[i].newText.split('\n')[0];
-      if (oldF.startsWith('#!') && !newF.startsWith('#!')) {
-        violations.push({ check: 'shebang_preservation', tier: rule.tier, message: 'Shebang line removed: "' + oldF + '"' });
-      }
+  var pairs = comparisonPairs(editInfo);
+
+  for (var j = 0; j < pairs.length; j++) {
+    var oldFm = frontmatterLib.extractFrontmatter(pairs[j].oldText);
+    if (!oldFm) continue;
+    var newFm = frontmatterLib.extractFrontmatter(pairs[j].newText || '');
+    if (!newFm) {
+      violations.push({
+        check: 'frontmatter_preservation', tier: rule.tier,
+        message: editInfo.reconstructed ? 'YAML frontmatter was removed entirely' : 'YAML frontmatter was removed in edit',
+      });
+      continue;
     }
+    // A parse error in the result is reported below; one in the original leaves nothing to compare
+    if (oldFm.error || newFm.error) continue;
+    violations = violations.concat(frontmatterFieldViolations(rule, oldFm.data, newFm.data));
   }
+
+  if (typeof editInfo.after !== 'string' || !(editInfo.reconstructed || editInfo.isFullWrite)) return violations;
+  var existing = typeof editInfo.before === 'string'
+    ? frontmatterProblems(rule, frontmatterLib.extractFrontmatter(editInfo.before)).map(function(p) { return p.key; })
+    : [];
+  frontmatterProblems(rule, frontmatterLib.extractFrontmatter(editInfo.after)).forEach(function(p) {
+    if (existing.indexOf(p.key) !== -1) return;
+    var violation = { check: 'frontmatter_preservation', tier: rule.tier, message: p.message };
+    if (p.line) {
+      violation.line = p.line;
+      violation.context = excerptLine(editInfo.after, p.line);
+    }
+    violations.push(violation);
+  });
   return violations;
 }
 
-// ============================================================
-// V2: SEMANTIC RELEVANCE (Ollama)
-// ============================================================
-
-async function queryOllama(content, purpose, v2Settings) {
-  try {
-    // Phase 1: Health check (1s timeout)
-    var healthCtrl = new AbortController();
-    var healthTimer = setTimeout(function() { healthCtrl.abort(); }, 1000);
-    try {
-      var healthRes = await fetch(v2Settings.ollamaUrl + '/api/tags', { signal: healthCtrl.signal });
-      clearTimeout(healthTimer);
-      if (!healthRes.ok) return null;
-    } catch (e) {
-      clearTimeout(healthTimer);
-      return null;
+async function checkShebangPreservation(rule, editInfo) {
+  var violations = [];
+  var pairs = comparisonPairs(editInfo);
+  for (var i = 0; i < pairs.length; i++) {
+    var oldFirst = pairs[i].oldText.split('\n')[0];
+    var newFirst = (pairs[i].newText || '').split('\n')[0];
+    if (oldFirst.startsWith('#!') && !newFirst.startsWith('#!')) {
+      violations.push({ check: 'shebang_preservation', tier: rule.tier, message: 'Shebang line removed: "' + oldFirst + '"' });
     }
+  }
+  return violations;
+}
 
-    // Phase 2: Generation with configured timeout
-    var genCtrl = new AbortController();
-    var genTimer = setTimeout(function() { genCtrl.abort(); }, v2Settings.timeout);
+// --- Syntax Validity ---
 
-    var truncated = content.length > 2000 ? content.slice(0, 2000) : content;
-    var prompt = 'You are a file content validator. A file has this purpose: "' + purpose + '"\n\n' +
-      'The following content is being written to this file:\n```\n' + truncated + '\n```\n\n' +
-      'Is this content relevant to the file\'s purpose? Respond with ONLY valid JSON:\n' +
-      '{"relevant": true} or {"relevant": false, "reason": "brief explanation"}\n' +
-      'JSON response:';
+const SYNTAX_NAMES = {
+  json: 'JSON',
+  jsonc: 'JSON with comments',
+  yaml: 'YAML',
+  toml: 'TOML',
+  js: 'JavaScript',
+  esm: 'an ES module',
+  shell: 'a shell script',
+};
 
-    try {
-      var genRes = await fetch(v2Settings.ollamaUrl + '/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: v2Settings.model,
-          prompt: prompt,
-          stream: false,
-          options: { temperature: 0.1, num_predict: 100 },
-        }),
-        signal: genCtrl.signal,
-      });
-      clearTimeout(genTimer);
-
-      if (!genRes.ok) return null;
-      var genData = await genRes.json();
-      var response = (genData.response || '').trim();
-
-      // Extract expected JSON structure (anchored to "relevant" key to avoid
-      // matching JSON-like text from file content echoed in the response)
-      var jsonMatch = response.match(/\{\s*"relevant"\s*:\s*(?:true|false)[\s\S]*?\}/);
-      if (!jsonMatch) {
-        // Fallback: try generic JSON extraction
-        jsonMatch = response.match(/\{[\s\S]*?\}/);
-      }
-      if (!jsonMatch) return null;
-      return JSON.parse(jsonMatch[0]);
-    } catch (e) {
-      clearTimeout(genTimer);
-      return null;
-    }
-  } catch (e) {
-    return null;
+/**
+ * Parses the resulting file with the parser for its type (rule.syntax, else
+ * by extension or shebang). A file that didn't parse before the edit isn't
+ * flagged, so fixing part of a broken file stays possible.
+ */
+async function checkSyntaxValid(rule, editInfo, relativePath) {
+  if (typeof editInfo.after !== 'string' || !(editInfo.reconstructed || editInfo.isFullWrite)) return [];
+  var syntax = rule.syntax || syntaxCheck.detectSyntax(relativePath, editInfo.after);
+  if (!syntax) return [];
+  var error = await syntaxCheck.checkSyntax(editInfo.after, syntax, relativePath);
+  if (!error) return [];
+  if (editInfo.reconstructed && editInfo.before && (await syntaxCheck.checkSyntax(editInfo.before, syntax, relativePath))) return [];
+
+  var where = error.line ? ' at line ' + error.line + (error.column ? ', column ' + error.column : '') : '';
+  var violation = {
+    check: 'syntax_valid',
+    tier: rule.tier,
+    message: 'File would no longer parse as ' + SYNTAX_NAMES[syntax] + where + ': ' + error.message,
+  };
+  if (error.line) {
+    violation.line = error.line;
+    violation.column = error.column;
+    violation.context = excerptLine(editInfo.after, error.line);
+  }
+  return [violation];
+}
+
+// --- Destructive Changes ---
+
+// Signals of destructive_change; a rule's `destructiveChange` merges onto these
+// (false turns a signal off, `tier` sets its own tier)
+const DESTRUCTIVE_DEFAULTS = {
+  minLines: 10,                     // files shorter than this only trip `emptied`
+  emptied: {},                      // non-blank file becomes blank
+  removedLines: { percent: 50 },    // share of the original lines the diff removes
+  shrink: { percent: 50 },          // drop in size, in bytes
+  missingLines: { percent: 80 },    // share of distinct original lines found nowhere in the result
+};
+
+function destructiveOptions(rule) {
+  var custom = rule.destructiveChange || {};
+  var options = { minLines: custom.minLines !== undefined ? custom.minLines : DESTRUCTIVE_DEFAULTS.minLines };
+  ['emptied', 'removedLines', 'shrink', 'missingLines'].forEach(function(signal) {
+    var value = custom[signal];
+    options[signal] = value === false ? null : Object.assign({}, DESTRUCTIVE_DEFAULTS[signal], typeof value === 'object' ? value : {});
+  });
+  return options;
+}
+
+function percentOf(part, whole) {
+  return whole === 0 ? 0 : Math.round(part / whole * 100);
+}
+
+// Share of distinct non-blank original lines that appear nowhere in the result
+function missingLineStats(before, after) {
+  var kept = new Set(after.split('\n').map(function(l) { return l.trim(); }));
+  var original = new Set(before.split('\n').map(function(l) { return l.trim(); }).filter(Boolean));
+  var missing = 0;
+  original.forEach(function(line) { if (!kept.has(line)) missing++; });
+  return { missing: missing, total: original.size };
+}
+
+/**
+ * Flags edits that wipe out most of a file: emptying it, removing a large
+ * share of its lines, shrinking it sharply, or replacing nearly all of its
+ * lines. Needs the whole before/after documents. Violations carry a diff
+ * summary for the block message.
+ */
+function checkDestructiveChange(rule, editInfo) {
+  if (!editInfo.reconstructed || !editInfo.before || editInfo.before.trim() === '') return [];
+  var before = editInfo.before;
+  var after = editInfo.after;
+  var options = destructiveOptions(rule);
+  var diff = diffLines(before, after);
+  var summary = summarizeDiff(diff);
+  var violations = [];
+  function flag(signal, message) {
+    violations.push({ check: 'destructive_change', tier: options[signal].tier || rule.tier, message: message, signal: signal, diff: summary });
+  }
+
+  if (options.emptied && after.trim() === '') {
+    flag('emptied', 'File would be emptied (' + diff.oldLines + ' lines removed)');
+    return violations;
+  }
+  if (diff.oldLines < options.minLines) return violations;
+
+  var removed = percentOf(diff.removed, diff.oldLines);
+  if (options.removedLines && removed >= options.removedLines.percent) {
+    flag('removedLines', 'Change would remove ' + diff.removed + ' of ' + diff.oldLines + ' lines (' + removed + '%)');
+  }
+  var oldBytes = Buffer.byteLength(before);
+  var newBytes = Buffer.byteLength(after);
+  var shrunk = percentOf(oldBytes - newBytes, oldBytes);
+  if (options.shrink && shrunk >= options.shrink.percent) {
+    flag('shrink', 'File would shrink from ' + oldBytes + ' to ' + newBytes + ' bytes (' + shrunk + '% smaller)');
+  }
+  var stats = missingLineStats(before, after);
+  var missing = percentOf(stats.missing, stats.total);
+  if (options.missingLines && missing >= options.missingLines.percent) {
+    flag('missingLines', missing + '% of the original lines (' + stats.missing + ' of ' + stats.total + ') appear nowhere in the new content');
+  }
+  return violations;
+}
+
+// --- Locked Regions ---
+
+// <!-- document-guard:lock name tier=high message="..." -->, or the same after # or //
+const REGION_MARKER = /^\s*(?:<!--|#|\/\/)\s*document-guard:(lock|end)\b(.*?)\s*(?:-->)?\s*$/;
+
+function markerAttributes(text) {
+  var attrs = {};
+  var re = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+  var m;
+  while ((m = re.exec(text)) !== null) attrs[m[1]] = m[2] !== undefined ? m[2] : m[3];
+  return attrs;
+}
+
+/**
+ * Locked regions of a document. A region without an end marker runs to the
+ * end of the file; lock markers inside a region are content.
+ *
+ * @returns {Array<{name, start, end, terminated, marker, lines, attrs}>} `start`
+ *   and `end` are the 0-based lines of the markers (`end` = line count when unterminated)
+ */
+function findLockedRegions(text) {
+  var lines = text.split('\n');
+  var regions = [];
+  var open = null;
+  for (var i = 0; i < lines.length; i++) {
+    var m = REGION_MARKER.exec(lines[i]);
+    if (!m) continue;
+    if (m[1] === 'lock' && !open) {
+      var rest = m[2].trim();
+      var name = rest.split(/\s+/)[0] || '(unnamed)';
+      open = { name: name, start: i, marker: lines[i], attrs: markerAttributes(rest.slice(name.length)) };
+    } else if (m[1] === 'end' && open) {
+      regions.push(Object.assign(open, { end: i, terminated: true, lines: lines.slice(open.start + 1, i) }));
+      open = null;
+    }
+  }
+  if (open) regions.push(Object.assign(open, { end: lines.length, terminated: false, lines: lines.slice(open.start + 1) }));
+  return regions;
+}
+
+// Tier and message of a region: rule.lockedRegions[name], then marker attributes, then the rule
+function regionPolicy(rule, region) {
+  var configured = (rule.lockedRegions || {})[region.name] || {};
+  var tier = configured.tier || region.attrs.tier;
+  return {
+    tier: TIER_NAMES.indexOf(tier) !== -1 ? tier : rule.tier,
+    message: configured.message || region.attrs.message || null,
+  };
+}
+
+function regionViolation(rule, region, problem, extra) {
+  var policy = regionPolicy(rule, region);
+  return Object.assign({
+    check: 'locked_regions',
+    tier: policy.tier,
+    message: 'Locked region "' + region.name + '" (lines ' + (region.start + 1) + '-' + (region.end + 1) + ') ' + problem +
+      (policy.message ? ' - ' + policy.message : ''),
+  }, extra);
+}
+
+function compareRegion(rule, region, after) {
+  if (!after) return regionViolation(rule, region, 'would be removed with its markers');
+  if (after.marker !== region.marker) return regionViolation(rule, region, 'would have its lock marker changed to ' + quoteLine(after.marker));
+  if (region.terminated && !after.terminated) return regionViolation(rule, region, 'would lose its end marker');
+  var n = Math.max(region.lines.length, after.lines.length);
+  for (var i = 0; i < n; i++) {
+    var was = region.lines[i];
+    var now = after.lines[i];
+    if (was === now) continue;
+    var change = was === undefined ? 'new line ' + quoteLine(now) + ' added' :
+      'line ' + (region.start + i + 2) + ' ' + quoteLine(was) + (now === undefined ? ' removed' : ' changed');
+    return regionViolation(rule, region, 'would be changed: ' + change, { line: after.start + i + 2 });
+  }
+  return null;
+}
+
+/**
+ * Content between document-guard:lock and document-guard:end markers, and the
+ * markers themselves, must stay byte-for-byte the same. New regions may be
+ * added. Regions are matched by name, in order.
+ */
+function checkLockedRegions(rule, editInfo) {
+  if (!editInfo.reconstructed) {
+    // Snippets can't show whether an edit falls inside a region, only whether it touches a marker
+    return comparisonPairs(editInfo).filter(function(pair) {
+      return pair.oldText.split('\n').some(function(line) { return REGION_MARKER.test(line) && !(pair.newText || '').includes(line); });
+    }).map(function() {
+      return { check: 'locked_regions', tier: rule.tier, message: 'Edit would remove or change a document-guard lock marker' };
+    });
+  }
+  var before = findLockedRegions(editInfo.before);
+  if (before.length === 0) return [];
+  var after = findLockedRegions(editInfo.after);
+  var used = {};
+  var violations = [];
+  before.forEach(function(region) {
+    var match = null;
+    for (var i = 0; i < after.length; i++) {
+      if (!used[i] && after[i].name === region.name) {
+        match = after[i];
+        used[i] = true;
+        break;
+      }
+    }
+    var violation = compareRegion(rule, region, match);
+    if (violation) violations.push(violation);
+  });
+  return violations;
+}
+
+// --- Append-Only Files ---
+
+function quoteLine(line) {
+  var text = line.trim();
+  return '"' + (text.length > 120 ? text.slice(0, 117) + '...' : text) + '"';
+}
+
+// Positions (0-based index of the old line inserted before) where insertAt allows new lines
+function allowedInsertions(lines, insertAt) {
+  var allowed = new Set();
+  insertAt.forEach(function(point) {
+    if (point === 'start') { allowed.add(0); return; }
+    if (point === 'end') { allowed.add(lines.length); return; }
+    for (var i = 0; i < lines.length; i++) {
+      var matches = point instanceof RegExp ? point.test(lines[i]) : lines[i].trim() === point.trim();
+      if (!matches) continue;
+      var heading = /^(#{1,6})\s/.exec(lines[i]);
+      var end = i + 1;
+      // Under a markdown heading, anywhere in its section; otherwise right after the line
+      if (heading) {
+        while (end < lines.length && !(/^(#{1,6})\s/.exec(lines[end]) && /^#+/.exec(lines[end])[0].length <= heading[1].length)) end++;
+      }
+      for (var k = i + 1; k <= end; k++) allowed.add(k);
+    }
+  });
+  return allowed;
+}
+
+function describeInsertAt(insertAt) {
+  return insertAt.map(function(p) {
+    if (p === 'start' || p === 'end') return 'at the ' + p + ' of the file';
+    if (p instanceof RegExp) return 'after lines matching ' + p;
+    return (/^#{1,6}\s/.test(p) ? 'under ' : 'after ') + quoteLine(p);
+  }).join(', ');
+}
+
+// Violations for one before/after pair; `positions` is false for edit snippets,
+// whose place in the file is unknown
+function appendOnlyViolations(rule, oldText, newText, positions) {
+  var options = Object.assign({ mode: 'prefix' }, rule.appendOnly);
+  var diff = diffLines(oldText, newText);
+  var oldLines = oldText.split('\n');
+  var violations = [];
+  var allowed = null;
+  if (positions && options.mode === 'prefix') allowed = new Set([diff.oldLines]);
+  else if (positions && options.insertAt) allowed = allowedInsertions(oldLines.slice(0, diff.oldLines), options.insertAt);
+
+  diff.hunks.forEach(function(h) {
+    for (var n = h.oldStart; n < h.oldStart + h.oldLines; n++) {
+      violations.push({
+        check: 'append_only',
+        tier: rule.tier,
+        message: 'Existing line ' + (positions ? n : n + ' of the replaced text') + ' would be ' + (h.newLines > 0 ? 'changed' : 'removed') + ': ' + quoteLine(oldLines[n - 1]),
+      });
+    }
+    if (h.oldLines === 0 && allowed && !allowed.has(h.oldStart - 1)) {
+      var where = options.mode === 'prefix' ? 'at the end of the file' : describeInsertAt(options.insertAt);
+      violations.push({
+        check: 'append_only',
+        tier: rule.tier,
+        message: h.newLines + ' new line(s) ' + (h.oldStart > diff.oldLines ? 'added at the end of the file' : 'inserted before existing line ' + h.oldStart) +
+          '; new content is only allowed ' + where,
+        line: h.newStart,
+        context: excerptLine(newText, h.newStart),
+      });
+    }
+  });
+  return violations;
+}
+
+/**
+ * Existing lines must survive the edit unchanged and in order. With
+ * appendOnly.mode 'prefix' (default) new lines may only follow the old
+ * content; with 'subsequence' they may go anywhere, or only at
+ * appendOnly.insertAt ('start', 'end', or a line/RegExp: the section under a
+ * heading, right after any other line).
+ */
+function checkAppendOnly(rule, editInfo) {
+  if (editInfo.reconstructed) return appendOnlyViolations(rule, editInfo.before, editInfo.after, true);
+  var violations = [];
+  comparisonPairs(editInfo).forEach(function(pair) {
+    violations = violations.concat(appendOnlyViolations(rule, pair.oldText, pair.newText || '', false));
+  });
+  return violations;
+}
+
+// --- Content Policies ---
+
+// Rule patterns run through the credential matcher, so placeholderPatterns
+// exclude matches the same way they do for credential_scan
+function findPolicyMatches(config, rule, text) {
+  var patterns = (rule.patterns || []).map(function(p, i) { return { name: String(i), regex: p.regex }; });
+  return findCredentials(text, patterns, config.placeholderPatterns).map(function(m) {
+    m.policy = rule.patterns[Number(m.pattern)];
+    return m;
+  });
+}
+
+// Post-edit texts a content policy covers: the whole resulting document when
+// it is known, otherwise each edit snippet (lines then count within the snippet)
+function contentPolicyTargets(editInfo) {
+  if (typeof editInfo.after === 'string' && (editInfo.reconstructed || editInfo.isFullWrite)) {
+    return [{ text: editInfo.after, before: editInfo.reconstructed ? editInfo.before : null, label: null }];
+  }
+  if (editInfo.isFullWrite) return [];
+  return (editInfo.edits || []).map(function(e) { return { text: e.newText, before: e.oldText, label: 'new text' }; });
+}
+
+// Lines of the previous text by content, to tell new matches from existing ones
+function lineCounts(text) {
+  var counts = {};
+  (text || '').split('\n').forEach(function(line) { counts[line] = (counts[line] || 0) + 1; });
+  return counts;
+}
+
+/**
+ * Flags matches of the rule's `patterns` in the post-edit text. Matches on
+ * lines that were already in the file are left alone, so existing content
+ * doesn't block unrelated edits.
+ */
+function checkForbiddenContent(rule, editInfo, relativePath, toggles, config) {
+  var violations = [];
+  var targets = contentPolicyTargets(editInfo);
+  for (var t = 0; t < targets.length; t++) {
+    var target = targets[t];
+    var lines = target.text.split('\n');
+    var existing = lineCounts(target.before);
+    var matches = findPolicyMatches(config, rule, target.text);
+    var seenLines = {};
+    for (var m = 0; m < matches.length; m++) {
+      var match = matches[m];
+      var line = lines[match.line - 1];
+      if (!seenLines[match.line]) {
+        seenLines[match.line] = true;
+        if (existing[line] > 0) existing[line]--;
+        else seenLines[match.line] = 'new';
+      }
+      if (seenLines[match.line] !== 'new') continue;
+      violations.push({
+        check: 'forbidden_content',
+        tier: rule.tier,
+        message: (match.policy.message || 'Forbidden content matching ' + match.policy.regex) +
+          ' at line ' + match.line + ', column ' + match.column + (target.label ? ' of ' + target.label : ''),
+        pattern: String(match.policy.regex),
+        line: match.line,
+        column: match.column,
+        context: excerptLine(target.text, match.line),
+      });
+    }
+  }
+  return violations;
+}
+
+// Every pattern must still match the resulting document. Edit snippets alone
+// can't show that, so this only runs when the whole result is known.
+function checkRequiredContent(rule, editInfo, relativePath, toggles, config) {
+  if (typeof editInfo.after !== 'string' || !(editInfo.reconstructed || editInfo.isFullWrite)) return [];
+  var found = {};
+  findPolicyMatches(config, rule, editInfo.after).forEach(function(m) { found[m.pattern] = true; });
+  return (rule.patterns || []).filter(function(p, i) { return !found[i]; }).map(function(p) {
+    return {
+      check: 'required_content',
+      tier: rule.tier,
+      message: p.message || 'Required content matching ' + p.regex + ' would be missing',
+      pattern: String(p.regex),
+    };
+  });
+}
+
+// Checks an append can violate; removal-oriented checks (sections, keys,
+// frontmatter, shebang, required content) cannot be broken by adding to the
+// end of a file. Custom checks can't see the content of a shell write, so
+// they count as structural.
+const APPEND_SENSITIVE_CHECKS = new Set(['no_write_allowed', 'forbidden_content', 'syntax_valid']);
+
+function checkShellWrite(rule, target, relativePath, toggles) {
+  var checks = (rule.checks || []).filter(function(c) {
+    if (c === 'semantic_relevance') return false; // needs content, unknown for shell writes
+    return toggles[CHECK_TOGGLES[c] || 'customChecks'];
+  });
+  if (checks.length === 0) return [];
+  if (target.append && !checks.some(function(c) { return APPEND_SENSITIVE_CHECKS.has(c); })) return [];
+  return [{
+    check: 'shell_write',
+    tier: rule.tier,
+    message: 'Shell command would modify ' + relativePath + ' via ' + target.operation +
+      ' (rule: ' + rule.name + ')' + (rule.message ? ' - ' + rule.message : ''),
+  }];
+}
+
+// ============================================================
+// V2: SEMANTIC RELEVANCE (Ollama)
+// ============================================================
+
+// Resolves to null when Ollama isn't running or its answer can't be parsed;
+// throws when a running Ollama fails or times out (see runIsolated)
+async function queryOllama(content, purpose, v2Settings) {
+  // Phase 1: Health check (1s timeout)
+  var healthCtrl = new AbortController();
+  var healthTimer = setTimeout(function() { healthCtrl.abort(); }, 1000);
+  try {
+    var healthRes = await fetch(v2Settings.ollamaUrl + '/api/tags', { signal: healthCtrl.signal });
+    clearTimeout(healthTimer);
+    if (!healthRes.ok) return null;
+  } catch (e) {
+    clearTimeout(healthTimer);
+    return null;
+  }
+
+  // Phase 2: Generation with configured timeout
+  var genCtrl = new AbortController();
+  var genTimer = setTimeout(function() { genCtrl.abort(); }, v2Settings.timeout);
+
+  var truncated = content.length > 2000 ? content.slice(0, 2000) : content;
+  var prompt = 'You are a file content validator. A file has this purpose: "' + purpose + '"\n\n' +
+    'The following content is being written to this file:\n```\n' + truncated + '\n```\n\n' +
+    'Is this content relevant to the file\'s purpose? Respond with ONLY valid JSON:\n' +
+    '{"relevant": true} or {"relevant": false, "reason": "brief explanation"}\n' +
+    'JSON response:';
+
+  var genRes;
+  try {
+    genRes = await fetch(v2Settings.ollamaUrl + '/api/generate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: v2Settings.model,
+        prompt: prompt,
+        stream: false,
+        options: { temperature: 0.1, num_predict: 100 },
+      }),
+      signal: genCtrl.signal,
+    });
+  } catch (e) {
+    throw new Error(genCtrl.signal.aborted ? 'Ollama did not answer within ' + v2Settings.timeout + ' ms' : 'Ollama request failed: ' + e.message);
+  } finally {
+    clearTimeout(genTimer);
+  }
+  if (!genRes.ok) throw new Error('Ollama returned HTTP ' + genRes.status);
+
+  try {
+    var genData = await genRes.json();
+    var response = (genData.response || '').trim();
+
+    // Extract expected JSON structure (anchored to "relevant" key to avoid
+    // matching JSON-like text from file content echoed in the response)
+    var jsonMatch = response.match(/\{\s*"relevant"\s*:\s*(?:true|false)[\s\S]*?\}/);
+    if (!jsonMatch) {
+      // Fallback: try generic JSON extraction
+      jsonMatch = response.match(/\{[\s\S]*?\}/);
+    }
+    if (!jsonMatch) return null;
+    return JSON.parse(jsonMatch[0]);
+  } catch (e) {
+    return null;
   }
 }
 
@@ -565,7 +1515,7 @@ async function checkSemanticRelevance(rule, editInfo, v2Settings) {
   // Query Ollama
   var result = await queryOllama(content, rule.purpose, v2Settings);
 
-  // Fail open: null means Ollama error
+  // Ollama not running, or an unparseable answer
   if (!result) return [];
 
   // If content is relevant, no violation
@@ -583,16 +1533,161 @@ async function checkSemanticRelevance(rule, editInfo, v2Settings) {
 // CHECK DISPATCHER
 // ============================================================
 
-async function runChecks(config, rules, editInfo, absolutePath, relativePath, toggles) {
+// Toggle each check is gated by (no_write_allowed is a hard block, not structural)
+const CHECK_TOGGLES = {
+  no_write_allowed: 'v1Enabled',
+  forbidden_content: 'v1Enabled',
+  required_content: 'v1Enabled',
+  key_deletion_protection: 'structuralChecks',
+  section_preservation: 'structuralChecks',
+  heading_structure: 'structuralChecks',
+  frontmatter_preservation: 'structuralChecks',
+  shebang_preservation: 'structuralChecks',
+  destructive_change: 'structuralChecks',
+  syntax_valid: 'structuralChecks',
+  append_only: 'structuralChecks',
+  locked_regions: 'structuralChecks',
+  semantic_relevance: 'v2Enabled',
+};
+
+// Records one check outcome when a caller asked for a per-check report
+function reportCheck(report, relativePath, ruleName, check, status, detail) {
+  if (!report) return;
+  report.push({
+    file: relativePath,
+    rule: ruleName,
+    check: check,
+    status: status,
+    violations: Array.isArray(detail) ? detail : [],
+    reason: typeof detail === 'string' ? detail : undefined,
+  });
+}
+
+function dedupeViolations(violations) {
+  var seen = {};
+  return violations.filter(function(v) {
+    if (seen[v.message]) return false;
+    seen[v.message] = true;
+    return true;
+  });
+}
+
+// Path rule checks by name: (rule, editInfo, relativePath, toggles, config) => violations or a promise of them
+const CHECKS = {
+  // V1 content policies
+  forbidden_content: checkForbiddenContent,
+  required_content: checkRequiredContent,
+
+  // V1 structural checks
+  no_write_allowed: function(rule, editInfo, relativePath) { return checkNoWriteAllowed(rule, editInfo, relativePath); },
+  key_deletion_protection: function(rule, editInfo, relativePath) { return checkKeyDeletion(rule, editInfo, relativePath); },
+  section_preservation: function(rule, editInfo) { return checkSectionPreservation(rule, editInfo); },
+  heading_structure: function(rule, editInfo) { return checkHeadingStructure(rule, editInfo); },
+  frontmatter_preservation: function(rule, editInfo) { return checkFrontmatterPreservation(rule, editInfo); },
+  shebang_preservation: function(rule, editInfo) { return checkShebangPreservation(rule, editInfo); },
+  destructive_change: function(rule, editInfo) { return checkDestructiveChange(rule, editInfo); },
+  syntax_valid: function(rule, editInfo, relativePath) { return checkSyntaxValid(rule, editInfo, relativePath); },
+  append_only: function(rule, editInfo) { return checkAppendOnly(rule, editInfo); },
+  locked_regions: function(rule, editInfo) { return checkLockedRegions(rule, editInfo); },
+
+  // V2 semantic check
+  semantic_relevance: function(rule, editInfo, relativePath, toggles) { return checkSemanticRelevance(rule, editInfo, toggles.v2Settings); },
+};
+
+// --- Custom Checks ---
+
+// { run, options } for a check from config.customChecks or CUSTOM_CHECKS_DIR, or null
+function customCheckDefinition(config, name) {
+  var checks = config.customChecks || {};
+  if (!Object.prototype.hasOwnProperty.call(checks, name)) return null;
+  var def = checks[name];
+  if (typeof def === 'function') return { run: def, options: [] };
+  return def && typeof def.run === 'function' ? def : null;
+}
+
+/**
+ * The context a custom check receives. Its shape is public API, so only add
+ * to it:
+ *   check, rule, tier          the check name, the matched rule and its tier
+ *   filePath, relativePath     the edited file (absolute / project-relative)
+ *   projectDir
+ *   editInfo                   edits or fullContent, as the built-ins see them
+ *   before, after              whole documents; null when not known
+ *   toggles, settings          resolved toggles and config.settings
+ *   log(message)               writes to the hook's stderr
+ */
+function customCheckContext(name, rule, editInfo, relativePath, toggles, config) {
+  var known = editInfo.reconstructed || editInfo.isFullWrite;
+  return Object.freeze({
+    check: name,
+    rule: rule,
+    tier: rule.tier,
+    filePath: toAbsolutePath(relativePath),
+    relativePath: relativePath,
+    projectDir: PROJECT_DIR,
+    editInfo: editInfo,
+    before: editInfo.reconstructed && typeof editInfo.before === 'string' ? editInfo.before : null,
+    after: known && typeof editInfo.after === 'string' ? editInfo.after : null,
+    toggles: toggles,
+    settings: config.settings,
+    log: function(message) { console.error('[document-guard] [' + name + '] ' + message); },
+  });
+}
+
+// Check results may be message strings or { message, tier?, line?, column?, ... }
+function customViolations(name, rule, result) {
+  if (result === undefined || result === null) return [];
+  if (!Array.isArray(result)) throw new Error('must return an array of violations, got ' + typeof result);
+  return result.map(function(v, i) {
+    if (typeof v === 'string') v = { message: v };
+    if (!v || typeof v.message !== 'string' || v.message === '') throw new Error('violation ' + i + ' has no message');
+    return Object.assign({}, v, { check: name, tier: TIER_NAMES.indexOf(v.tier) !== -1 ? v.tier : rule.tier });
+  });
+}
+
+// Runner with the built-in signature, or null when no custom check has that name
+function customCheck(config, name) {
+  var definition = customCheckDefinition(config, name);
+  if (!definition) return null;
+  return async function(rule, editInfo, relativePath, toggles) {
+    var result = await definition.run(customCheckContext(name, rule, editInfo, relativePath, toggles, config));
+    return customViolations(name, rule, result);
+  };
+}
+
+// Credential findings block at critical, so a failing general rule is judged at that tier
+const GENERAL_RULE_TIER = 'critical';
+
+function checkStatus(outcome) {
+  return outcome.error ? 'error' : outcome.violations.length > 0 ? 'fail' : 'pass';
+}
+
+/**
+ * Runs general and path-specific checks for one edit. Each check runs in
+ * isolation (see runIsolated).
+ *
+ * @param {Array} [report] - Receives { file, rule, check, status, violations, reason }
+ *   per check, status being 'pass', 'fail', 'error', 'skipped' or 'unknown'
+ * @returns {Promise<Array>} Deduplicated violations
+ */
+async function runChecks(config, rules, editInfo, absolutePath, relativePath, toggles, report) {
   var allViolations = [];
+  var baseline = toggles.credentialScan ? await loadProjectBaseline() : null;
 
   // General rules (credential scan gated by toggle)
-  if (toggles.credentialScan) {
-    for (var g = 0; g < config.general.length; g++) {
-      if (config.general[g].check === 'credential_scan') {
-        var cv = checkCredentialScan(config, editInfo);
-        for (var c = 0; c < cv.length; c++) allViolations.push(cv[c]);
-      }
+  for (var g = 0; g < config.general.length; g++) {
+    if (config.general[g].check !== 'credential_scan') continue;
+    if (!toggles.credentialScan) {
+      reportCheck(report, relativePath, config.general[g].name, 'credential_scan', 'skipped', 'credentialScan is off');
+      continue;
+    }
+    var scanned = await runIsolated(config, GENERAL_RULE_TIER, 'credential_scan', function() {
+      return checkCredentialScan(config, editInfo, relativePath, baseline);
+    });
+    reportCheck(report, relativePath, config.general[g].name, 'credential_scan', checkStatus(scanned), scanned.violations);
+    for (var c = 0; c < scanned.violations.length; c++) {
+      scanned.violations[c].rule = config.general[g].name;
+      allViolations.push(scanned.violations[c]);
     }
   }
 
@@ -601,48 +1696,27 @@ async function runChecks(config, rules, editInfo, absolutePath, relativePath, to
     var rule = rules[r];
     var checks = rule.checks || [];
     for (var ch = 0; ch < checks.length; ch++) {
-      var results = [];
-      switch (checks[ch]) {
-        // V1 structural checks (gated by structuralChecks toggle)
-        case 'no_write_allowed':
-          // no_write_allowed always runs if V1 is enabled (it's a hard block, not structural)
-          if (toggles.v1Enabled) results = checkNoWriteAllowed(rule, editInfo, relativePath);
-          break;
-        case 'key_deletion_protection':
-          if (toggles.structuralChecks) results = await checkKeyDeletion(editInfo, absolutePath);
-          break;
-        case 'section_preservation':
-          if (toggles.structuralChecks) results = await checkSectionPreservation(rule, editInfo, absolutePath);
-          break;
-        case 'heading_structure':
-          if (toggles.structuralChecks) results = await checkHeadingStructure(rule, editInfo, absolutePath);
-          break;
-        case 'frontmatter_preservation':
-          if (toggles.structuralChecks) results = await checkFrontmatterPreservation(rule, editInfo, absolutePath);
-          break;
-        case 'shebang_preservation':
-          if (toggles.structuralChecks) results = await checkShebangPreservation(rule, editInfo, absolutePath);
-          break;
-
-        // V2 semantic check (gated by v2Enabled toggle)
-        case 'semantic_relevance':
-          if (toggles.v2Enabled) results = await checkSemanticRelevance(rule, editInfo, toggles.v2Settings);
-          break;
-
-        default:
-          console.error('[document-guard] Unknown check: ' + checks[ch]);
+      var check = CHECKS[checks[ch]] || customCheck(config, checks[ch]);
+      var gate = CHECK_TOGGLES[checks[ch]] || (check ? 'customChecks' : null);
+      if (gate && !toggles[gate]) {
+        reportCheck(report, relativePath, rule.name, checks[ch], 'skipped', gate + ' is off');
+        continue;
+      }
+      if (!check) {
+        console.error('[document-guard] Unknown check: ' + checks[ch]);
+        reportCheck(report, relativePath, rule.name, checks[ch], 'unknown', 'no such check');
+        continue;
+      }
+      var outcome = await runIsolated(config, rule.tier, checks[ch], check.bind(null, rule, editInfo, relativePath, toggles, config));
+      reportCheck(report, relativePath, rule.name, checks[ch], checkStatus(outcome), outcome.violations);
+      for (var v = 0; v < outcome.violations.length; v++) {
+        outcome.violations[v].rule = rule.name;
+        allViolations.push(outcome.violations[v]);
       }
-      for (var v = 0; v < results.length; v++) allViolations.push(results[v]);
     }
   }
 
-  // Deduplicate
-  var seen = {};
-  return allViolations.filter(function(v) {
-    if (seen[v.message]) return false;
-    seen[v.message] = true;
-    return true;
-  });
+  return dedupeViolations(allViolations);
 }
 
 // ============================================================
@@ -659,55 +1733,340 @@ function overrideMatchesPath(relativePath, overrideFile) {
   return target.endsWith('/' + pattern);
 }
 
-async function checkOverride(relativePath) {
-  try {
-    var data = await fs.readFile(OVERRIDE_FILE, 'utf8');
-    var parsed = JSON.parse(data);
-    var now = Date.now();
-    var overrides = parsed.overrides || [];
-    for (var i = 0; i < overrides.length; i++) {
-      var o = overrides[i];
-      var notExpired = !o.expires || o.expires > now;
-      if (overrideMatchesPath(relativePath, o.file) && notExpired) return true;
-    }
-    return false;
-  } catch (e) {
-    return false;
+// Whether an entry's path and session scope apply to this edit
+function overrideApplies(entry, relativePath, sessionId) {
+  if (typeof entry.file === 'string' && !overrideMatchesPath(relativePath, entry.file)) return false;
+  if (typeof entry.file !== 'string' && !(typeof entry.glob === 'string' && matchGlob(entry.glob, relativePath))) return false;
+  if (entry.session !== undefined && entry.session !== sessionId) return false;
+  return true;
+}
+
+// Whether an entry's check and rule scope waive one violation
+function overrideCovers(entry, violation) {
+  if (entry.checks && entry.checks.indexOf(violation.check) === -1) return false;
+  if (entry.rule !== undefined && entry.rule !== violation.rule) return false;
+  return true;
+}
+
+// Audit/display form of an entry's scope
+function overrideScope(entry) {
+  var scope = {};
+  if (entry.file !== undefined) scope.file = entry.file;
+  if (entry.glob !== undefined) scope.glob = entry.glob;
+  if (entry.checks !== undefined) scope.checks = entry.checks;
+  if (entry.rule !== undefined) scope.rule = entry.rule;
+  if (entry.session !== undefined) scope.session = entry.session;
+  scope.uses = entry.uses || 1;
+  return scope;
+}
+
+/**
+ * Finds valid overrides covering a target's blocking (critical/high)
+ * violations. Entries must carry a signature made with the user's key (see
+ * lib/override-signing.js); unsigned, forged and replayed entries are returned
+ * in `rejected` so the caller can audit them. Nothing is consumed.
+ *
+ * @param {string} relativePath
+ * @param {Array} violations - The target's violations
+ * @param {string} [sessionId] - session_id from the hook input
+ * @returns {Promise<{entries: Array, uncovered: Array, rejected: Array<{id: string, reason: string}>}>}
+ *   `entries` would be used; the edit is allowed only when `uncovered` is empty
+ */
+async function checkOverride(relativePath, violations, sessionId) {
+  var blocking = (violations || []).filter(function(v) { return v.tier === 'critical' || v.tier === 'high'; });
+  var result = { entries: [], uncovered: blocking, rejected: [] };
+  var file = await signing.readOverrideFile(OVERRIDE_FILE);
+  if (file.error) {
+    result.rejected.push({ id: null, reason: file.error });
+    return result;
+  }
+  var now = Date.now();
+  var key = null;
+  var keyError = null;
+  var valid = [];
+  for (var i = 0; i < file.entries.length; i++) {
+    var o = file.entries[i];
+    if (!o || typeof o !== 'object' || (typeof o.file !== 'string' && typeof o.glob !== 'string')) continue;
+    if (typeof o.expires === 'number' && o.expires <= now) continue;
+    if (!overrideApplies(o, relativePath, sessionId)) continue;
+    if (!key && !keyError) {
+      try {
+        key = await signing.loadKey(false);
+      } catch (err) {
+        keyError = err.message;
+      }
+    }
+    var reason = keyError || signing.verifyEntry(o, key);
+    if (!reason && (await signing.usesLeft(o)) === 0) reason = 'replayed (no uses left)';
+    if (reason) result.rejected.push({ id: o.id || null, reason: reason });
+    else valid.push(o);
   }
+
+  result.uncovered = [];
+  for (var v = 0; v < blocking.length; v++) {
+    var cover = valid.find(function(entry) { return overrideCovers(entry, blocking[v]); });
+    if (!cover) result.uncovered.push(blocking[v]);
+    else if (result.entries.indexOf(cover) === -1) result.entries.push(cover);
+  }
+  if (result.uncovered.length > 0) result.entries = [];
+  return result;
 }
 
-async function consumeOverride(relativePath) {
+/**
+ * Counts one use of an entry (so it can't be replayed past its `uses`) and
+ * removes only that entry once it is spent.
+ *
+ * @returns {Promise<number|null>} Uses left, or null when it couldn't be recorded
+ */
+async function consumeOverride(entry) {
   try {
-    var data = await fs.readFile(OVERRIDE_FILE, 'utf8');
-    var parsed = JSON.parse(data);
-    parsed.overrides = (parsed.overrides || []).filter(function(o) {
-      return !overrideMatchesPath(relativePath, o.file);
-    });
-    if (parsed.overrides.length === 0) {
-      await fs.unlink(OVERRIDE_FILE).catch(function() {});
-    } else {
-      await fs.writeFile(OVERRIDE_FILE, JSON.stringify(parsed, null, 2));
+    var left = await signing.recordUsed(entry);
+    if (left === 0) {
+      var file = await signing.readOverrideFile(OVERRIDE_FILE);
+      await signing.writeOverrideFile(OVERRIDE_FILE, file.entries.filter(function(o) {
+        return !(o && o.nonce === entry.nonce);
+      }));
+    }
+    return left;
+  } catch (err) {
+    console.error('[document-guard] Override consume error: ' + err.message);
+    return null;
+  }
+}
+
+// Paths the agent must never write: the override file and the signing key
+// directory (key, used-override ledger, audit anchors), wherever they are
+function isOverrideStatePath(absolutePath) {
+  var dir = signing.signingDir();
+  if (absolutePath === OVERRIDE_FILE || path.basename(absolutePath) === '.document-guard-overrides.json') return true;
+  return absolutePath === dir || absolutePath.startsWith(dir + path.sep) || absolutePath === signing.keyPath();
+}
+
+// The audit log, its rotated files and lock are written only by the guard
+function isAuditLogPath(absolutePath) {
+  if (path.dirname(absolutePath) !== LOG_DIR) return false;
+  return absolutePath === AUDIT_FILE || /^document-guard(?:\.[\w-]+)?\.jsonl(?:\.lock)?$/.test(path.basename(absolutePath));
+}
+
+// Violation for an agent write to guard state, or null for ordinary paths
+function guardStateViolation(absolutePath, prefix) {
+  var name = path.basename(absolutePath);
+  if (isOverrideStatePath(absolutePath)) {
+    return { check: 'override_integrity', message: (prefix || '') + 'Overrides are granted only by the user through "document-guard override grant"; the agent may not write ' + name };
+  }
+  if (isAuditLogPath(absolutePath)) {
+    return { check: 'audit_integrity', message: (prefix || '') + 'The audit log is written only by Document Guard; the agent may not modify ' + name };
+  }
+  return null;
+}
+
+// Approvals are reserved for the user, however the CLI is invoked. The CLI
+// itself also insists on a typed confirmation at a terminal.
+const USER_ONLY_COMMAND = /\boverride\s+grant\b|\bbaseline\s+add\b/;
+
+// Inside the signing key directory (key, used-override ledger, audit
+// anchors), following symlinks
+function isSigningPath(absolutePath) {
+  var dir = signing.signingDir();
+  var candidates = [absolutePath];
+  try { candidates.push(fsSync.realpathSync(absolutePath)); } catch (e) { /* Doesn't exist */ }
+  return candidates.some(function(p) { return p === dir || p.startsWith(dir + path.sep) || p === signing.keyPath(); });
+}
+
+// A directory whose tree includes the signing directory (~, ~/.config, /), so
+// a recursive read of it (grep -r, tar, cp -r) would take the key along
+function containsSigningDir(absolutePath) {
+  var candidates = [absolutePath];
+  try { candidates.push(fsSync.realpathSync(absolutePath)); } catch (e) { /* Doesn't exist */ }
+  return candidates.some(function(p) {
+    var fromRoot = path.relative(p, signing.signingDir());
+    return !fromRoot.startsWith('..') && !path.isAbsolute(fromRoot);
+  });
+}
+
+// Names of the override state files, however a command spells their directory
+function overrideStateNames() {
+  return [path.basename(OVERRIDE_FILE), path.basename(signing.ledgerPath()), path.basename(signing.keyPath())];
+}
+
+function overrideTamperMessage(command, cwd) {
+  if (USER_ONLY_COMMAND.test(command)) {
+    return 'Granting overrides and baselining findings are reserved for the user; run by the agent they would approve its own edits';
+  }
+  var dir = signing.signingDir();
+  var mentioned = overrideStateNames().filter(function(name) { return command.indexOf(name) !== -1; });
+  if (command.indexOf(dir) !== -1 || /\.config\/document-guard\b/.test(command) || mentioned.length > 0) {
+    return 'Command references the override state (' + (mentioned[0] || dir) + '); only the user\'s CLI may read or write it';
+  }
+  var mentionedList = mentionedPaths(command, cwd);
+  var reached = mentionedList.filter(function(p) { return isSigningPath(p) || isOverrideStatePath(p); });
+  if (reached.length > 0) {
+    return 'Command resolves a path into the override state (' + reached[0] + '); only the user\'s CLI may read or write it';
+  }
+  if (fsSync.existsSync(dir)) {
+    var ancestor = mentionedList.find(containsSigningDir);
+    if (ancestor) {
+      return 'Command names ' + ancestor + ', which contains the override signing key directory (' + dir + '); name a narrower path';
     }
-  } catch (e) { /* fine */ }
+  }
+  return null;
+}
+
+// Read-only tools and the input naming what they read. Grep searches a
+// directory tree, so a root that contains the signing directory counts too.
+const READ_TOOLS = { Read: 'file_path', Grep: 'path' };
+
+function readTamperMessage(toolName, toolInput, cwd) {
+  var target = (toolInput && toolInput[READ_TOOLS[toolName]]) || cwd || PROJECT_DIR;
+  if (typeof target !== 'string') return null;
+  if (target === '~' || target.startsWith('~/')) target = path.join(os.homedir(), target.slice(1));
+  var absolute = path.resolve(cwd || PROJECT_DIR, target);
+  if (isSigningPath(absolute)) {
+    return toolName + ' of the override signing key directory (' + signing.signingDir() + ') is reserved for the user';
+  }
+  if (toolName === 'Grep' && containsSigningDir(absolute)) {
+    return 'Grep in ' + absolute + ' would search the override signing key directory (' + signing.signingDir() + '); search a narrower path';
+  }
+  return null;
+}
+
+// --- Guard Configuration ---
+// One write to a config layer can switch the whole guard off (settings.enabled:
+// false, extends: false, disableRules), and a module in CUSTOM_CHECKS_DIR is
+// require()d by the hook itself, so every write to either needs the user's
+// approval, whatever the layers say. Built in rather than a config rule,
+// which such a write could remove, and covering the user-global layer, which
+// is outside the project.
+
+const CONFIG_GUARD_RULE = {
+  name: 'Document Guard config - user approval',
+  pattern: '(config layers)',
+  tier: 'critical',
+  checks: ['no_write_allowed'],
+  onViolation: 'ask',
+};
+
+// Bash write targets that depend on a run-time value ($(...), loop variables)
+// can't be matched against path rules, so the user decides
+const SHELL_UNRESOLVED_RULE = {
+  name: 'Shell targets - unresolved',
+  pattern: '(unresolved shell targets)',
+  tier: 'high',
+  checks: ['shell_write'],
+  onViolation: 'ask',
+};
+
+// Built-in rules, found by name like configured ones (see ruleByName)
+const BUILTIN_RULES = [CONFIG_GUARD_RULE, SHELL_UNRESOLVED_RULE];
+
+// Violation for a write to a config layer or the custom checks directory
+// (or the directory itself), or null for other paths. Files merged through
+// `extends` count once a config has been loaded.
+function guardConfigViolation(absolutePath) {
+  var layers = configLayerPaths().concat(configInfo ? configInfo.files : []);
+  var layer = layers.find(function(l) { return l.path === absolutePath; });
+  var message;
+  if (layer) {
+    message = 'The ' + layer.source + ' Document Guard config can only change with the user\'s approval; it can turn the guard off';
+  } else if (absolutePath === CUSTOM_CHECKS_DIR || absolutePath.startsWith(CUSTOM_CHECKS_DIR + path.sep)) {
+    message = 'Custom check modules run inside the hook, so they can only change with the user\'s approval';
+  } else {
+    return null;
+  }
+  return {
+    check: 'no_write_allowed',
+    tier: CONFIG_GUARD_RULE.tier,
+    rule: CONFIG_GUARD_RULE.name,
+    message: message,
+  };
+}
+
+// Prepends the config guard to a target's own rule violations
+function withConfigGuard(target, violation) {
+  target.violations = [violation].concat(target.violations);
+  if (target.rules.indexOf(CONFIG_GUARD_RULE) === -1) target.rules = [CONFIG_GUARD_RULE].concat(target.rules);
+  return target;
+}
+
+function tamperAction(target) {
+  return target.violations[0].check === 'audit_integrity' ? 'audit_tamper' : 'override_tamper';
+}
+
+function overrideTamperTarget(relativePath, message, check) {
+  return {
+    relativePath: relativePath,
+    violations: [{ check: check || 'override_integrity', tier: 'critical', message: message }],
+    rules: [],
+    tamper: true,
+  };
 }
 
 // ============================================================
 // AUDIT LOGGING
 // ============================================================
 
-async function auditLog(action, relativePath, violations, rules) {
+// Audit fields of a violation. Credential findings keep their redacted
+// preview and location; the matched secret and context line never reach the log.
+function auditViolation(v) {
+  var out = { check: v.check, tier: v.tier, message: v.message };
+  if (v.rule) out.rule = v.rule;
+  if (v.failedCheck) out.failedCheck = v.failedCheck;
+  if (v.pattern) out.pattern = v.pattern;
+  if (v.line) {
+    out.line = v.line;
+    out.column = v.column;
+  }
+  if (v.preview) out.preview = v.preview;
+  if (v.confidence !== undefined) out.confidence = v.confidence;
+  if (v.diff) out.diff = v.diff;
+  return out;
+}
+
+// Fields of the current tool call added to every entry (see setAuditContext)
+let auditContext = {};
+
+// Records the tool call being decided (session, tool, content hash) for auditLog
+function setAuditContext(input, editInfo) {
+  var hashed = null;
+  var hashOf = null;
+  if (editInfo && typeof editInfo.after === 'string') {
+    hashed = editInfo.after;
+    hashOf = 'result';
+  } else if (input.tool_input && typeof input.tool_input.command === 'string') {
+    hashed = input.tool_input.command;
+    hashOf = 'command';
+  } else if (input.tool_input) {
+    hashed = JSON.stringify(input.tool_input);
+    hashOf = 'input';
+  }
+  auditContext = {
+    session_id: input.session_id || null,
+    tool_name: input.tool_name || null,
+  };
+  if (hashed !== null) {
+    auditContext.contentHash = crypto.createHash('sha256').update(hashed).digest('hex');
+    auditContext.contentHashOf = hashOf;
+  }
+}
+
+/**
+ * Appends an entry to the hash-chained, rotating log (lib/audit-log.js).
+ *
+ * @param {object} [extra] - Additional fields for the entry (e.g. rejected overrides)
+ */
+async function auditLog(action, relativePath, violations, rules, extra) {
   try {
-    await fs.mkdir(LOG_DIR, { recursive: true });
     var entry = {
       timestamp: new Date().toISOString(),
       hook: 'document-guard',
       version: 2,
       action: action,
       file: relativePath,
-      violations: violations.map(function(v) { return { check: v.check, tier: v.tier, message: v.message }; }),
+      violations: violations.map(auditViolation),
       rules: (rules || []).map(function(r) { return r.name; }),
     };
-    await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n');
+    Object.assign(entry, auditContext, extra);
+    await auditLib.appendEntry(AUDIT_FILE, entry, configCache && configCache.settings && configCache.settings.audit);
   } catch (err) {
     console.error('[document-guard] Audit log error: ' + err.message);
   }
@@ -717,155 +2076,709 @@ async function auditLog(action, relativePath, violations, rules) {
 // BLOCK MESSAGE FORMATTING
 // ============================================================
 
-function formatBlockMessage(relativePath, violations, rules, config) {
-  var maxShow = config.settings.maxViolationsShown || 5;
-  var ttl = config.settings.overrideTTL || 120;
-  var tier = violations[0]?.tier || 'high';
-
-  var msg = 'DOCUMENT GUARD [' + tier.toUpperCase() + ']: Edit blocked on ' + relativePath + '\n\n';
-  msg += 'Violations:\n';
+// "Violations:" list shared by block and ask messages
+function formatViolationList(violations, config) {
+  var settings = (config && config.settings) || {};
+  var maxShow = settings.maxViolationsShown || 5;
+  var msg = 'Violations:\n';
 
   var shown = violations.slice(0, maxShow);
   for (var i = 0; i < shown.length; i++) {
     msg += '  - [' + shown[i].check + '] ' + shown[i].message + '\n';
+    if (shown[i].context) msg += '      > ' + shown[i].context + '\n';
   }
   if (violations.length > maxShow) {
     msg += '  ... and ' + (violations.length - maxShow) + ' more\n';
   }
+  if (violations.some(function(v) { return v.check === 'credential_scan'; })) {
+    msg += '\nReplace each secret at the location shown with a reference (environment variable, secrets file outside the repo) or a placeholder, then retry.\n';
+  }
+  var destructive = violations.find(function(v) { return v.check === 'destructive_change'; });
+  if (destructive) {
+    msg += '\nDiff: ' + destructive.diff + '\n';
+    msg += 'Rewrite only what needs to change: make targeted Edit calls instead of replacing the whole file.\n';
+  }
+  return msg;
+}
 
-  msg += '\nMatched rules: ' + rules.map(function(r) { return r.name; }).join(', ') + '\n';
-  msg += '\nTo override: Ask the user for explicit approval, then write this file:\n';
-  msg += '  Path: ' + OVERRIDE_FILE + '\n';
-  msg += '  Content: {"overrides":[{"file":"' + relativePath + '","reason":"User approved","expires":' + (Date.now() + ttl * 1000) + '}]}\n';
-  msg += 'Then retry the edit. The override expires in ' + ttl + ' seconds and is single-use.';
+function formatMatchedRules(rules, violations) {
+  if (rules.length > 0) return 'Matched rules: ' + rules.map(function(r) { return r.name; }).join(', ') + '\n';
+  var general = violations.some(function(v) { return v.check === 'credential_scan'; });
+  return 'Matched rules: ' + (general ? '(none - general credential scan)' : '(none)') + '\n';
+}
+
+/**
+ * @param {string} [sessionId] - Suggested as the override's session scope
+ */
+function formatBlockMessage(relativePath, violations, rules, config, verb, sessionId) {
+  var settings = (config && config.settings) || {};
+  var ttl = settings.overrideTTL || 120;
+  var tier = violations[0]?.tier || 'high';
+
+  var msg = 'DOCUMENT GUARD [' + tier.toUpperCase() + ']: ' + (verb || 'Edit') + ' blocked on ' + relativePath + '\n\n';
+  msg += formatViolationList(violations, config);
+
+  if (violations.some(function(v) { return v.check === 'override_integrity' || v.check === 'audit_integrity'; })) {
+    msg += '\nOnly the user can do this; it cannot be overridden.';
+    return msg;
+  }
+
+  msg += '\n' + formatMatchedRules(rules, violations);
+  msg += '\nTo override: Ask the user for explicit approval. Only they can grant it, by running in their own terminal:\n';
+  msg += '  node "' + path.join(PLUGIN_ROOT, 'bin', 'document-guard.js') + '" override grant "' + relativePath + '" --project "' + PROJECT_DIR + '"' +
+    (sessionId ? ' --session ' + sessionId : '') + ' --reason "<why>"\n';
+  msg += 'It asks them to type a confirmation code; /document-guard:override ' + relativePath + ' <why> in Claude Code prints the command. Do not write the override file or run the grant command yourself; both are blocked.\n';
+  msg += 'Then retry the ' + (verb ? 'command' : 'edit') + '. The override expires in ' + ttl + ' seconds and is single-use.';
 
   return msg;
 }
 
+// Shown in Claude Code's permission prompt for rules with onViolation: 'ask'
+function formatAskMessage(relativePath, violations, rules, config, verb) {
+  var tier = highestTierOf(violations);
+  return 'DOCUMENT GUARD [' + tier.toUpperCase() + ']: ' + (verb || 'Edit') + ' on ' + relativePath + ' needs your approval\n\n' +
+    formatViolationList(violations, config) + '\n' + formatMatchedRules(rules, violations);
+}
+
 // ============================================================
-// MAIN
+// ENFORCEMENT
 // ============================================================
 
-async function main() {
-  var chunks = [];
-  for await (var chunk of process.stdin) {
-    chunks.push(chunk);
+function highestTierOf(violations) {
+  var tierPriority = { critical: 4, high: 3, medium: 2, low: 1 };
+  var highestTier = 'low';
+  for (var i = 0; i < violations.length; i++) {
+    var vTier = violations[i].tier || 'low';
+    if ((tierPriority[vTier] || 0) > (tierPriority[highestTier] || 0)) {
+      highestTier = vTier;
+    }
   }
-  var input = Buffer.concat(chunks).toString('utf8');
+  return highestTier;
+}
 
-  var context;
+// Splits evaluated targets by the action their highest tier calls for
+function classifyTargets(targets) {
+  var result = { blocked: [], warned: [], logged: [] };
+  for (var t = 0; t < targets.length; t++) {
+    if (targets[t].violations.length === 0) continue;
+    var highestTier = highestTierOf(targets[t].violations);
+    if (highestTier === 'critical' || highestTier === 'high') result.blocked.push(targets[t]);
+    else if (highestTier === 'medium') result.warned.push(targets[t]);
+    else result.logged.push(targets[t]);
+  }
+  return result;
+}
+
+// Applies tier semantics to one or more evaluated targets and emits the hook
+// decision. A Bash command can touch several files; it is blocked if any
+// critical/high violation is not covered by an override, unless every such
+// violation comes from an onViolation: 'ask' rule and a user can answer, in
+// which case the user is asked. One tool call uses each covering override
+// once, however many targets it covers.
+//
+// `input` is the hook payload (session_id, tool_use_id).
+async function enforce(config, targets, verb, input) {
+  input = input || {};
+  var sessionId = input.session_id;
+  var classified = classifyTargets(targets);
+  var blocked = classified.blocked;
+  var warned = classified.warned;
+  var logged = classified.logged;
+
+  // No violations - let the call through
+  if (blocked.length === 0 && warned.length === 0 && logged.length === 0) {
+    hookPass();
+    return;
+  }
+
+  // Critical/High: check for a signed override, then block. Attempts on the
+  // override state itself are never overridable.
+  var missing = [];
+  for (var b = 0; b < blocked.length; b++) {
+    if (blocked[b].tamper) {
+      missing.push(blocked[b]);
+      continue;
+    }
+    var override = await checkOverride(blocked[b].relativePath, blocked[b].violations, sessionId);
+    if (override.rejected.length > 0) {
+      await auditLog('override_rejected', blocked[b].relativePath, blocked[b].violations, blocked[b].rules, { rejectedOverrides: override.rejected });
+    }
+    blocked[b].overrides = override.entries;
+    blocked[b].uncovered = override.uncovered;
+    blocked[b].rejectedOverrides = override.rejected;
+    if (override.uncovered.length > 0) missing.push(blocked[b]);
+  }
+  if (missing.length > 0 && shouldAsk(config, missing)) {
+    await askUser(config, missing, warned, logged, verb, input);
+    return;
+  }
+  if (missing.length > 0) {
+    var messages = [];
+    for (var m = 0; m < missing.length; m++) {
+      await auditLog(missing[m].tamper ? tamperAction(missing[m]) : 'blocked', missing[m].relativePath, missing[m].violations, missing[m].rules);
+      var shownViolations = missing[m].uncovered || missing[m].violations;
+      var blockMsg = formatBlockMessage(missing[m].relativePath, shownViolations, missing[m].rules, config, verb, sessionId);
+      var coveredCount = missing[m].violations.filter(function(v) { return v.tier === 'critical' || v.tier === 'high'; }).length - shownViolations.length;
+      if (missing[m].uncovered && coveredCount > 0) {
+        blockMsg += '\nAn override covers the other ' + coveredCount + ' violation(s), but not these; it is used only when every blocking violation is covered.';
+      }
+      var rejected = missing[m].rejectedOverrides || [];
+      for (var rj = 0; rj < rejected.length; rj++) {
+        blockMsg += '\nIgnored override' + (rejected[rj].id ? ' ' + rejected[rj].id : '') + ': ' + rejected[rj].reason + '.';
+      }
+      messages.push(blockMsg);
+    }
+    hookDeny(messages.join('\n\n'));
+    return;
+  }
+
+  var usesLeft = {};
+  for (var u = 0; u < blocked.length; u++) {
+    for (var e = 0; e < blocked[u].overrides.length; e++) {
+      var entry = blocked[u].overrides[e];
+      if (!(entry.nonce in usesLeft)) usesLeft[entry.nonce] = await consumeOverride(entry);
+    }
+  }
+
+  var context = [];
+  for (var o = 0; o < blocked.length; o++) {
+    var target = blocked[o];
+    await auditLog('override_used', target.relativePath, target.violations, target.rules, {
+      overrides: target.overrides.map(function(entry) {
+        return { id: entry.id || null, reason: entry.reason || null, scope: overrideScope(entry), usesRemaining: usesLeft[entry.nonce] };
+      }),
+    });
+    var overrideMsg = target.violations.map(function(v) { return v.message; }).join('; ');
+    context.push('DOCUMENT GUARD OVERRIDE USED on ' + path.basename(target.relativePath) + ': ' + overrideMsg + '. This override was approved by the user.');
+  }
+
+  context = context.concat(await auditWarnedAndLogged(warned, logged));
+  hookPass(context.length > 0 ? context.join('\n') : undefined);
+}
+
+// Audits medium (warn) and low (log) targets; returns the warnings for Claude
+async function auditWarnedAndLogged(warned, logged) {
+  var context = [];
+  for (var w = 0; w < warned.length; w++) {
+    await auditLog('warned', warned[w].relativePath, warned[w].violations, warned[w].rules);
+    var warnMsg = warned[w].violations.map(function(v) { return '[' + v.check + '] ' + v.message; }).join('; ');
+    context.push('Document Guard warning on ' + path.basename(warned[w].relativePath) + ': ' + warnMsg);
+  }
+  for (var l = 0; l < logged.length; l++) {
+    await auditLog('logged', logged[l].relativePath, logged[l].violations, logged[l].rules);
+  }
+  return context;
+}
+
+// ============================================================
+// ASK DECISIONS
+// ============================================================
+
+function ruleByName(config, name) {
+  var all = (config.rules || []).concat(config.general || [], BUILTIN_RULES);
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].name === name) return all[i];
+  }
+  return null;
+}
+
+// Whether a user can answer a permission prompt. SDK and `claude -p` runs
+// (CLAUDE_CODE_ENTRYPOINT sdk-*) can't; DOCUMENT_GUARD_INTERACTIVE forces it.
+function isInteractive() {
+  var forced = process.env.DOCUMENT_GUARD_INTERACTIVE;
+  if (forced !== undefined) return forced !== 'false' && forced !== '0' && forced !== '';
+  return !/^sdk/.test(process.env.CLAUDE_CODE_ENTRYPOINT || '');
+}
+
+/**
+ * Whether blocked targets go to the user instead of being denied: every
+ * uncovered critical/high violation comes from an onViolation: 'ask' rule and
+ * the run is interactive. Otherwise the override flow applies.
+ */
+function shouldAsk(config, missing) {
+  if (!isInteractive()) return false;
+  return missing.every(function(t) {
+    if (t.tamper) return false;
+    return (t.uncovered || t.violations).every(function(v) {
+      if (v.tier !== 'critical' && v.tier !== 'high') return true;
+      var rule = ruleByName(config, v.rule);
+      return !!rule && rule.onViolation === 'ask';
+    });
+  });
+}
+
+async function askUser(config, missing, warned, logged, verb, input) {
+  var parts = [];
+  for (var m = 0; m < missing.length; m++) {
+    var t = missing[m];
+    await auditLog('asked', t.relativePath, t.violations, t.rules, input.tool_use_id ? { toolUseId: input.tool_use_id } : undefined);
+    parts.push(formatAskMessage(t.relativePath, t.uncovered || t.violations, t.rules, config, verb));
+  }
+  var notes = await auditWarnedAndLogged(warned, logged);
+  await recordPendingAsk(input.tool_use_id, missing);
+  hookAsk(parts.join('\n\n') + (notes.length > 0 ? '\n' + notes.join('\n') + '\n' : '') +
+    '\nApprove to let this ' + (verb ? 'command' : 'edit') + ' through once, or reject it.');
+}
+
+// Pending asks: { <tool_use_id>: { asked: <ms>, session_id, tool_name, contentHash, targets: [{ file, rules }] } }
+async function readPendingAsks() {
   try {
-    context = JSON.parse(input);
+    var parsed = JSON.parse(await fs.readFile(PENDING_ASKS_FILE, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
   } catch (e) {
-    hookAllow();
+    return {};
+  }
+}
+
+async function writePendingAsks(pending) {
+  if (Object.keys(pending).length === 0) {
+    await fs.unlink(PENDING_ASKS_FILE).catch(function() {});
     return;
   }
+  await fs.mkdir(LOG_DIR, { recursive: true });
+  await fs.writeFile(PENDING_ASKS_FILE, JSON.stringify(pending, null, 2));
+}
+
+async function auditAskOutcome(action, toolUseId, ask) {
+  for (var i = 0; i < (ask.targets || []).length; i++) {
+    var target = ask.targets[i];
+    await auditLog(action, target.file, [], (target.rules || []).map(function(name) { return { name: name }; }), {
+      toolUseId: toolUseId,
+      session_id: ask.session_id || null,
+      tool_name: ask.tool_name || null,
+      contentHash: ask.contentHash,
+      contentHashOf: ask.contentHashOf,
+    });
+  }
+}
+
+// Asks nobody approved within the window were rejected (or the tool failed)
+async function expirePendingAsks(pending, now) {
+  for (var id in pending) {
+    if (now - (pending[id].asked || 0) <= ASK_ANSWER_WINDOW_MS) continue;
+    await auditAskOutcome('ask_rejected', id, pending[id]);
+    delete pending[id];
+  }
+}
+
+async function recordPendingAsk(toolUseId, targets) {
+  if (!toolUseId) return;
+  try {
+    var pending = await readPendingAsks();
+    await expirePendingAsks(pending, Date.now());
+    pending[toolUseId] = {
+      asked: Date.now(),
+      session_id: auditContext.session_id,
+      tool_name: auditContext.tool_name,
+      contentHash: auditContext.contentHash,
+      contentHashOf: auditContext.contentHashOf,
+      targets: targets.map(function(t) {
+        return { file: t.relativePath, rules: t.rules.map(function(r) { return r.name; }) };
+      }),
+    };
+    await writePendingAsks(pending);
+  } catch (err) {
+    console.error('[document-guard] Pending ask error: ' + err.message);
+  }
+}
+
+// PostToolUse: the tool ran, so an ask for this tool call was approved
+async function resolvePendingAsk(input) {
+  var pending = await readPendingAsks();
+  var ids = Object.keys(pending);
+  if (ids.length === 0) return;
+  if (input.tool_use_id && pending[input.tool_use_id]) {
+    await auditAskOutcome('ask_approved', input.tool_use_id, pending[input.tool_use_id]);
+    delete pending[input.tool_use_id];
+  }
+  await expirePendingAsks(pending, Date.now());
+  await writePendingAsks(pending);
+}
+
+// Evaluates each file a Bash command would write against the path rules.
+// Content written by redirections/tee comes from the command itself, so the
+// command text is credential-scanned for those targets.
+async function evaluateShellTargets(config, shellTargets, command, toggles, report, baseline) {
+  var byPath = {};
+  var order = [];
+  for (var i = 0; i < shellTargets.length; i++) {
+    var target = shellTargets[i];
+    var configViolation = guardConfigViolation(target.path);
+    if (!target.path.startsWith(PROJECT_DIR) && !configViolation) continue;
+    var relativePath = toRelativePath(target.path);
+    if (!byPath[relativePath]) {
+      byPath[relativePath] = { relativePath: relativePath, violations: [], rules: [] };
+      order.push(relativePath);
+    }
+    var entry = byPath[relativePath];
+    if (configViolation && entry.rules.indexOf(CONFIG_GUARD_RULE) === -1) {
+      reportCheck(report, relativePath, CONFIG_GUARD_RULE.name, 'no_write_allowed', 'fail', [configViolation]);
+      withConfigGuard(entry, configViolation);
+    }
+    var rules = findMatchingRules(config, relativePath);
+    for (var r = 0; r < rules.length; r++) {
+      var outcome = await runIsolated(config, rules[r].tier, 'shell_write', checkShellWrite.bind(null, rules[r], target, relativePath, toggles));
+      reportCheck(report, relativePath, rules[r].name, 'shell_write', checkStatus(outcome), outcome.violations);
+      if (outcome.violations.length > 0 && entry.rules.indexOf(rules[r]) === -1) entry.rules.push(rules[r]);
+      for (var v = 0; v < outcome.violations.length; v++) {
+        outcome.violations[v].rule = rules[r].name;
+        entry.violations.push(outcome.violations[v]);
+      }
+    }
+    if (target.writesContent && toggles.credentialScan) {
+      var scanned = await runIsolated(config, GENERAL_RULE_TIER, 'credential_scan', function() {
+        return checkCredentialScan(config, { isFullWrite: true, fullContent: command, contentLabel: 'the command' }, relativePath, baseline);
+      });
+      reportCheck(report, relativePath, 'credential_scan', 'credential_scan', checkStatus(scanned), scanned.violations);
+      for (var c = 0; c < scanned.violations.length; c++) {
+        scanned.violations[c].rule = 'credential_scan';
+        entry.violations.push(scanned.violations[c]);
+      }
+    }
+  }
+
+  return order.map(function(p) {
+    byPath[p].violations = dedupeViolations(byPath[p].violations);
+    return byPath[p];
+  });
+}
+
+// ============================================================
+// MAIN
+// ============================================================
 
+/**
+ * Evaluates one hook payload without side effects: nothing is audited and no
+ * override is read or consumed. Shared by the hook and `document-guard check`.
+ *
+ * @param {object} context - Hook input (tool_name, tool_input, cwd, ...)
+ * @param {Array} [report] - Receives per-check results (see runChecks)
+ * @returns {Promise<object>} { skip: reason } when the guard has nothing to
+ *   decide, otherwise { config, targets, verb, editInfo }
+ * @throws {ConfigError} Invalid config with failMode 'closed'
+ */
+async function evaluateToolUse(context, report) {
   var tool_name = context.tool_name;
   var tool_input = context.tool_input;
 
-  // Fast path: not an edit tool
-  if (!EDIT_TOOLS.has(tool_name)) {
-    hookAllow();
-    return;
+  if (tool_name === SHELL_TOOL) return evaluateShellCommand(context, report);
+  if (Object.prototype.hasOwnProperty.call(READ_TOOLS, tool_name)) return evaluateRead(context, report);
+
+  // Fast path: not an edit tool (configs may map extra tools, so check those too)
+  var config = null;
+  if (!getToolMapping(tool_name, null)) {
+    config = await loadConfig();
+    if (!getToolMapping(tool_name, config)) return { skip: 'Tool ' + tool_name + ' is not guarded' };
   }
 
   // Extract file path
-  var filePath = extractFilePath(tool_name, tool_input);
-  if (!filePath) {
-    hookAllow();
-    return;
-  }
+  var filePath = extractFilePath(tool_name, tool_input, config);
+  if (!filePath) return { skip: 'No file path in tool input' };
 
   var absolutePath = toAbsolutePath(filePath);
   var relativePath = toRelativePath(absolutePath);
 
-  // Skip override file itself
-  if (absolutePath === OVERRIDE_FILE || relativePath.endsWith('.document-guard-overrides.json')) {
-    hookAllow();
-    return;
-  }
+  // The override file and signing key are written only by the user's CLI
+  var tamper = guardStateViolation(absolutePath);
+
+  var configViolation = guardConfigViolation(absolutePath);
 
   // Skip files outside project
-  if (!absolutePath.startsWith(PROJECT_DIR)) {
-    hookAllow();
-    return;
-  }
+  if (!tamper && !configViolation && !absolutePath.startsWith(PROJECT_DIR)) return { skip: 'File is outside the project (' + PROJECT_DIR + ')' };
 
   // Load config
-  var config = await loadConfig();
-  if (!config) {
-    hookAllow();
-    return;
-  }
+  if (!config) config = await loadConfig();
+  if (!config) return { skip: 'No config found' };
+  configViolation = configViolation || guardConfigViolation(absolutePath);
 
   // Resolve toggles - check if guard is enabled
   var toggles = resolveToggles(config);
-  if (!toggles.masterEnabled || (!toggles.v1Enabled && !toggles.v2Enabled)) {
-    hookAllow();
-    return;
+  if (!toggles.masterEnabled || (!toggles.v1Enabled && !toggles.v2Enabled)) return { skip: 'Guard is disabled' };
+
+  if (tamper) {
+    var tamperTarget = overrideTamperTarget(absolutePath.startsWith(PROJECT_DIR) ? relativePath : absolutePath, tamper.message, tamper.check);
+    reportCheck(report, tamperTarget.relativePath, 'guard integrity', tamper.check, 'fail', tamperTarget.violations);
+    return {
+      config: config,
+      targets: [tamperTarget],
+      verb: undefined,
+      editInfo: null,
+    };
   }
 
   // Find matching rules
   var rules = findMatchingRules(config, relativePath);
 
   // Get edit content info
-  var editInfo = getEditInfo(tool_name, tool_input);
-  if (!editInfo) {
-    hookAllow();
-    return;
-  }
+  var editInfo = await getEditInfo(tool_name, tool_input, absolutePath, config);
+  if (!editInfo) return { skip: 'No edit content in tool input' };
+  await reconstructDocuments(editInfo, absolutePath);
 
   // Run checks
-  var violations = await runChecks(config, rules, editInfo, absolutePath, relativePath, toggles);
+  var violations = await runChecks(config, rules, editInfo, absolutePath, relativePath, toggles, report);
+  var target = { relativePath: relativePath, violations: violations, rules: rules };
+  if (configViolation) {
+    reportCheck(report, relativePath, CONFIG_GUARD_RULE.name, 'no_write_allowed', 'fail', [configViolation]);
+    withConfigGuard(target, configViolation);
+  }
 
-  // No violations - allow
-  if (violations.length === 0) {
-    hookAllow();
-    return;
+  return {
+    config: config,
+    targets: [target],
+    verb: undefined,
+    editInfo: editInfo,
+  };
+}
+
+// A directory or glob inside the project, or one that contains it (rm -rf ..)
+function overlapsProject(absolutePath) {
+  var inward = path.relative(PROJECT_DIR, absolutePath);
+  var outward = path.relative(absolutePath, PROJECT_DIR);
+  return !(inward.startsWith('..') || path.isAbsolute(inward)) || !(outward.startsWith('..') || path.isAbsolute(outward));
+}
+
+// An unresolved shell target (run-time parts shown as *) that could land in
+// the project: its literal leading directory overlaps it, or it isn't known
+// where the path starts or where a later ".." leads
+function mayReachProject(pattern) {
+  var star = pattern.indexOf('*');
+  if (star === -1) return overlapsProject(pattern);
+  if (!path.isAbsolute(pattern) || /(^|\/)\.\.(\/|$)/.test(pattern.slice(star))) return true;
+  var literal = pattern.slice(0, star);
+  return overlapsProject(literal.endsWith('/') ? literal : path.dirname(literal));
+}
+
+// Reads are only guarded for the override signing key
+async function evaluateRead(context, report) {
+  var message = readTamperMessage(context.tool_name, context.tool_input, context.cwd);
+  if (!message) return { skip: 'Read outside the override state' };
+  var config = await loadConfig();
+  if (!config) return { skip: 'No config found' };
+  var toggles = resolveToggles(config);
+  if (!toggles.masterEnabled) return { skip: 'Guard is disabled' };
+  var target = overrideTamperTarget(signing.signingDir(), message);
+  reportCheck(report, target.relativePath, 'guard integrity', 'override_integrity', 'fail', target.violations);
+  return { config: config, targets: [target], verb: context.tool_name, editInfo: null };
+}
+
+async function evaluateShellCommand(context, report) {
+  var command = context.tool_input?.command;
+  var cwd = context.cwd || PROJECT_DIR;
+
+  // Writes to the override state and user-only commands are tampering
+  var tamperTargets = [];
+  var analyzed = analyzeShellCommand(command, cwd);
+  for (var i = 0; i < analyzed.length; i++) {
+    var stateViolation = guardStateViolation(analyzed[i].path, 'Command writes guard state. ');
+    if (!stateViolation) continue;
+    var tamperPath = analyzed[i].path.startsWith(PROJECT_DIR) ? toRelativePath(analyzed[i].path) : analyzed[i].path;
+    tamperTargets.push(overrideTamperTarget(tamperPath, stateViolation.message, stateViolation.check));
   }
+  var tamperMessage = typeof command === 'string' ? overrideTamperMessage(command, cwd) : null;
+  if (tamperMessage) tamperTargets.push(overrideTamperTarget('(command)', tamperMessage));
 
-  // Determine highest tier
-  var tierPriority = { critical: 4, high: 3, medium: 2, low: 1 };
-  var highestTier = 'low';
-  for (var i = 0; i < violations.length; i++) {
-    var vTier = violations[i].tier || 'low';
-    if ((tierPriority[vTier] || 0) > (tierPriority[highestTier] || 0)) {
-      highestTier = vTier;
-    }
+  // Fast path: nothing written inside the project
+  var shellTargets = analyzed.filter(function(t) {
+    return !t.incomplete && !t.unresolved && (t.path.startsWith(PROJECT_DIR) || guardConfigViolation(t.path)) && !guardStateViolation(t.path);
+  });
+  var incomplete = analyzed.filter(function(t) { return t.incomplete && overlapsProject(t.path); });
+  var unresolved = analyzed.filter(function(t) { return t.unresolved && mayReachProject(t.path); });
+  if (shellTargets.length === 0 && tamperTargets.length === 0 && incomplete.length === 0 && unresolved.length === 0) {
+    return { skip: 'Command writes no files inside the project' };
   }
 
-  // Critical/High: check for override, then block
-  if (highestTier === 'critical' || highestTier === 'high') {
-    var hasOverride = await checkOverride(relativePath);
-    if (hasOverride) {
-      await consumeOverride(relativePath);
-      await auditLog('override_used', relativePath, violations, rules);
-      var overrideMsg = violations.map(function(v) { return v.message; }).join('; ');
-      hookAllow('DOCUMENT GUARD OVERRIDE USED on ' + path.basename(relativePath) + ': ' + overrideMsg + '. This override was approved by the user.');
-      return;
-    }
+  var config = await loadConfig();
+  if (!config) return { skip: 'No config found' };
+
+  var toggles = resolveToggles(config);
+  if (!toggles.masterEnabled || !toggles.v1Enabled) return { skip: 'Guard is disabled' };
+
+  for (var t = 0; t < tamperTargets.length; t++) {
+    reportCheck(report, tamperTargets[t].relativePath, 'guard integrity', tamperTargets[t].violations[0].check, 'fail', tamperTargets[t].violations);
+  }
+  var incompleteTargets = incomplete.map(function(target) {
+    var shown = target.path.startsWith(PROJECT_DIR) ? toRelativePath(target.path) : target.path;
+    var violations = [{
+      check: 'shell_write',
+      tier: 'critical',
+      message: 'Command expands ' + shown + ' to more than ' + MAX_DIR_FILES + ' files; the guard stops listing there, so it can\'t tell whether protected files are affected',
+    }];
+    reportCheck(report, shown, 'expansion limit', 'shell_write', 'fail', violations);
+    return { relativePath: shown, violations: violations, rules: [] };
+  });
+  var unresolvedTargets = unresolved.map(function(target) {
+    var shown = target.path.startsWith(PROJECT_DIR + '/') ? toRelativePath(target.path) : target.path;
+    var violations = [{
+      check: 'shell_write',
+      tier: SHELL_UNRESOLVED_RULE.tier,
+      rule: SHELL_UNRESOLVED_RULE.name,
+      message: /\(script\)$/.test(target.operation)
+        ? 'Command runs a script only known at run time (' + target.operation.replace(/ \(script\)$/, '') + ' ' + shown + '); the guard can\'t see what it writes'
+        : 'Command writes ' + shown + ', which depends on a value only known at run time (command output, a loop or unset variable), so the guard can\'t tell whether it is protected',
+    }];
+    reportCheck(report, shown, SHELL_UNRESOLVED_RULE.name, 'shell_write', 'fail', violations);
+    return { relativePath: shown, violations: violations, rules: [SHELL_UNRESOLVED_RULE] };
+  });
+
+  return {
+    config: config,
+    targets: tamperTargets.concat(incompleteTargets, unresolvedTargets, await evaluateShellTargets(config, shellTargets, command, toggles, report, toggles.credentialScan ? await loadProjectBaseline() : null)),
+    verb: 'Shell command',
+    shellTargets: shellTargets,
+  };
+}
+
+async function main() {
+  // The PostToolUse hook (hooks.json passes --post-tool-use, the only signal
+  // for this mode) runs after every guarded tool call but only resolves
+  // earlier asks, which most calls have none of
+  var postToolUse = process.argv.indexOf('--post-tool-use') !== -1;
+  if (postToolUse && !fsSync.existsSync(PENDING_ASKS_FILE)) return;
+
+  var chunks = [];
+  for await (var chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  var input = Buffer.concat(chunks).toString('utf8');
+
+  var context;
+  try {
+    context = JSON.parse(input);
+    if (!context || typeof context !== 'object' || Array.isArray(context)) throw new Error('expected a JSON object');
+  } catch (e) {
+    await failHook('Malformed hook input', e);
+    return;
+  }
+  setAuditContext(context);
 
-    await auditLog('blocked', relativePath, violations, rules);
-    var message = formatBlockMessage(relativePath, violations, rules, config);
-    hookDeny(message);
+  // PostToolUse only records the outcome of earlier asks
+  if (postToolUse) {
+    disarmHookTimeout();
+    await resolvePendingAsk(context);
     return;
   }
+  // Without the flag only PreToolUse has a decision to make
+  if (context.hook_event_name && context.hook_event_name !== 'PreToolUse') return;
 
-  // Medium: warn but allow
-  if (highestTier === 'medium') {
-    await auditLog('warned', relativePath, violations, rules);
-    var warnMsg = violations.map(function(v) { return '[' + v.check + '] ' + v.message; }).join('; ');
-    hookAllow('Document Guard warning on ' + path.basename(relativePath) + ': ' + warnMsg);
+  var result = await evaluateToolUse(context);
+  if (configNotice) await auditConfigError(getConfigInfo().validation.errors, 'open');
+  if (result.skip) {
+    hookPass();
     return;
   }
+  setAuditContext(context, result.editInfo);
+  await enforce(result.config, result.targets, result.verb, context);
+}
+
+// --- Hook Failures ---
+// Errors outside any one check: bad input, uncaught exceptions, an invalid
+// config and the hook deadline. Decided by failModeFor() without a tier.
 
-  // Low: log only
-  await auditLog('logged', relativePath, violations, rules);
-  hookAllow();
+let hookTimer = null;
+
+async function failHook(what, err) {
+  console.error('[document-guard] ' + what + ': ' + err.message);
+  var mode = 'open';
+  try {
+    var config = configCache || await loadConfig();
+    mode = failModeFor(config && config.settings);
+  } catch (loadErr) {
+    if (loadErr instanceof ConfigError) mode = 'closed';
+  }
+  await auditLog('hook_error', null, [{
+    check: 'hook_error',
+    tier: mode === 'closed' ? 'critical' : 'low',
+    message: what + ': ' + err.message,
+  }], [], { failMode: mode });
+  if (mode === 'closed') {
+    hookDeny('DOCUMENT GUARD: ' + what + ' (' + err.message + '). settings.failMode is "closed", so this tool call is refused.');
+  } else {
+    hookPass();
+  }
+}
+
+// Invalid config: enforced as the plugin default ('open') or refused ('closed')
+// Audits an invalid config once per distinct set of errors and fail mode. The
+// notice on every decision (or the refusal under 'closed') covers later calls.
+async function auditConfigError(errors, mode) {
+  var hash = crypto.createHash('sha256').update(JSON.stringify([mode, errors.map(function(e) { return e.message; })])).digest('hex');
+  try {
+    if (JSON.parse(await fs.readFile(CONFIG_ERROR_FILE, 'utf8')).hash === hash) return;
+  } catch (e) { /* Not audited yet */ }
+  try {
+    await fs.mkdir(LOG_DIR, { recursive: true });
+    await fs.writeFile(CONFIG_ERROR_FILE, JSON.stringify({ hash: hash, audited: new Date().toISOString() }) + '\n');
+  } catch (e) {
+    console.error('[document-guard] Config error state: ' + e.message);
+  }
+  await auditLog('config_error', null, [{
+    check: 'config_error',
+    tier: mode === 'closed' ? 'critical' : 'low',
+    message: 'Config has ' + errors.length + ' error(s): ' + errors.map(function(e) { return e.message; }).join('; '),
+  }], [], { failMode: mode });
+}
+
+// (Re)arms the deadline for the whole run, measured from process start
+function armHookTimeout(ms) {
+  ms = ms || HOOK_TIMEOUT_MS;
+  disarmHookTimeout();
+  hookTimer = setTimeout(function() {
+    if (decided) return;
+    failHook('Hook timed out', new Error('no decision after ' + ms + ' ms')).then(exitAfterFlush);
+  }, Math.max(0, HOOK_STARTED + ms - Date.now()));
+  hookTimer.unref();
+}
+
+function disarmHookTimeout() {
+  if (hookTimer) clearTimeout(hookTimer);
+  hookTimer = null;
+}
+
+// A check that timed out may still hold the event loop (e.g. an Ollama
+// request); once the decision is written there is nothing left to wait for
+function exitAfterFlush() {
+  process.stdout.write('', function() { process.exit(0); });
+}
+
+// An invalid config with failMode 'closed' refuses every guarded edit
+function formatConfigRefusal(err) {
+  return 'DOCUMENT GUARD: Config is invalid and settings.failMode is "closed", so guarded edits are refused until it is fixed.\n\n' +
+    'Errors:\n' + formatValidationErrors(err.errors) + '\n\n' +
+    'Inspect with: node "' + path.join(PLUGIN_ROOT, 'bin', 'document-guard.js') + '" config';
+}
+
+if (require.main === module) {
+  armHookTimeout();
+  main().catch(async function(err) {
+    if (err instanceof ConfigError) {
+      await auditConfigError(err.errors, 'closed');
+      hookDeny(formatConfigRefusal(err));
+      return;
+    }
+    await failHook('Hook error', err);
+  }).then(exitAfterFlush);
 }
 
-main().catch(function(err) {
-  console.error('[document-guard] Fatal error: ' + err.message);
-  hookAllow();
-});
+module.exports = {
+  PROJECT_DIR: PROJECT_DIR,
+  PLUGIN_ROOT: PLUGIN_ROOT,
+  OVERRIDE_FILE: OVERRIDE_FILE,
+  AUDIT_FILE: AUDIT_FILE,
+  configLayerPaths: configLayerPaths,
+  loadConfig: loadConfig,
+  getConfigInfo: getConfigInfo,
+  ConfigError: ConfigError,
+  formatConfigRefusal: formatConfigRefusal,
+  resolveToggles: resolveToggles,
+  findMatchingRules: findMatchingRules,
+  matchGlob: matchGlob,
+  findSecrets: findSecrets,
+  evaluateToolUse: evaluateToolUse,
+  classifyTargets: classifyTargets,
+  highestTierOf: highestTierOf,
+  checkOverride: checkOverride,
+  shouldAsk: shouldAsk,
+  formatBlockMessage: formatBlockMessage,
+  formatAskMessage: formatAskMessage,
+  failModeFor: failModeFor,
+};
@@ -0,0 +1,340 @@
+/**
+ * Document Guard - Tamper-Evident Audit Log
+ *
+ * The log is JSONL with a hash chain. Every entry carries `prevHash` (the
+ * previous entry's hash) and `hash` (sha256 over its canonical JSON without
+ * `hash`), so editing, inserting or deleting a line breaks the chain.
+ *
+ * Rotation: when the active file reaches `maxBytes`, or its first entry is
+ * older than `maxAgeDays`, it is renamed to document-guard.<timestamp>.jsonl.
+ * The new file opens with a `rotated` entry that names the previous file and
+ * chains to its last hash. Only the newest `maxFiles` rotated files are kept.
+ *
+ * Anchor: the latest hash of each log is also recorded outside the project,
+ * next to the override signing key, so truncating the tail or replacing the
+ * whole log shows up in verifyLog() as well.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const signing = require('./override-signing');
+
+const DEFAULTS = {
+  maxBytes: 5 * 1024 * 1024,
+  maxAgeDays: 30,
+  maxFiles: 10,
+};
+
+const LOCK_STALE_MS = 10000;
+const LOCK_WAIT_MS = 2000;
+const TAIL_BYTES = 65536;
+
+function canonical(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().filter(function(k) { return value[k] !== undefined; }).map(function(k) {
+      return JSON.stringify(k) + ':' + canonical(value[k]);
+    }).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function hashEntry(entry) {
+  var unhashed = Object.assign({}, entry);
+  delete unhashed.hash;
+  return crypto.createHash('sha256').update(canonical(unhashed)).digest('hex');
+}
+
+function anchorPath() {
+  return path.join(signing.signingDir(), 'audit-anchors.json');
+}
+
+// "document-guard.jsonl" -> /^document-guard\.<stamp>\.jsonl$/
+function rotatedPattern(file) {
+  var ext = path.extname(file);
+  var base = path.basename(file, ext).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + base + '\\.\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z(?:-\\d+)?' + ext.replace('.', '\\.') + '$');
+}
+
+/**
+ * Rotated files of a log, oldest first.
+ *
+ * @returns {Promise<string[]>} Absolute paths
+ */
+async function rotatedFiles(file) {
+  var pattern = rotatedPattern(file);
+  var names;
+  try {
+    names = await fs.readdir(path.dirname(file));
+  } catch (err) {
+    return [];
+  }
+  return names.filter(function(n) { return pattern.test(n); }).sort().map(function(n) { return path.join(path.dirname(file), n); });
+}
+
+function sleep(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+// Serializes appends from concurrent hook processes so the chain can't fork
+async function withLock(file, fn) {
+  var lock = file + '.lock';
+  var deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      var handle = await fs.open(lock, 'wx');
+      await handle.close();
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      var stat = await fs.stat(lock).catch(function() { return null; });
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lock).catch(function() {});
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error('Timed out waiting for audit log lock ' + lock);
+      await sleep(20);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lock).catch(function() {});
+  }
+}
+
+async function readChunk(file, fromEnd) {
+  var handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    var size = (await handle.stat()).size;
+    var length = Math.min(size, TAIL_BYTES);
+    var buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, fromEnd ? size - length : 0);
+    return { text: buffer.toString('utf8'), whole: length === size, size: size };
+  } finally {
+    await handle.close();
+  }
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function lastEntry(file) {
+  var chunk = await readChunk(file, true);
+  if (!chunk) return null;
+  var lines = chunk.text.split('\n').filter(function(l) { return l.trim() !== ''; });
+  if (lines.length === 0) return null;
+  if (lines.length === 1 && !chunk.whole) {
+    lines = (await fs.readFile(file, 'utf8')).split('\n').filter(function(l) { return l.trim() !== ''; });
+  }
+  return parseLine(lines[lines.length - 1]);
+}
+
+async function firstEntry(file) {
+  var chunk = await readChunk(file, false);
+  if (!chunk) return null;
+  var nl = chunk.text.indexOf('\n');
+  return parseLine(nl === -1 ? chunk.text : chunk.text.slice(0, nl));
+}
+
+async function readAnchors() {
+  try {
+    var parsed = JSON.parse(await fs.readFile(anchorPath(), 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+async function writeAnchor(file, entry) {
+  var anchors = await readAnchors();
+  anchors[path.resolve(file)] = { hash: entry.hash, timestamp: entry.timestamp };
+  await fs.mkdir(path.dirname(anchorPath()), { recursive: true, mode: 0o700 });
+  await fs.writeFile(anchorPath(), JSON.stringify(anchors, null, 2) + '\n', { mode: 0o600 });
+}
+
+function rotationName(file, date) {
+  var ext = path.extname(file);
+  return path.join(path.dirname(file), path.basename(file, ext) + '.' + date.toISOString().replace(/[:.]/g, '-') + ext);
+}
+
+async function needsRotation(file, size, options) {
+  if (size === 0) return false;
+  if (size >= options.maxBytes) return true;
+  var first = await firstEntry(file);
+  var started = first && Date.parse(first.timestamp);
+  return !!started && Date.now() - started > options.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+async function exists(file) {
+  try {
+    await fs.stat(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function rotate(file, options) {
+  var base = rotationName(file, new Date());
+  var target = base;
+  for (var n = 1; await exists(target); n++) target = base.replace(/(\.[^.]+)$/, '-' + n + '$1');
+  await fs.rename(file, target);
+  var rotated = await rotatedFiles(file);
+  for (var i = 0; i < rotated.length - options.maxFiles; i++) {
+    await fs.unlink(rotated[i]).catch(function() {});
+  }
+  return target;
+}
+
+/**
+ * Appends one entry, chaining it to the previous one and rotating first when
+ * the file is too big or too old.
+ *
+ * @param {string} file - Active log file
+ * @param {object} entry - Fields to log; prevHash and hash are added
+ * @param {object} [options] - { maxBytes, maxAgeDays, maxFiles }
+ * @returns {Promise<object>} The entry as written
+ */
+async function appendEntry(file, entry, options) {
+  options = Object.assign({}, DEFAULTS, options);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  return withLock(file, async function() {
+    var stat = await fs.stat(file).catch(function() { return null; });
+    var last = stat ? await lastEntry(file) : null;
+    var prevHash = last && last.hash ? last.hash : null;
+    var lines = [];
+
+    if (stat && (await needsRotation(file, stat.size, options))) {
+      var rotatedTo = await rotate(file, options);
+      var header = { timestamp: new Date().toISOString(), hook: 'document-guard', version: 2, action: 'rotated', previousFile: path.basename(rotatedTo), prevHash: prevHash };
+      header.hash = hashEntry(header);
+      lines.push(header);
+      prevHash = header.hash;
+    } else if (!stat) {
+      // A missing log continues from the anchor, so its loss shows up in verify
+      var anchor = (await readAnchors())[path.resolve(file)];
+      prevHash = anchor ? anchor.hash : null;
+    }
+
+    var written = Object.assign({}, entry, { prevHash: prevHash });
+    written.hash = hashEntry(written);
+    lines.push(written);
+    await fs.appendFile(file, lines.map(function(l) { return JSON.stringify(l); }).join('\n') + '\n');
+    await writeAnchor(file, written).catch(function() {});
+    return written;
+  });
+}
+
+/**
+ * Verifies the chain across the rotated files and the active log.
+ *
+ * @returns {Promise<{files: string[], entries: number, legacy: number,
+ *   errors: Array<{file, line, message}>, warnings: Array<{file, line, message}>}>}
+ */
+async function verifyLog(file) {
+  var files = (await rotatedFiles(file)).concat([file]);
+  var result = { files: [], entries: 0, legacy: 0, errors: [], warnings: [] };
+  var expected;      // hash the next entry must point at; undefined before the first chained entry
+  var lastHash = null;
+
+  for (var f = 0; f < files.length; f++) {
+    var raw;
+    try {
+      raw = await fs.readFile(files[f], 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' && f === files.length - 1) continue;
+      result.errors.push({ file: files[f], line: null, message: err.message });
+      continue;
+    }
+    var name = path.basename(files[f]);
+    result.files.push(name);
+    var lines = raw.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+      var where = { file: name, line: i + 1 };
+      var entry = parseLine(lines[i]);
+      if (!entry) {
+        result.errors.push(Object.assign({ message: 'not valid JSON (line edited or truncated)' }, where));
+        expected = null;
+        continue;
+      }
+      result.entries++;
+      if (typeof entry.hash !== 'string') {
+        if (expected === undefined) result.legacy++;
+        else result.errors.push(Object.assign({ message: 'entry has no hash (inserted after the chain started)' }, where));
+        continue;
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        result.errors.push(Object.assign({ message: 'entry was modified (hash mismatch)' }, where));
+      }
+      if (entry.action === 'rotated' && entry.previousFile && expected === undefined && f === 0) {
+        result.warnings.push(Object.assign({ message: 'older history (' + entry.previousFile + ') is no longer kept; the chain starts here' }, where));
+      } else if (entry.action === 'rotated' && entry.previousFile && (f === 0 || path.basename(files[f - 1]) !== entry.previousFile)) {
+        result.errors.push(Object.assign({ message: 'rotated file ' + entry.previousFile + ' is missing' }, where));
+      } else if (expected === undefined) {
+        if (entry.prevHash) result.warnings.push(Object.assign({ message: 'chain starts mid-way: earlier entries are not available' }, where));
+      } else if (entry.prevHash !== expected) {
+        result.errors.push(Object.assign({ message: 'chain broken: entries before this one were removed, inserted or reordered' }, where));
+      }
+      expected = entry.hash;
+      lastHash = entry.hash;
+    }
+  }
+
+  var anchor = (await readAnchors())[path.resolve(file)];
+  if (anchor && anchor.hash !== lastHash) {
+    result.errors.push({
+      file: path.basename(file),
+      line: null,
+      message: 'log ends before the last recorded entry (' + anchor.timestamp + '): entries were truncated or the log was replaced',
+    });
+  }
+  return result;
+}
+
+/**
+ * Reads every entry of a log, rotated files first. Lines that aren't valid
+ * JSON are skipped (verifyLog reports them).
+ *
+ * @returns {Promise<object[]>} Oldest first
+ */
+async function readEntries(file) {
+  var files = (await rotatedFiles(file)).concat([file]);
+  var entries = [];
+  for (var f = 0; f < files.length; f++) {
+    var raw;
+    try {
+      raw = await fs.readFile(files[f], 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    raw.split('\n').forEach(function(line) {
+      var entry = line.trim() === '' ? null : parseLine(line);
+      if (entry) entries.push(entry);
+    });
+  }
+  return entries;
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  hashEntry: hashEntry,
+  rotatedFiles: rotatedFiles,
+  appendEntry: appendEntry,
+  verifyLog: verifyLog,
+  readEntries: readEntries,
+};
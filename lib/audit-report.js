@@ -0,0 +1,226 @@
+/**
+ * Document Guard - Audit Report
+ *
+ * Aggregates audit log entries for review: totals per action, outcomes per
+ * rule and per check, the files hit most often and a daily trend.
+ *
+ * Override rate per rule = overridden / blocking events (blocked + asked),
+ * where overridden counts `override_used` and `ask_approved`. A rule the user
+ * nearly always lets through is flagged as noisy: a candidate for a lower
+ * tier or `onViolation: 'ask'`.
+ */
+
+const NOISY_MIN_EVENTS = 3;
+const NOISY_RATE = 0.8;
+
+// Outcome each action counts towards, per rule and per check
+const OUTCOMES = {
+  blocked: 'blocked',
+  override_tamper: 'blocked',
+  audit_tamper: 'blocked',
+  asked: 'asked',
+  override_used: 'overridden',
+  ask_approved: 'overridden',
+  ask_rejected: 'rejected',
+  warned: 'warned',
+  logged: 'logged',
+};
+
+const UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * @param {string} value - "24h", "7d", "2w" or a date ("2026-03-01")
+ * @returns {number|null} Start time in ms, or null when unparseable
+ */
+function parseSince(value, now) {
+  var relative = /^(\d+)([hdw])$/.exec(String(value).trim());
+  if (relative) return (now || Date.now()) - Number(relative[1]) * UNITS[relative[2]];
+  var t = Date.parse(value);
+  return isNaN(t) ? null : t;
+}
+
+// Rules that raised the entry's violations; entries without per-violation rules use `rules`
+function entryRules(entry) {
+  var names = [];
+  (entry.violations || []).forEach(function(v) {
+    if (v.rule && names.indexOf(v.rule) === -1) names.push(v.rule);
+  });
+  return names.length > 0 ? names : (entry.rules || []);
+}
+
+function entryChecks(entry) {
+  var checks = [];
+  (entry.violations || []).forEach(function(v) {
+    if (v.check && checks.indexOf(v.check) === -1) checks.push(v.check);
+  });
+  return checks;
+}
+
+/**
+ * @param {object[]} entries
+ * @param {object} filters - { since (ms), actions: string[], rule, file (path or glob), session }
+ * @param {function} matchGlob - (pattern, path) => boolean
+ */
+function filterEntries(entries, filters, matchGlob) {
+  return entries.filter(function(entry) {
+    if (entry.action === 'rotated') return false;
+    if (filters.since && !(Date.parse(entry.timestamp) >= filters.since)) return false;
+    if (filters.actions && filters.actions.indexOf(entry.action) === -1) return false;
+    if (filters.rule && entryRules(entry).indexOf(filters.rule) === -1) return false;
+    if (filters.file && entry.file !== filters.file && !(entry.file && matchGlob(filters.file, entry.file))) return false;
+    if (filters.session && entry.session_id !== filters.session) return false;
+    return true;
+  });
+}
+
+function counter(key, name) {
+  var c = {};
+  c[key] = name;
+  return Object.assign(c, { blocked: 0, asked: 0, overridden: 0, rejected: 0, warned: 0, logged: 0 });
+}
+
+function tally(table, key, name, outcome) {
+  if (!table[name]) table[name] = counter(key, name);
+  table[name][outcome]++;
+}
+
+function overrideRate(c) {
+  var enforced = Math.max(c.blocked + c.asked, c.overridden);
+  return enforced === 0 ? null : c.overridden / enforced;
+}
+
+function byVolume(a, b) {
+  return (b.blocked + b.asked + b.overridden + b.warned + b.logged) - (a.blocked + a.asked + a.overridden + a.warned + a.logged);
+}
+
+/**
+ * @param {object[]} entries - Already filtered
+ * @param {object} [options] - { limit: number of top files (default 10) }
+ * @returns {object} { entries, from, to, actions, rules, checks, files, days, noisyRules }
+ */
+function buildReport(entries, options) {
+  var limit = (options && options.limit) || 10;
+  var actions = {};
+  var rules = {};
+  var checks = {};
+  var files = {};
+  var days = {};
+
+  entries.forEach(function(entry) {
+    actions[entry.action] = (actions[entry.action] || 0) + 1;
+    var outcome = OUTCOMES[entry.action];
+    if (!outcome) return;
+    entryRules(entry).forEach(function(name) { tally(rules, 'rule', name, outcome); });
+    entryChecks(entry).forEach(function(name) { tally(checks, 'check', name, outcome); });
+    if (entry.file) tally(files, 'file', entry.file, outcome);
+    if (entry.timestamp) tally(days, 'day', entry.timestamp.slice(0, 10), outcome);
+  });
+
+  var ruleList = Object.keys(rules).map(function(name) {
+    var c = rules[name];
+    c.overrideRate = overrideRate(c);
+    c.noisy = c.blocked + c.asked >= NOISY_MIN_EVENTS && c.overrideRate !== null && c.overrideRate >= NOISY_RATE;
+    return c;
+  }).sort(byVolume);
+
+  return {
+    entries: entries.length,
+    from: entries.length > 0 ? entries[0].timestamp : null,
+    to: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+    actions: actions,
+    rules: ruleList,
+    checks: Object.keys(checks).map(function(name) { return checks[name]; }).sort(byVolume),
+    files: Object.keys(files).map(function(name) { return files[name]; }).sort(byVolume).slice(0, limit),
+    days: Object.keys(days).sort().map(function(day) { return days[day]; }),
+    noisyRules: ruleList.filter(function(r) { return r.noisy; }).map(function(r) { return r.rule; }),
+  };
+}
+
+function percent(rate) {
+  return rate === null ? '-' : Math.round(rate * 100) + '%';
+}
+
+/**
+ * Report as titled tables, shared by the terminal and Markdown output.
+ *
+ * @returns {Array<{title: string, headers: string[], rows: string[][]}>}
+ */
+function reportSections(report) {
+  return [
+    {
+      title: 'Actions',
+      headers: ['Action', 'Entries'],
+      rows: Object.keys(report.actions).sort().map(function(a) { return [a, String(report.actions[a])]; }),
+    },
+    {
+      title: 'Rules',
+      headers: ['Rule', 'Blocked', 'Asked', 'Overridden', 'Override rate', 'Warned', 'Logged', 'Flag'],
+      rows: report.rules.map(function(r) {
+        return [r.rule, r.blocked, r.asked, r.overridden, percent(r.overrideRate), r.warned, r.logged, r.noisy ? 'noisy' : '-'].map(String);
+      }),
+    },
+    {
+      title: 'Checks',
+      headers: ['Check', 'Blocked', 'Asked', 'Overridden', 'Warned', 'Logged'],
+      rows: report.checks.map(function(c) {
+        return [c.check, c.blocked, c.asked, c.overridden, c.warned, c.logged].map(String);
+      }),
+    },
+    {
+      title: 'Top files',
+      headers: ['File', 'Blocked', 'Asked', 'Overridden', 'Warned', 'Logged'],
+      rows: report.files.map(function(f) {
+        return [f.file, f.blocked, f.asked, f.overridden, f.warned, f.logged].map(String);
+      }),
+    },
+    {
+      title: 'Daily trend (UTC)',
+      headers: ['Day', 'Blocked', 'Asked', 'Overridden', 'Warned', 'Logged'],
+      rows: report.days.map(function(d) {
+        return [d.day, d.blocked, d.asked, d.overridden, d.warned, d.logged].map(String);
+      }),
+    },
+  ];
+}
+
+function noisyNote(report) {
+  if (report.noisyRules.length === 0) return null;
+  return 'Noisy rules (overridden in ' + Math.round(NOISY_RATE * 100) + '%+ of at least ' + NOISY_MIN_EVENTS +
+    ' blocks): ' + report.noisyRules.join(', ') + '. Consider a lower tier or onViolation: \'ask\'.';
+}
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * @param {object} report - From buildReport
+ * @param {string} [scope] - Description of the filters, shown under the heading
+ * @returns {string}
+ */
+function formatMarkdown(report, scope) {
+  var out = ['# Document Guard audit report', ''];
+  out.push((scope ? scope + '. ' : '') + report.entries + ' entries' + (report.from ? ', ' + report.from + ' to ' + report.to : '') + '.');
+  var note = noisyNote(report);
+  if (note) out.push('', '> ' + note);
+  reportSections(report).forEach(function(section) {
+    out.push('', '## ' + section.title, '');
+    if (section.rows.length === 0) {
+      out.push('_None._');
+      return;
+    }
+    out.push('| ' + section.headers.map(markdownCell).join(' | ') + ' |');
+    out.push('|' + section.headers.map(function() { return ' --- '; }).join('|') + '|');
+    section.rows.forEach(function(row) { out.push('| ' + row.map(markdownCell).join(' | ') + ' |'); });
+  });
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  parseSince: parseSince,
+  filterEntries: filterEntries,
+  buildReport: buildReport,
+  reportSections: reportSections,
+  noisyNote: noisyNote,
+  formatMarkdown: formatMarkdown,
+};
@@ -0,0 +1,118 @@
+/**
+ * Document Guard - Secrets Baseline
+ *
+ * `.document-guard-baseline.json` (committed, at the project root) lists
+ * acknowledged credential findings so known false positives stop blocking
+ * without widening placeholderPatterns for everyone:
+ *
+ *   {
+ *     "version": 1,
+ *     "entries": [
+ *       { "fingerprint": "3b1f...", "pattern": "Generic Secret", "file": "docs/api.md",
+ *         "preview": "toke****", "reason": "Documented sample token",
+ *         "added": "2026-03-01T10:00:00.000Z", "expires": "2026-09-01" }
+ *     ]
+ *   }
+ *
+ * The fingerprint hashes the pattern name, the file and the normalized match,
+ * so an entry survives the line moving but not the secret changing. Entries
+ * past `expires` no longer suppress anything.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const BASELINE_FILENAME = '.document-guard-baseline.json';
+
+function baselinePath(projectDir) {
+  return path.join(projectDir, BASELINE_FILENAME);
+}
+
+// Quotes and whitespace around or inside a match don't change what it is
+function normalizeMatch(match) {
+  return String(match).trim().replace(/^["'`]+|["'`]+$/g, '').replace(/\s+/g, ' ');
+}
+
+function fingerprint(pattern, file, match) {
+  return crypto.createHash('sha256')
+    .update(String(pattern) + '\0' + String(file).replace(/\\/g, '/') + '\0' + normalizeMatch(match))
+    .digest('hex');
+}
+
+// Accepts ms timestamps and date strings ("2026-09-01" means end of that day, UTC)
+function expiryTime(expires) {
+  if (expires === undefined || expires === null || expires === '') return null;
+  if (typeof expires === 'number') return expires;
+  var s = String(expires);
+  var t = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(s) ? s + 'T23:59:59.999Z' : s);
+  return isNaN(t) ? NaN : t;
+}
+
+function isExpired(entry, now) {
+  var t = expiryTime(entry.expires);
+  if (t === null) return false;
+  return isNaN(t) || t <= (now || Date.now());
+}
+
+/**
+ * Reads the baseline. A missing file is an empty baseline; an unreadable one
+ * is reported via `error` and suppresses nothing.
+ *
+ * @returns {Promise<{path: string, entries: Array, error: (string|null)}>}
+ */
+async function loadBaseline(projectDir) {
+  var file = baselinePath(projectDir);
+  var raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    return { path: file, entries: [], error: err.code === 'ENOENT' ? null : err.message };
+  }
+  try {
+    var parsed = JSON.parse(raw);
+    var entries = Array.isArray(parsed.entries) ? parsed.entries.filter(function(e) { return e && typeof e.fingerprint === 'string'; }) : [];
+    return { path: file, entries: entries, error: null };
+  } catch (err) {
+    return { path: file, entries: [], error: 'Invalid JSON in ' + BASELINE_FILENAME + ': ' + err.message };
+  }
+}
+
+async function saveBaseline(baseline) {
+  var entries = baseline.entries.slice().sort(function(a, b) {
+    return (a.file + '\0' + a.pattern + '\0' + a.fingerprint).localeCompare(b.file + '\0' + b.pattern + '\0' + b.fingerprint);
+  });
+  await fs.writeFile(baseline.path, JSON.stringify({ version: 1, entries: entries }, null, 2) + '\n');
+}
+
+/**
+ * Splits findings into new ones and ones acknowledged by a live baseline entry.
+ *
+ * @param {Array<{pattern: string, match: string}>} findings
+ * @returns {{findings: Array, baselined: Array}}
+ */
+function partitionBaselined(findings, baseline, file, now) {
+  var active = {};
+  for (var i = 0; i < ((baseline && baseline.entries) || []).length; i++) {
+    var entry = baseline.entries[i];
+    if (!isExpired(entry, now)) active[entry.fingerprint] = entry;
+  }
+  var result = { findings: [], baselined: [] };
+  for (var f = 0; f < findings.length; f++) {
+    var fp = fingerprint(findings[f].pattern, file, findings[f].match);
+    if (active[fp]) result.baselined.push(findings[f]);
+    else result.findings.push(findings[f]);
+  }
+  return result;
+}
+
+module.exports = {
+  BASELINE_FILENAME: BASELINE_FILENAME,
+  baselinePath: baselinePath,
+  fingerprint: fingerprint,
+  expiryTime: expiryTime,
+  isExpired: isExpired,
+  loadBaseline: loadBaseline,
+  saveBaseline: saveBaseline,
+  partitionBaselined: partitionBaselined,
+};
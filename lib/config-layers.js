@@ -0,0 +1,177 @@
+/**
+ * Document Guard - Layered Config Merging
+ *
+ * Each config layer is merged onto the ones below it:
+ *   settings             deep-merged (scalars override, objects merge)
+ *   rules / general      merged by `name`: same name shallow-merges the
+ *                        rule's properties, new names are appended
+ *   disableRules         names removed from rules/general of lower layers
+ *   credentialPatterns   merged by `name` (appended)
+ *   placeholderPatterns  appended (duplicates dropped)
+ *   toolInputs           merged by tool name
+ *   customChecks         merged by check name
+ *   entropyDetection     deep-merged like settings
+ *   extends              string: merge that file (relative to this layer)
+ *                        first; false/'none': discard all lower layers
+ *   anything else        overrides
+ */
+
+const path = require('path');
+
+function emptyConfig() {
+  return { settings: {}, general: [], rules: [], credentialPatterns: [], placeholderPatterns: [] };
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof RegExp);
+}
+
+function deepMerge(base, override) {
+  var out = Object.assign({}, base);
+  for (var key in override) {
+    if (!Object.prototype.hasOwnProperty.call(override, key)) continue;
+    if (isPlainObject(out[key]) && isPlainObject(override[key])) out[key] = deepMerge(out[key], override[key]);
+    else out[key] = override[key];
+  }
+  return out;
+}
+
+// Merges entries by name; entries without a name are appended as-is.
+// A name repeated within one layer is a mistake, not an override, and is
+// reported via `duplicates` (the later entry still wins).
+function mergeNamed(base, additions, origins, source, duplicates) {
+  var out = (base || []).slice();
+  var seen = {};
+  for (var i = 0; i < (additions || []).length; i++) {
+    var entry = additions[i];
+    if (entry && entry.name) {
+      if (seen[entry.name] && duplicates) duplicates.push({ name: entry.name, source: source });
+      seen[entry.name] = true;
+    }
+    var idx = entry && entry.name ? out.findIndex(function(e) { return e && e.name === entry.name; }) : -1;
+    if (idx === -1) out.push(entry);
+    else out[idx] = Object.assign({}, out[idx], entry);
+    if (origins && entry && entry.name) origins[entry.name] = source;
+  }
+  return out;
+}
+
+function mergePlaceholders(base, additions) {
+  var out = (base || []).slice();
+  var seen = out.map(String);
+  for (var i = 0; i < (additions || []).length; i++) {
+    if (seen.indexOf(String(additions[i])) !== -1) continue;
+    out.push(additions[i]);
+    seen.push(String(additions[i]));
+  }
+  return out;
+}
+
+/**
+ * Merges one layer onto an accumulated config.
+ *
+ * @param {object} base - Accumulated config from lower layers
+ * @param {object} layer - This layer's module.exports
+ * @param {object} meta - { origins: {ruleName: source}, disabled: [{name, source, found}],
+ *                          duplicates: [{name, source}], checkOrigins: {checkName: source} }
+ * @param {string} source - Label for provenance (e.g. 'project')
+ */
+function mergeConfig(base, layer, meta, source) {
+  var out = Object.assign({}, base, {
+    settings: Object.assign({}, base.settings),
+    general: (base.general || []).slice(),
+    rules: (base.rules || []).slice(),
+    credentialPatterns: (base.credentialPatterns || []).slice(),
+    placeholderPatterns: (base.placeholderPatterns || []).slice(),
+  });
+
+  // Disable first so a layer can drop a rule and redefine it from scratch
+  var disable = layer.disableRules || [];
+  if (disable.length > 0) {
+    var disabledNow = function(r) { return r && disable.indexOf(r.name) !== -1; };
+    for (var d = 0; d < disable.length; d++) {
+      var exists = out.rules.some(function(r) { return r && r.name === disable[d]; }) ||
+        out.general.some(function(r) { return r && r.name === disable[d]; });
+      if (meta) meta.disabled.push({ name: disable[d], source: source, found: exists });
+    }
+    out.rules = out.rules.filter(function(r) { return !disabledNow(r); });
+    out.general = out.general.filter(function(r) { return !disabledNow(r); });
+  }
+
+  for (var key in layer) {
+    if (!Object.prototype.hasOwnProperty.call(layer, key)) continue;
+    switch (key) {
+      case 'extends':
+      case 'disableRules':
+        break;
+      case 'settings':
+        out.settings = deepMerge(out.settings, layer.settings || {});
+        break;
+      case 'entropyDetection':
+        out.entropyDetection = deepMerge(out.entropyDetection || {}, layer.entropyDetection || {});
+        break;
+      case 'rules':
+      case 'general':
+        out[key] = mergeNamed(out[key], layer[key], meta && meta.origins, source, meta && meta.duplicates);
+        break;
+      case 'credentialPatterns':
+        out.credentialPatterns = mergeNamed(out.credentialPatterns, layer.credentialPatterns);
+        break;
+      case 'placeholderPatterns':
+        out.placeholderPatterns = mergePlaceholders(out.placeholderPatterns, layer.placeholderPatterns);
+        break;
+      case 'toolInputs':
+        out.toolInputs = Object.assign({}, out.toolInputs, layer.toolInputs);
+        break;
+      case 'customChecks':
+        out.customChecks = Object.assign({}, out.customChecks, layer.customChecks);
+        if (meta && meta.checkOrigins) {
+          for (var name in layer.customChecks) meta.checkOrigins[name] = source;
+        }
+        break;
+      default:
+        out[key] = layer[key];
+    }
+  }
+  return out;
+}
+
+/**
+ * Applies a layer, resolving its `extends` chain first.
+ *
+ * @param {object} base - Accumulated config
+ * @param {object} layer - Layer module
+ * @param {string} file - Absolute path of the layer (for relative extends)
+ * @param {function} load - Loads a config module by absolute path
+ * @param {object} meta - Provenance accumulator
+ * @param {string} source - Layer label
+ * @param {string[]} [chain] - Files already being applied (cycle detection)
+ */
+function applyLayer(base, layer, file, load, meta, source, chain) {
+  chain = chain || [];
+  if (chain.indexOf(file) !== -1) {
+    throw new Error('Config extends cycle: ' + chain.concat(file).join(' -> '));
+  }
+  layer = layer || {};
+  var acc = base;
+  if (layer.extends === false || layer.extends === 'none') {
+    acc = emptyConfig();
+    if (meta) {
+      meta.origins = {};
+      meta.checkOrigins = {};
+      meta.resetBy = source;
+    }
+  } else if (typeof layer.extends === 'string') {
+    var target = path.resolve(path.dirname(file), layer.extends);
+    if (meta) meta.files.push({ source: source + ' (extends)', path: target });
+    acc = applyLayer(acc, load(target), target, load, meta, source + ':' + path.basename(target), chain.concat(file));
+  }
+  return mergeConfig(acc, layer, meta, source);
+}
+
+module.exports = {
+  emptyConfig: emptyConfig,
+  mergeConfig: mergeConfig,
+  applyLayer: applyLayer,
+  deepMerge: deepMerge,
+};
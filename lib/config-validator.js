@@ -0,0 +1,591 @@
+/**
+ * Document Guard - Config Validation
+ *
+ * Catches config mistakes that would otherwise fail silently: invalid globs
+ * that never match, unknown check names, tier typos, missing per-check
+ * options, non-RegExp patterns. Errors make the config unusable (see
+ * settings.failMode); warnings are reported but don't block loading.
+ */
+
+const { SYNTAXES } = require('./syntax-check');
+const { FIELD_TYPES } = require('./frontmatter');
+
+const TIERS = ['critical', 'high', 'medium', 'low'];
+const FAIL_MODES = ['open', 'closed'];
+const TOOL_KINDS = ['edit', 'edits', 'write', 'notebook'];
+const LOCKED_VALUE_MODES = ['no_removals', 'no_additions', 'exact'];
+const ON_VIOLATION = ['block', 'ask'];
+const DESTRUCTIVE_SIGNALS = ['emptied', 'removedLines', 'shrink', 'missingLines'];
+const APPEND_MODES = ['prefix', 'subsequence'];
+
+const TOP_LEVEL_KEYS = [
+  'settings', 'general', 'rules', 'credentialPatterns', 'placeholderPatterns',
+  'toolInputs', 'extends', 'disableRules', 'entropyDetection', 'customChecks',
+];
+
+const ENTROPY_CHARSETS = ['hex', 'alnum', 'base64', 'mixed'];
+const ENTROPY_FILE_TYPE_KEYS = ['enabled', 'confidenceAdjust', 'minLength', 'minConfidence', 'blockConfidence', 'thresholds', 'keywords'];
+
+const RULE_KEYS = ['name', 'pattern', 'tier', 'checks', 'message', 'onViolation'];
+
+// Per-check rule options: validator(value, rule) returns an error string or null.
+// `required` options make the check a silent no-op when missing; of the
+// `oneOf` options, at least one must be set.
+const CHECK_OPTIONS = {
+  no_write_allowed: {},
+  forbidden_content: {
+    patterns: { validate: contentPatterns, required: true },
+  },
+  required_content: {
+    patterns: { validate: requiredPatterns, required: true },
+  },
+  key_deletion_protection: {
+    lockedKeys: { validate: stringArray },
+    lockedValues: { validate: lockedValuesSpec },
+  },
+  section_preservation: {
+    protectedSections: { validate: stringArray },
+  },
+  heading_structure: {},
+  frontmatter_preservation: {
+    lockedFields: { validate: nonEmptyStringArray, oneOf: true },
+    immutableOnceSet: { validate: nonEmptyStringArray, oneOf: true },
+    requiredFields: { validate: nonEmptyStringArray, oneOf: true },
+    fieldSchema: { validate: fieldSchemaSpec, oneOf: true },
+  },
+  shebang_preservation: {},
+  destructive_change: {
+    destructiveChange: { validate: destructiveSpec },
+  },
+  append_only: {
+    appendOnly: { validate: appendOnlySpec },
+  },
+  locked_regions: {
+    lockedRegions: { validate: lockedRegionsSpec },
+  },
+  syntax_valid: {
+    syntax: { validate: function(value) { return SYNTAXES.indexOf(value) !== -1 ? null : 'must be one of ' + SYNTAXES.join(', ') + suggest(value, SYNTAXES); } },
+  },
+  semantic_relevance: {
+    purpose: { validate: nonEmptyString, required: true },
+  },
+};
+
+const GENERAL_CHECKS = ['credential_scan'];
+
+// Check names produced by the hook itself, which custom checks can't take
+const RESERVED_CHECKS = ['shell_write', 'check_error', 'override_integrity', 'audit_integrity'];
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super('Invalid Document Guard config' + (source ? ' (' + source + ')' : '') + ': ' +
+      errors.map(function(e) { return e.message; }).join('; '));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// --- Value Validators ---
+
+function stringArray(value) {
+  if (!Array.isArray(value)) return 'must be an array of strings';
+  for (var i = 0; i < value.length; i++) {
+    if (typeof value[i] !== 'string' || value[i] === '') return 'must be an array of non-empty strings (item ' + i + ' is ' + JSON.stringify(value[i]) + ')';
+  }
+  return null;
+}
+
+function nonEmptyStringArray(value) {
+  var err = stringArray(value);
+  if (err) return err;
+  return value.length === 0 ? 'must list at least one entry' : null;
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+}
+
+function lockedValuesSpec(value) {
+  if (!Array.isArray(value)) return 'must be an array of key paths or { path, mode } objects';
+  for (var i = 0; i < value.length; i++) {
+    var v = value[i];
+    if (typeof v === 'string' && v !== '') continue;
+    if (v && typeof v === 'object' && typeof v.path === 'string' && v.path !== '') {
+      if (v.mode !== undefined && LOCKED_VALUE_MODES.indexOf(v.mode) === -1) {
+        return 'item ' + i + ' has unknown mode ' + JSON.stringify(v.mode) + ' (expected ' + LOCKED_VALUE_MODES.join(', ') + ')';
+      }
+      continue;
+    }
+    return 'item ' + i + ' must be a key path string or { path, mode } object';
+  }
+  return null;
+}
+
+// [{ regex: /.../, message: '...' }] for forbidden_content and required_content
+function contentPatterns(value) {
+  if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array of { regex, message } objects';
+  for (var i = 0; i < value.length; i++) {
+    var p = value[i];
+    if (!isPlainObject(p)) return 'item ' + i + ' must be a { regex, message } object';
+    if (!(p.regex instanceof RegExp)) return 'item ' + i + ': regex must be a RegExp literal, got ' + typeof p.regex;
+    if (p.message !== undefined && typeof p.message !== 'string') return 'item ' + i + ': message must be a string';
+  }
+  return null;
+}
+
+// Both content checks read `patterns`, so one rule can't run both
+function requiredPatterns(value, rule) {
+  var err = contentPatterns(value);
+  if (err) return err;
+  return rule.checks.indexOf('forbidden_content') !== -1 ? 'can\'t serve forbidden_content and required_content at once; put them in separate rules' : null;
+}
+
+// { minLines, emptied, removedLines, shrink, missingLines }; each signal is
+// false or { percent, tier } (emptied takes no percent)
+function destructiveSpec(value) {
+  if (!isPlainObject(value)) return 'must be an object of thresholds';
+  for (var key in value) {
+    if (DESTRUCTIVE_SIGNALS.indexOf(key) === -1 && key !== 'minLines') {
+      return 'has unknown key "' + key + '" (expected minLines, ' + DESTRUCTIVE_SIGNALS.join(', ') + ')';
+    }
+  }
+  if (value.minLines !== undefined && !(Number.isInteger(value.minLines) && value.minLines >= 0)) return 'minLines must be a whole number';
+  for (var i = 0; i < DESTRUCTIVE_SIGNALS.length; i++) {
+    var signal = DESTRUCTIVE_SIGNALS[i];
+    var spec = value[signal];
+    if (spec === undefined || spec === false || spec === true) continue;
+    if (!isPlainObject(spec)) return signal + ' must be false or { percent, tier }';
+    if (spec.tier !== undefined && TIERS.indexOf(spec.tier) === -1) return signal + '.tier must be one of ' + TIERS.join(', ') + suggest(spec.tier, TIERS);
+    if (spec.percent !== undefined) {
+      if (signal === 'emptied') return 'emptied takes no percent';
+      if (!(typeof spec.percent === 'number' && spec.percent > 0 && spec.percent <= 100)) return signal + '.percent must be a number above 0 and at most 100';
+    }
+  }
+  return null;
+}
+
+// { mode: 'prefix' | 'subsequence', insertAt: ['start' | 'end' | line | RegExp] }
+function appendOnlySpec(value) {
+  if (!isPlainObject(value)) return 'must be an object ({ mode, insertAt })';
+  for (var key in value) {
+    if (key !== 'mode' && key !== 'insertAt') return 'has unknown key "' + key + '" (expected mode, insertAt)';
+  }
+  if (value.mode !== undefined && APPEND_MODES.indexOf(value.mode) === -1) {
+    return 'mode must be ' + APPEND_MODES.join(' or ') + ', got ' + JSON.stringify(value.mode);
+  }
+  if (value.insertAt === undefined) return null;
+  if (value.mode !== 'subsequence') return 'insertAt needs mode: \'subsequence\' (prefix mode only allows appending at the end)';
+  if (!Array.isArray(value.insertAt) || value.insertAt.length === 0) return 'insertAt must be a non-empty array';
+  for (var i = 0; i < value.insertAt.length; i++) {
+    var point = value.insertAt[i];
+    if (!(point instanceof RegExp) && !(typeof point === 'string' && point.trim() !== '')) {
+      return 'insertAt item ' + i + ' must be \'start\', \'end\', a line of the file or a RegExp';
+    }
+  }
+  return null;
+}
+
+// { regionName: { tier, message } }
+function lockedRegionsSpec(value) {
+  if (!isPlainObject(value)) return 'must be an object keyed by region name';
+  for (var name in value) {
+    var spec = value[name];
+    if (!isPlainObject(spec)) return name + ' must be an object ({ tier, message })';
+    for (var key in spec) {
+      if (key !== 'tier' && key !== 'message') return name + ' has unknown key "' + key + '" (expected tier, message)';
+    }
+    if (spec.tier !== undefined && TIERS.indexOf(spec.tier) === -1) return name + '.tier must be one of ' + TIERS.join(', ') + suggest(spec.tier, TIERS);
+    if (spec.message !== undefined && nonEmptyString(spec.message)) return name + '.message ' + nonEmptyString(spec.message);
+  }
+  return null;
+}
+
+// { field: { type, enum, regex } } for frontmatter_preservation
+function fieldSchemaSpec(value) {
+  if (!isPlainObject(value) || Object.keys(value).length === 0) return 'must be an object keyed by field name';
+  for (var field in value) {
+    var spec = value[field];
+    if (!isPlainObject(spec)) return field + ' must be an object ({ type, enum, regex })';
+    for (var key in spec) {
+      if (key !== 'type' && key !== 'enum' && key !== 'regex') return field + ' has unknown key "' + key + '" (expected type, enum, regex)' + suggest(key, ['type', 'enum', 'regex']);
+    }
+    if (spec.type !== undefined) {
+      var types = [].concat(spec.type);
+      for (var i = 0; i < types.length; i++) {
+        if (FIELD_TYPES.indexOf(types[i]) === -1) return field + '.type must be one of ' + FIELD_TYPES.join(', ') + ' (or a list of them)' + suggest(types[i], FIELD_TYPES);
+      }
+    }
+    if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) return field + '.enum must be a non-empty array';
+    if (spec.regex !== undefined && !(spec.regex instanceof RegExp)) return field + '.regex must be a RegExp literal, got ' + typeof spec.regex;
+  }
+  return null;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof RegExp);
+}
+
+// Suggests the closest known name for typos like 'crtical' or 'sectoin_preservation'
+function suggest(value, candidates) {
+  if (typeof value !== 'string') return '';
+  var best = null;
+  var bestDist = Infinity;
+  for (var i = 0; i < candidates.length; i++) {
+    var d = editDistance(value.toLowerCase(), candidates[i].toLowerCase());
+    if (d < bestDist) { bestDist = d; best = candidates[i]; }
+  }
+  return best && bestDist <= Math.max(1, Math.floor(value.length / 3)) ? ' (did you mean "' + best + '"?)' : '';
+}
+
+function editDistance(a, b) {
+  var prev = [];
+  for (var j = 0; j <= b.length; j++) prev.push(j);
+  for (var i = 1; i <= a.length; i++) {
+    var cur = [i];
+    for (var k = 1; k <= b.length; k++) {
+      cur.push(Math.min(prev[k] + 1, cur[k - 1] + 1, prev[k - 1] + (a[i - 1] === b[k - 1] ? 0 : 1)));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+/**
+ * Validates a merged config.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @param {function(string): boolean} options.validatePattern - Glob safety check
+ * @param {function(string): RegExp} options.compileGlob - Glob compiler
+ * @returns {{errors: Array<{path: string, rule: (string|null), message: string}>, warnings: Array}}
+ */
+function validateConfig(config, options) {
+  options = options || {};
+  var errors = [];
+  var warnings = [];
+
+  function report(list, where, ruleName, message) {
+    list.push({ path: where, rule: ruleName || null, message: (ruleName ? 'Rule "' + ruleName + '": ' : '') + message });
+  }
+  function error(where, ruleName, message) { report(errors, where, ruleName, message); }
+  function warn(where, ruleName, message) { report(warnings, where, ruleName, message); }
+
+  if (!isPlainObject(config)) {
+    error('', null, 'config must export an object');
+    return { errors: errors, warnings: warnings };
+  }
+
+  for (var key in config) {
+    if (TOP_LEVEL_KEYS.indexOf(key) === -1) warn(key, null, 'Unknown top-level key "' + key + '"' + suggest(key, TOP_LEVEL_KEYS));
+  }
+
+  validateSettings(config.settings, error, warn);
+  validateEntropyDetection(config.entropyDetection, error, warn);
+  var customChecks = validateCustomChecks(config.customChecks, error);
+
+  // General rules
+  if (config.general !== undefined && !Array.isArray(config.general)) {
+    error('general', null, '"general" must be an array');
+  } else {
+    (config.general || []).forEach(function(g, i) {
+      var where = 'general[' + i + ']';
+      if (!isPlainObject(g)) { error(where, null, 'general rule must be an object'); return; }
+      if (GENERAL_CHECKS.indexOf(g.check) === -1) {
+        error(where, g.name, 'unknown general check ' + JSON.stringify(g.check) + suggest(g.check, GENERAL_CHECKS) +
+          ' (general rules support: ' + GENERAL_CHECKS.join(', ') + ')');
+      }
+      validateOnViolation(g, where, g.name, error, warn);
+    });
+  }
+
+  // Path rules
+  if (!Array.isArray(config.rules)) {
+    error('rules', null, '"rules" must be an array');
+  } else {
+    var seenNames = {};
+    config.rules.forEach(function(rule, i) {
+      var where = 'rules[' + i + ']';
+      if (!isPlainObject(rule)) { error(where, null, 'rule must be an object'); return; }
+      var name = typeof rule.name === 'string' && rule.name !== '' ? rule.name : null;
+      if (!name) error(where + '.name', null, where + ': rule needs a non-empty "name" (used for overrides, disableRules and audit)');
+      else if (seenNames[name]) error(where + '.name', name, 'duplicate rule name');
+      if (name) seenNames[name] = true;
+      var label = name || where;
+
+      validateRulePattern(rule.pattern, where, label, error, options);
+
+      if (TIERS.indexOf(rule.tier) === -1) {
+        error(where + '.tier', label, 'invalid tier ' + JSON.stringify(rule.tier) + (suggest(rule.tier, TIERS) || ' (expected ' + TIERS.join(', ') + ')'));
+      }
+      if (rule.message !== undefined && typeof rule.message !== 'string') error(where + '.message', label, '"message" must be a string');
+      validateOnViolation(rule, where, label, error, warn);
+
+      var allowedKeys = RULE_KEYS.slice();
+      if (!Array.isArray(rule.checks) || rule.checks.length === 0) {
+        error(where + '.checks', label, '"checks" must be a non-empty array of check names');
+      } else {
+        var knownChecks = Object.keys(CHECK_OPTIONS).concat(Object.keys(customChecks));
+        var reported = [];  // options shared by several checks are reported once
+        rule.checks.forEach(function(check) {
+          if (Object.prototype.hasOwnProperty.call(customChecks, check)) {
+            allowedKeys = allowedKeys.concat(customChecks[check]);
+            return;
+          }
+          if (!Object.prototype.hasOwnProperty.call(CHECK_OPTIONS, check)) {
+            error(where + '.checks', label, 'unknown check ' + JSON.stringify(check) + suggest(check, knownChecks));
+            return;
+          }
+          var opts = CHECK_OPTIONS[check];
+          var oneOf = Object.keys(opts).filter(function(o) { return opts[o].oneOf; });
+          if (oneOf.length > 0 && !oneOf.some(function(o) { return rule[o] !== undefined; })) {
+            error(where + '.checks', label, 'check "' + check + '" requires one of ' + oneOf.map(function(o) { return '"' + o + '"'; }).join(', ') + ' (without them the check never fires)');
+          }
+          for (var opt in opts) {
+            allowedKeys.push(opt);
+            if (rule[opt] === undefined) {
+              if (opts[opt].required) error(where + '.' + opt, label, 'check "' + check + '" requires "' + opt + '" (without it the check never fires)');
+              continue;
+            }
+            var problem = opts[opt].validate(rule[opt], rule);
+            if (problem && reported.indexOf(opt + ' ' + problem) === -1) {
+              reported.push(opt + ' ' + problem);
+              error(where + '.' + opt, label, '"' + opt + '" ' + problem);
+            }
+          }
+        });
+      }
+
+      // Options for checks the rule doesn't run are typos or leftovers
+      var allOptions = [];
+      for (var c in CHECK_OPTIONS) allOptions = allOptions.concat(Object.keys(CHECK_OPTIONS[c]));
+      for (var prop in rule) {
+        if (allowedKeys.indexOf(prop) !== -1) continue;
+        if (allOptions.indexOf(prop) !== -1) warn(where + '.' + prop, label, '"' + prop + '" has no effect: none of this rule\'s checks use it');
+        else warn(where + '.' + prop, label, 'unknown property "' + prop + '"' + suggest(prop, RULE_KEYS.concat(allOptions)));
+      }
+    });
+  }
+
+  // Credential and placeholder patterns
+  if (config.credentialPatterns !== undefined && !Array.isArray(config.credentialPatterns)) {
+    error('credentialPatterns', null, '"credentialPatterns" must be an array');
+  } else {
+    (config.credentialPatterns || []).forEach(function(p, i) {
+      var where = 'credentialPatterns[' + i + ']';
+      if (!isPlainObject(p) || typeof p.name !== 'string' || p.name === '') {
+        error(where, null, where + ' must be { name, regex } with a non-empty name');
+        return;
+      }
+      if (!(p.regex instanceof RegExp)) error(where + '.regex', null, 'credential pattern "' + p.name + '": regex must be a RegExp literal, got ' + typeof p.regex);
+    });
+  }
+  if (config.placeholderPatterns !== undefined && !Array.isArray(config.placeholderPatterns)) {
+    error('placeholderPatterns', null, '"placeholderPatterns" must be an array');
+  } else {
+    (config.placeholderPatterns || []).forEach(function(p, i) {
+      if (!(p instanceof RegExp)) error('placeholderPatterns[' + i + ']', null, 'placeholderPatterns[' + i + '] must be a RegExp literal, got ' + JSON.stringify(p));
+    });
+  }
+
+  // Tool input mappings
+  if (config.toolInputs !== undefined) {
+    if (!isPlainObject(config.toolInputs)) {
+      error('toolInputs', null, '"toolInputs" must be an object keyed by tool name');
+    } else {
+      for (var tool in config.toolInputs) {
+        var m = config.toolInputs[tool];
+        if (!isPlainObject(m) || TOOL_KINDS.indexOf(m.kind) === -1) {
+          error('toolInputs.' + tool, null, 'toolInputs.' + tool + ' needs kind: ' + TOOL_KINDS.join(' | '));
+        } else if (m.path !== undefined && typeof m.path !== 'string') {
+          error('toolInputs.' + tool + '.path', null, 'toolInputs.' + tool + '.path must be the name of an input field');
+        }
+      }
+    }
+  }
+
+  return { errors: errors, warnings: warnings };
+}
+
+/**
+ * customChecks: { name: fn } or { name: { run: fn, options: ['ruleProp'] } }.
+ *
+ * @returns {object} Valid check names mapped to the rule properties they read
+ */
+function validateCustomChecks(checks, error) {
+  var valid = {};
+  if (checks === undefined) return valid;
+  if (!isPlainObject(checks)) {
+    error('customChecks', null, '"customChecks" must be an object mapping check names to functions');
+    return valid;
+  }
+  for (var name in checks) {
+    var where = 'customChecks.' + name;
+    var def = checks[name];
+    if (Object.prototype.hasOwnProperty.call(CHECK_OPTIONS, name) || GENERAL_CHECKS.concat(RESERVED_CHECKS).indexOf(name) !== -1) {
+      error(where, null, 'custom check "' + name + '" has the name of a built-in check');
+      continue;
+    }
+    if (typeof def === 'function') {
+      valid[name] = [];
+      continue;
+    }
+    if (!isPlainObject(def) || typeof def.run !== 'function') {
+      error(where, null, 'custom check "' + name + '" must be a function or { run: function, options }');
+      continue;
+    }
+    var problem = def.options === undefined ? null : stringArray(def.options);
+    if (problem) {
+      error(where + '.options', null, 'custom check "' + name + '": options ' + problem);
+      continue;
+    }
+    valid[name] = def.options || [];
+  }
+  return valid;
+}
+
+function validateSettings(settings, error, warn) {
+  if (settings === undefined) return;
+  if (!isPlainObject(settings)) {
+    error('settings', null, '"settings" must be an object');
+    return;
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') error('settings.enabled', null, 'settings.enabled must be true or false');
+  validateFailMode(settings.failMode, error);
+  ['checkTimeout', 'hookTimeout'].forEach(function(key) {
+    if (settings[key] !== undefined && !(typeof settings[key] === 'number' && settings[key] > 0)) error('settings.' + key, null, 'settings.' + key + ' must be a positive number of ms');
+  });
+  if (settings.overrideTTL !== undefined && !(typeof settings.overrideTTL === 'number' && settings.overrideTTL > 0)) {
+    error('settings.overrideTTL', null, 'settings.overrideTTL must be a positive number of seconds');
+  }
+  if (settings.maxViolationsShown !== undefined && !(Number.isInteger(settings.maxViolationsShown) && settings.maxViolationsShown > 0)) {
+    error('settings.maxViolationsShown', null, 'settings.maxViolationsShown must be a positive integer');
+  }
+  ['v1', 'v2', 'audit'].forEach(function(group) {
+    if (settings[group] !== undefined && !isPlainObject(settings[group])) error('settings.' + group, null, 'settings.' + group + ' must be an object');
+  });
+  var v2 = isPlainObject(settings.v2) ? settings.v2 : {};
+  if (v2.timeout !== undefined && !(typeof v2.timeout === 'number' && v2.timeout > 0)) error('settings.v2.timeout', null, 'settings.v2.timeout must be a positive number of ms');
+  if (v2.ollamaUrl !== undefined && typeof v2.ollamaUrl !== 'string') error('settings.v2.ollamaUrl', null, 'settings.v2.ollamaUrl must be a string');
+  var audit = isPlainObject(settings.audit) ? settings.audit : {};
+  ['maxBytes', 'maxAgeDays'].forEach(function(key) {
+    if (audit[key] !== undefined && !(typeof audit[key] === 'number' && audit[key] > 0)) error('settings.audit.' + key, null, 'settings.audit.' + key + ' must be a positive number');
+  });
+  if (audit.maxFiles !== undefined && !(Number.isInteger(audit.maxFiles) && audit.maxFiles >= 0)) {
+    error('settings.audit.maxFiles', null, 'settings.audit.maxFiles must be a whole number (0 keeps no rotated files)');
+  }
+}
+
+// 'open', 'closed', or per tier: { critical: 'closed', default: 'open' }
+function validateFailMode(failMode, error) {
+  if (failMode === undefined) return;
+  var expected = FAIL_MODES.join(' or ');
+  if (isPlainObject(failMode)) {
+    Object.keys(failMode).forEach(function(key) {
+      if (key !== 'default' && TIERS.indexOf(key) === -1) {
+        error('settings.failMode.' + key, null, 'settings.failMode keys must be tiers (' + TIERS.join(', ') + ') or "default", got "' + key + '"');
+      } else if (FAIL_MODES.indexOf(failMode[key]) === -1) {
+        error('settings.failMode.' + key, null, 'settings.failMode.' + key + ' must be ' + expected + ', got ' + JSON.stringify(failMode[key]));
+      }
+    });
+    return;
+  }
+  if (FAIL_MODES.indexOf(failMode) === -1) {
+    error('settings.failMode', null, 'settings.failMode must be ' + expected + ' (or an object per tier), got ' + JSON.stringify(failMode));
+  }
+}
+
+function validateEntropyDetection(ed, error, warn) {
+  if (ed === undefined) return;
+  if (!isPlainObject(ed)) {
+    error('entropyDetection', null, '"entropyDetection" must be an object');
+    return;
+  }
+  if (ed.enabled !== undefined && typeof ed.enabled !== 'boolean') error('entropyDetection.enabled', null, 'entropyDetection.enabled must be true or false');
+  validateEntropyTuning(ed, 'entropyDetection', error, warn);
+  if (ed.fileTypes === undefined) return;
+  if (!isPlainObject(ed.fileTypes)) {
+    error('entropyDetection.fileTypes', null, 'entropyDetection.fileTypes must map file name globs to options');
+    return;
+  }
+  for (var glob in ed.fileTypes) {
+    var where = 'entropyDetection.fileTypes["' + glob + '"]';
+    var tuning = ed.fileTypes[glob];
+    if (!isPlainObject(tuning)) {
+      error(where, null, where + ' must be an object');
+      continue;
+    }
+    for (var key in tuning) {
+      if (ENTROPY_FILE_TYPE_KEYS.indexOf(key) === -1) warn(where + '.' + key, null, where + ': unknown option "' + key + '"' + suggest(key, ENTROPY_FILE_TYPE_KEYS));
+    }
+    if (tuning.enabled !== undefined && typeof tuning.enabled !== 'boolean') error(where + '.enabled', null, where + '.enabled must be true or false');
+    if (tuning.confidenceAdjust !== undefined && !(typeof tuning.confidenceAdjust === 'number' && Math.abs(tuning.confidenceAdjust) <= 1)) {
+      error(where + '.confidenceAdjust', null, where + '.confidenceAdjust must be a number between -1 and 1');
+    }
+    validateEntropyTuning(tuning, where, error, warn);
+  }
+}
+
+function validateEntropyTuning(opts, where, error, warn) {
+  if (opts.minLength !== undefined && !(Number.isInteger(opts.minLength) && opts.minLength > 0)) error(where + '.minLength', null, where + '.minLength must be a positive integer');
+  ['minConfidence', 'blockConfidence'].forEach(function(key) {
+    if (opts[key] !== undefined && !(typeof opts[key] === 'number' && opts[key] >= 0 && opts[key] <= 1)) error(where + '.' + key, null, where + '.' + key + ' must be a number between 0 and 1');
+  });
+  if (opts.keywords !== undefined) {
+    var problem = nonEmptyStringArray(opts.keywords);
+    if (problem) error(where + '.keywords', null, where + '.keywords ' + problem);
+  }
+  if (opts.thresholds === undefined) return;
+  if (!isPlainObject(opts.thresholds)) {
+    error(where + '.thresholds', null, where + '.thresholds must be an object of bits-per-character values');
+    return;
+  }
+  for (var charset in opts.thresholds) {
+    if (ENTROPY_CHARSETS.indexOf(charset) === -1) warn(where + '.thresholds.' + charset, null, where + '.thresholds: unknown charset "' + charset + '" (expected ' + ENTROPY_CHARSETS.join(', ') + ')');
+    else if (!(typeof opts.thresholds[charset] === 'number' && opts.thresholds[charset] > 0)) error(where + '.thresholds.' + charset, null, where + '.thresholds.' + charset + ' must be a positive number');
+  }
+}
+
+// onViolation only changes what happens to blocking (critical/high) violations
+function validateOnViolation(rule, where, label, error, warn) {
+  if (rule.onViolation === undefined) return;
+  if (ON_VIOLATION.indexOf(rule.onViolation) === -1) {
+    error(where + '.onViolation', label, 'invalid onViolation ' + JSON.stringify(rule.onViolation) + ' (expected ' + ON_VIOLATION.join(' or ') + ')');
+  } else if (rule.tier === 'medium' || rule.tier === 'low') {
+    warn(where + '.onViolation', label, '"onViolation" has no effect on ' + rule.tier + ' rules, which never block');
+  }
+}
+
+function validateRulePattern(pattern, where, label, error, options) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    error(where + '.pattern', label, '"pattern" must be a non-empty glob string');
+    return;
+  }
+  if (options.validatePattern && !options.validatePattern(pattern)) {
+    error(where + '.pattern', label, 'pattern ' + JSON.stringify(pattern) +
+      ' is rejected (no "..", no leading "/", at most 500 chars and 5 "**") and would never match');
+    return;
+  }
+  if (options.compileGlob) {
+    try {
+      options.compileGlob(pattern);
+    } catch (e) {
+      error(where + '.pattern', label, 'pattern ' + JSON.stringify(pattern) + ' does not compile: ' + e.message);
+    }
+  }
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(function(e) { return '  - ' + e.message; }).join('\n');
+}
+
+module.exports = {
+  TIERS: TIERS,
+  CHECK_OPTIONS: CHECK_OPTIONS,
+  ConfigError: ConfigError,
+  validateConfig: validateConfig,
+  formatValidationErrors: formatValidationErrors,
+};
@@ -0,0 +1,80 @@
+/**
+ * Document Guard - Credential Matching
+ *
+ * Runs credentialPatterns over text and reports every match (not just the
+ * first) with its line/column, skipping matches that look like placeholders.
+ * Matched secrets are only ever exposed through redactSecret().
+ */
+
+// Global copy of a pattern so every occurrence is found
+function globalRegex(regex) {
+  return new RegExp(regex.source, regex.flags.indexOf('g') === -1 ? regex.flags + 'g' : regex.flags);
+}
+
+// True when any placeholder pattern matches (example values, not secrets)
+function isPlaceholder(text, placeholders) {
+  for (var i = 0; i < placeholders.length; i++) {
+    placeholders[i].lastIndex = 0;
+    if (placeholders[i].test(text)) return true;
+  }
+  return false;
+}
+
+// 1-based line and column of an offset
+function lineColumn(text, index) {
+  var before = text.slice(0, index);
+  var lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: index - lineStart + 1 };
+}
+
+/**
+ * Redacts a secret for display: a short recognizable prefix and, for long
+ * values, the last four characters ("sk-ant-****…a9f2"). Short matches such
+ * as password assignments keep the prefix only.
+ */
+function redactSecret(secret) {
+  secret = String(secret).replace(/\s+/g, ' ');
+  if (secret.length >= 24) {
+    return secret.slice(0, Math.min(7, Math.floor(secret.length / 4))) + '****…' + secret.slice(-4);
+  }
+  return secret.slice(0, Math.min(4, Math.floor(secret.length / 4))) + '****';
+}
+
+/**
+ * Finds credential matches in text.
+ *
+ * @param {string} text
+ * @param {Array<{name: string, regex: RegExp}>} patterns
+ * @param {RegExp[]} placeholders
+ * @returns {Array<{pattern: string, index: number, length: number, line: number,
+ *   column: number, match: string}>} Sorted by position; `match` holds the
+ *   secret itself and must not be logged or printed
+ */
+function findCredentials(text, patterns, placeholders) {
+  var findings = [];
+  if (typeof text !== 'string' || text === '') return findings;
+  placeholders = placeholders || [];
+  for (var p = 0; p < (patterns || []).length; p++) {
+    if (!(patterns[p].regex instanceof RegExp)) continue;
+    var re = globalRegex(patterns[p].regex);
+    var m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[0] === '') {
+        re.lastIndex++;
+        continue;
+      }
+      if (isPlaceholder(m[0], placeholders)) continue;
+      var loc = lineColumn(text, m.index);
+      findings.push({ pattern: patterns[p].name, index: m.index, length: m[0].length, line: loc.line, column: loc.column, match: m[0] });
+    }
+  }
+  findings.sort(function(a, b) { return a.index - b.index; });
+  return findings;
+}
+
+module.exports = {
+  findCredentials: findCredentials,
+  isPlaceholder: isPlaceholder,
+  redactSecret: redactSecret,
+  lineColumn: lineColumn,
+};
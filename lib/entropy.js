@@ -0,0 +1,205 @@
+/**
+ * Document Guard - Entropy and Context Secret Detection
+ *
+ * Finds secrets that fixed credentialPatterns miss by combining:
+ *   - Shannon entropy (bits per character) against a per-charset threshold
+ *   - charset classification (hex, alnum, base64, mixed)
+ *   - keyword context: the value is assigned to a name like API_KEY,
+ *     authToken or "client_secret"
+ *   - known secret slots such as .npmrc `_authToken=` lines
+ *   - long standalone base64 blobs (service-account keys, certificates)
+ *
+ * Each finding carries a confidence in [0, 1]; the caller maps it to a tier.
+ * Options can be tuned per file type (matched on the file name).
+ */
+
+const path = require('path');
+const { isPlaceholder } = require('./credentials');
+
+const DEFAULTS = {
+  enabled: false,
+  minLength: 20,
+  minConfidence: 0.5,
+  blockConfidence: 0.8,
+  thresholds: { hex: 3.0, alnum: 3.7, base64: 4.0, mixed: 3.5 },
+  keywords: ['key', 'token', 'secret', 'password', 'passwd', 'pwd', 'credential', 'auth', 'private'],
+  fileTypes: {},
+};
+
+// Base confidences before per-file-type adjustment
+const CONFIDENCE = {
+  npmAuth: 0.95,
+  keywordHighEntropy: 0.9,
+  keywordLowEntropy: 0.4,
+  blob: 0.6,
+  largeBlob: 0.7,
+};
+
+const LARGE_BLOB_LENGTH = 100;
+const BLOB_MIN_LENGTH = 40;
+
+function shannonEntropy(text) {
+  if (!text) return 0;
+  var counts = {};
+  for (var i = 0; i < text.length; i++) counts[text[i]] = (counts[text[i]] || 0) + 1;
+  var entropy = 0;
+  for (var c in counts) {
+    var p = counts[c] / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function classifyCharset(value) {
+  if (/^[0-9a-fA-F]+$/.test(value)) return 'hex';
+  if (/^[A-Za-z0-9]+$/.test(value)) return 'alnum';
+  if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) return 'base64';
+  return 'mixed';
+}
+
+// "apiKey" / "API-KEY" / "client.secret" -> "api_key" / "client_secret"
+function normalizeName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().replace(/[.-]+/g, '_');
+}
+
+function matchesKeyword(name, keywords) {
+  var normalized = '_' + normalizeName(name) + '_';
+  for (var i = 0; i < keywords.length; i++) {
+    var kw = String(keywords[i]).toLowerCase();
+    if (normalized.indexOf('_' + kw + '_') !== -1 || normalized.indexOf('_' + kw + 's_') !== -1) return true;
+  }
+  return false;
+}
+
+// Values that are code or locations rather than secrets
+function looksLikeReference(value) {
+  if (/:\/\//.test(value)) return true;
+  if (/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+(?:\(\))?$/.test(value)) return true;
+  if (/^(?:\.{0,2}\/)?[\w.-]+(?:\/[\w.-]+)+\.\w+$/.test(value)) return true;
+  return false;
+}
+
+function basenameGlobMatches(pattern, filePath) {
+  var source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + source + '$').test(path.basename(filePath));
+}
+
+/**
+ * Effective detector options for a file: defaults, then the configured
+ * options, then every matching fileTypes entry in order.
+ *
+ * @returns {object|null} Options, or null when detection is off for the file
+ */
+function entropyOptionsFor(config, filePath) {
+  if (!config || config.enabled !== true) return null;
+  var options = Object.assign({}, DEFAULTS, config, {
+    thresholds: Object.assign({}, DEFAULTS.thresholds, config.thresholds),
+    confidenceAdjust: 0,
+  });
+  var fileTypes = config.fileTypes || {};
+  for (var pattern in fileTypes) {
+    if (!filePath || !basenameGlobMatches(pattern, filePath)) continue;
+    var tuning = fileTypes[pattern] || {};
+    if (tuning.enabled === false) return null;
+    for (var key in tuning) {
+      if (key === 'thresholds') options.thresholds = Object.assign({}, options.thresholds, tuning.thresholds);
+      else if (key === 'confidenceAdjust') options.confidenceAdjust += tuning.confidenceAdjust;
+      else options[key] = tuning[key];
+    }
+  }
+  return options;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Detects likely secrets in text.
+ *
+ * @param {string} text
+ * @param {object} options - From entropyOptionsFor
+ * @param {RegExp[]} placeholders
+ * @returns {Array<{pattern: string, index: number, length: number, match: string,
+ *   confidence: number, entropy: number, charset: string}>} Only findings at or
+ *   above options.minConfidence; `match` is the secret and must not be logged
+ */
+function detectSecrets(text, options, placeholders) {
+  var findings = [];
+  if (!options || typeof text !== 'string' || text === '') return findings;
+  placeholders = placeholders || [];
+  var claimed = [];
+
+  function overlaps(start, end) {
+    return claimed.some(function(c) { return start < c[1] && end > c[0]; });
+  }
+
+  // contextText is only ever a registry URL: a variable name (TEST_API_KEY)
+  // says nothing about whether its value is real
+  function consider(value, index, label, confidence, contextText) {
+    if (overlaps(index, index + value.length)) return;
+    if (isPlaceholder(value, placeholders) || (contextText && isPlaceholder(contextText, placeholders))) {
+      // Claimed, so the name = value pass doesn't pick the same value up
+      claimed.push([index, index + value.length]);
+      return;
+    }
+    var entropy = shannonEntropy(value);
+    var charset = classifyCharset(value);
+    var score = Math.max(0, Math.min(1, confidence + options.confidenceAdjust));
+    claimed.push([index, index + value.length]);
+    if (score < options.minConfidence) return;
+    findings.push({
+      pattern: label,
+      index: index,
+      length: value.length,
+      match: value,
+      confidence: round(score),
+      entropy: round(entropy),
+      charset: charset,
+    });
+  }
+
+  var m;
+
+  // .npmrc auth slots: any non-placeholder value is a credential, unless the
+  // registry is a placeholder (//registry.example.com/:_authToken=...)
+  var npmRe = /^[ \t]*(\/\/[^\s=]*:)?_(?:authToken|auth|password)[ \t]*=[ \t]*(\S+)/gm;
+  while ((m = npmRe.exec(text)) !== null) {
+    consider(m[2], m.index + m[0].length - m[2].length, 'npm auth token', CONFIDENCE.npmAuth, m[1]);
+  }
+
+  // name = value / name: value / "name": "value" with a secret-sounding name
+  var assignRe = /["']?([A-Za-z_][\w.-]*)["']?[ \t]*(?::=|=>|[:=])[ \t]*(["'`]?)([^\s"'`,;]+)\2/g;
+  while ((m = assignRe.exec(text)) !== null) {
+    var name = m[1];
+    var value = m[3];
+    if (value.length < options.minLength || !matchesKeyword(name, options.keywords) || looksLikeReference(value)) continue;
+    var highEntropy = shannonEntropy(value) >= (options.thresholds[classifyCharset(value)] || options.thresholds.mixed);
+    consider(value, m.index + m[0].length - value.length - m[2].length, 'High-entropy value for ' + name,
+      highEntropy ? CONFIDENCE.keywordHighEntropy : CONFIDENCE.keywordLowEntropy, null);
+  }
+
+  // Standalone base64 blobs with mixed case and digits
+  var blobRe = /[A-Za-z0-9+/_-]{40,}={0,2}/g;
+  while ((m = blobRe.exec(text)) !== null) {
+    var blob = m[0];
+    if (blob.length < Math.max(BLOB_MIN_LENGTH, options.minLength)) continue;
+    if (!/[a-z]/.test(blob) || !/[A-Z]/.test(blob) || !/[0-9]/.test(blob)) continue;
+    if (looksLikeReference(blob) || (/\/.*\//.test(blob) && !/[+=]/.test(blob))) continue;
+    var charset = classifyCharset(blob);
+    if (shannonEntropy(blob) < (options.thresholds[charset] || options.thresholds.mixed)) continue;
+    consider(blob, m.index, 'High-entropy ' + charset + ' string',
+      blob.length >= LARGE_BLOB_LENGTH ? CONFIDENCE.largeBlob : CONFIDENCE.blob, null);
+  }
+
+  findings.sort(function(a, b) { return a.index - b.index; });
+  return findings;
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  shannonEntropy: shannonEntropy,
+  classifyCharset: classifyCharset,
+  entropyOptionsFor: entropyOptionsFor,
+  detectSecrets: detectSecrets,
+};
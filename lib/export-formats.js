@@ -0,0 +1,268 @@
+/**
+ * Document Guard - SARIF and JUnit Export
+ *
+ * Turns violations into SARIF 2.1.0 (code scanning) and JUnit XML (test
+ * reporters). Both exporters take a flat list of findings:
+ *
+ *   { rule, check, tier, message, file, line, column, suppressed, properties }
+ *
+ * `rule` is the rule name, `line`/`column` are 1-based and optional, and
+ * `suppressed` is a justification when the violation was let through (an
+ * override or an approved ask). Adapters below build findings from audit
+ * entries and from a `check` run.
+ *
+ * Tier mapping: critical/high -> SARIF error, JUnit failure; medium ->
+ * warning; low -> note. Medium and low findings don't fail a JUnit testcase;
+ * they are listed in its system-out.
+ */
+
+const url = require('url');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/davidmoneil/aifred-document-guard';
+
+const LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+// Audit actions whose violations are exported
+const EXPORTED_ACTIONS = ['blocked', 'override_tamper', 'audit_tamper', 'asked', 'override_used', 'warned', 'logged', 'hook_error', 'config_error'];
+
+function isBlocking(tier) {
+  return tier === 'critical' || tier === 'high';
+}
+
+function ruleId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'rule';
+}
+
+// Audit entries of legacy Bash decisions use "(command)" instead of a path
+function hasPath(file) {
+  return typeof file === 'string' && file !== '' && file.charAt(0) !== '(';
+}
+
+function ruleDescriptor(rule) {
+  var descriptor = {
+    id: ruleId(rule.name),
+    name: rule.name,
+    shortDescription: { text: rule.name },
+    defaultConfiguration: { level: LEVELS[rule.tier] || 'error' },
+    properties: { tier: rule.tier || null },
+  };
+  if (rule.message || rule.purpose) descriptor.fullDescription = { text: rule.message || rule.purpose };
+  if (rule.pattern) descriptor.properties.pattern = rule.pattern;
+  var checks = rule.checks || (rule.check ? [rule.check] : []);
+  if (checks.length > 0) descriptor.properties.checks = checks;
+  return descriptor;
+}
+
+function sarifLocation(finding) {
+  var physical = { artifactLocation: { uri: encodeURI(String(finding.file).replace(/\\/g, '/')), uriBaseId: '%SRCROOT%' } };
+  if (finding.line >= 1) {
+    physical.region = { startLine: finding.line };
+    if (finding.column >= 1) physical.region.startColumn = finding.column;
+  }
+  return { physicalLocation: physical };
+}
+
+/**
+ * @param {object[]} findings
+ * @param {object} options - { rules: config rules (general and path), root: project dir, version }
+ * @returns {object} SARIF log
+ */
+function toSarif(findings, options) {
+  var descriptors = [];
+  var index = {};
+  function addRule(rule) {
+    if (index[rule.name] !== undefined) return index[rule.name];
+    index[rule.name] = descriptors.length;
+    descriptors.push(ruleDescriptor(rule));
+    return index[rule.name];
+  }
+  (options.rules || []).forEach(addRule);
+
+  var results = findings.map(function(f) {
+    var name = f.rule || f.check;
+    var ruleIndex = addRule({ name: name, tier: f.tier, check: f.check });
+    var result = {
+      ruleId: descriptors[ruleIndex].id,
+      ruleIndex: ruleIndex,
+      level: LEVELS[f.tier] || 'error',
+      message: { text: f.message },
+      properties: Object.assign({ check: f.check, tier: f.tier }, f.properties),
+    };
+    if (hasPath(f.file)) result.locations = [sarifLocation(f)];
+    if (f.suppressed) result.suppressions = [{ kind: 'external', status: 'accepted', justification: f.suppressed }];
+    return result;
+  });
+
+  var run = {
+    tool: {
+      driver: {
+        name: 'Document Guard',
+        informationUri: INFORMATION_URI,
+        rules: descriptors,
+      },
+    },
+    columnKind: 'utf16CodeUnits',
+    results: results,
+  };
+  if (options.version) run.tool.driver.version = options.version;
+  if (options.root) {
+    var root = url.pathToFileURL(options.root).href;
+    run.originalUriBaseIds = { '%SRCROOT%': { uri: root.endsWith('/') ? root : root + '/' } };
+  }
+  return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+function xmlEscape(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function findingLine(f) {
+  var where = f.line >= 1 ? ':' + f.line + (f.column >= 1 ? ':' + f.column : '') : '';
+  return '[' + f.tier + '] [' + f.check + '] ' + f.message + (hasPath(f.file) ? ' (' + f.file + where + ')' : '');
+}
+
+// testcase element for one rule/file pair
+function junitCase(suite, testcase) {
+  var attrs = 'name="' + xmlEscape(testcase.file) + '" classname="' + xmlEscape('document-guard.' + ruleId(suite)) + '" time="0"';
+  var failing = testcase.findings.filter(function(f) { return isBlocking(f.tier) && !f.suppressed; });
+  var suppressed = testcase.findings.filter(function(f) { return f.suppressed; });
+  var notes = testcase.findings.filter(function(f) { return !isBlocking(f.tier) && !f.suppressed; });
+  var body = [];
+  if (failing.length > 0) {
+    body.push('      <failure message="' + xmlEscape(failing.length + ' violation(s): ' + failing[0].message) + '" type="' + xmlEscape(failing[0].check) + '">' +
+      xmlEscape(failing.map(findingLine).join('\n')) + '</failure>');
+  } else if (testcase.findings.length === 0 && testcase.skipped) {
+    body.push('      <skipped message="' + xmlEscape(testcase.skipped) + '"/>');
+  } else if (suppressed.length > 0 && notes.length === 0) {
+    body.push('      <skipped message="' + xmlEscape('Overridden: ' + suppressed[0].suppressed) + '"/>');
+  }
+  var out = notes.concat(failing.length > 0 ? suppressed : []);
+  if (out.length > 0) {
+    body.push('      <system-out>' + xmlEscape(out.map(function(f) {
+      return findingLine(f) + (f.suppressed ? ' - overridden: ' + f.suppressed : '');
+    }).join('\n')) + '</system-out>');
+  }
+  var result = failing.length > 0 ? 'failure' : body.some(function(b) { return b.indexOf('<skipped') !== -1; }) ? 'skipped' : 'pass';
+  var xml = body.length === 0 ? '    <testcase ' + attrs + '/>' : '    <testcase ' + attrs + '>\n' + body.join('\n') + '\n    </testcase>';
+  return { xml: xml, result: result };
+}
+
+/**
+ * One testsuite per rule and one testcase per rule/file pair. Testcases fail
+ * on unsuppressed critical or high findings.
+ *
+ * @param {object[]} findings
+ * @param {object} [options] - { name: testsuites name, passed: [{rule, file}],
+ *   skipped: [{rule, file, reason}], timestamp: ISO string }
+ * @returns {string} JUnit XML document
+ */
+function toJUnit(findings, options) {
+  options = options || {};
+  var suites = {};
+  var order = [];
+  function testcase(rule, file) {
+    if (!suites[rule]) {
+      suites[rule] = {};
+      order.push(rule);
+    }
+    if (!suites[rule][file]) suites[rule][file] = { file: file, findings: [], skipped: null };
+    return suites[rule][file];
+  }
+  findings.forEach(function(f) {
+    testcase(f.rule || f.check, hasPath(f.file) ? f.file : '(no file)').findings.push(f);
+  });
+  (options.passed || []).forEach(function(p) { testcase(p.rule, p.file); });
+  (options.skipped || []).forEach(function(s) {
+    var tc = testcase(s.rule, s.file);
+    if (!tc.skipped) tc.skipped = s.reason || 'skipped';
+  });
+
+  var totals = { tests: 0, failures: 0 };
+  var timestamp = (options.timestamp || new Date().toISOString()).replace(/\.\d+Z$|Z$/, '');
+  var blocks = order.map(function(rule) {
+    var cases = Object.keys(suites[rule]).sort().map(function(file) { return junitCase(rule, suites[rule][file]); });
+    var counts = {
+      tests: cases.length,
+      failures: cases.filter(function(c) { return c.result === 'failure'; }).length,
+      skipped: cases.filter(function(c) { return c.result === 'skipped'; }).length,
+    };
+    totals.tests += counts.tests;
+    totals.failures += counts.failures;
+    return '  <testsuite name="' + xmlEscape(rule) + '" tests="' + counts.tests + '" failures="' + counts.failures +
+      '" errors="0" skipped="' + counts.skipped + '" time="0" timestamp="' + timestamp + '">\n' +
+      cases.map(function(c) { return c.xml; }).join('\n') + '\n  </testsuite>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="' + xmlEscape(options.name || 'document-guard') + '" tests="' + totals.tests + '" failures="' + totals.failures +
+    '" errors="0" time="0">\n' +
+    blocks.join('\n') + (blocks.length > 0 ? '\n' : '') + '</testsuites>\n';
+}
+
+// --- Adapters ---
+
+function findingFrom(violation, file, rule) {
+  var f = { rule: violation.rule || rule, check: violation.check, tier: violation.tier, message: violation.message, file: file };
+  if (violation.line) f.line = violation.line;
+  if (violation.column) f.column = violation.column;
+  return f;
+}
+
+/**
+ * Findings from audit log entries. Overridden ones are suppressed with the
+ * override reasons as justification.
+ */
+function fromAuditEntries(entries) {
+  var findings = [];
+  entries.forEach(function(entry) {
+    if (EXPORTED_ACTIONS.indexOf(entry.action) === -1) return;
+    var suppressed = null;
+    if (entry.action === 'override_used') {
+      suppressed = (entry.overrides || []).map(function(o) { return o.reason || 'override ' + o.id; }).join('; ') || 'override';
+    }
+    (entry.violations || []).forEach(function(v) {
+      var f = findingFrom(v, entry.file, (entry.rules || [])[0]);
+      if (suppressed) f.suppressed = suppressed;
+      f.properties = { action: entry.action, timestamp: entry.timestamp };
+      if (entry.session_id) f.properties.session_id = entry.session_id;
+      findings.push(f);
+    });
+  });
+  return findings;
+}
+
+/**
+ * Findings plus passed and skipped rule/file pairs from the per-check report
+ * of a `check` run (see reportCheck in the hook).
+ *
+ * @returns {{findings: object[], passed: object[], skipped: object[]}}
+ */
+function fromCheckReport(report) {
+  var result = { findings: [], passed: [], skipped: [] };
+  report.forEach(function(item) {
+    if (item.status === 'fail' || item.status === 'error') {
+      item.violations.forEach(function(v) { result.findings.push(findingFrom(v, item.file, item.rule)); });
+    } else if (item.status === 'pass') {
+      result.passed.push({ rule: item.rule, file: item.file });
+    } else {
+      result.skipped.push({ rule: item.rule, file: item.file, reason: item.check + ': ' + (item.reason || item.status) });
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  LEVELS: LEVELS,
+  ruleId: ruleId,
+  toSarif: toSarif,
+  toJUnit: toJUnit,
+  fromAuditEntries: fromAuditEntries,
+  fromCheckReport: fromCheckReport,
+};
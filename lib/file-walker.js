@@ -0,0 +1,159 @@
+/**
+ * Document Guard - Project File Walker
+ *
+ * Lists project files the way git sees them: .gitignore files (nested, with
+ * negation) and .git/info/exclude are respected, .git itself is never
+ * entered, and symlinks are not followed. Used by `document-guard scan`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createIgnoreStack, pushGitignore, isIgnored, parseGitignore } = require('./gitignore');
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+
+// Repository-wide excludes, which apply before any .gitignore
+async function excludeStack(root) {
+  var stack = createIgnoreStack();
+  try {
+    var exclude = await fs.readFile(path.join(root, '.git', 'info', 'exclude'), 'utf8');
+    stack = stack.concat([{ base: root, rules: parseGitignore(exclude) }]);
+  } catch (e) { /* no repo or no excludes */ }
+  return stack;
+}
+
+// Ignore state for a directory, loading every .gitignore from the root down to it
+async function stackFor(root, dir) {
+  var stack = await pushGitignore(await excludeStack(root), root);
+  var rel = path.relative(root, dir);
+  if (rel === '') return stack;
+  var cur = root;
+  var parts = rel.split(path.sep);
+  for (var i = 0; i < parts.length; i++) {
+    cur = path.join(cur, parts[i]);
+    stack = await pushGitignore(stack, cur);
+  }
+  return stack;
+}
+
+// True when a directory between the root and `target` is ignored (git never
+// descends into it, so nothing below can be re-included)
+async function insideIgnoredDir(root, target) {
+  var parts = path.relative(root, path.dirname(target)).split(path.sep).filter(Boolean);
+  var cur = root;
+  for (var i = 0; i < parts.length; i++) {
+    var stack = await stackFor(root, cur);
+    cur = path.join(cur, parts[i]);
+    if (isIgnored(stack, cur, true)) return true;
+  }
+  return false;
+}
+
+/**
+ * Walks files under the given paths.
+ *
+ * @param {string} root - Project root (ignore files are resolved from here)
+ * @param {string[]} [startPaths] - Files or directories (default: root)
+ * @returns {Promise<{files: Array<{path: string, relativePath: string, size: number}>,
+ *   skipped: Array<{relativePath: string, reason: string}>}>}
+ */
+async function walkFiles(root, startPaths) {
+  var files = [];
+  var skipped = [];
+  var seen = new Set();
+  root = path.resolve(root);
+
+  function relative(p) {
+    return path.relative(root, p).split(path.sep).join('/');
+  }
+
+  async function visitDir(dir, stack) {
+    stack = await pushGitignore(stack, dir);
+    var entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      skipped.push({ relativePath: relative(dir), reason: 'unreadable: ' + err.code });
+      return;
+    }
+    entries.sort(function(a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0; });
+    for (var i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+      var full = path.join(dir, entry.name);
+      if (entry.isSymbolicLink()) continue;
+      if (entry.isDirectory()) {
+        if (entry.name === '.git' || isIgnored(stack, full, true)) continue;
+        await visitDir(full, stack);
+      } else if (entry.isFile()) {
+        if (isIgnored(stack, full, false)) continue;
+        await addFile(full);
+      }
+    }
+  }
+
+  async function addFile(full) {
+    if (seen.has(full)) return;
+    seen.add(full);
+    var stat = await fs.stat(full);
+    files.push({ path: full, relativePath: relative(full), size: stat.size });
+  }
+
+  var starts = startPaths && startPaths.length > 0 ? startPaths : [root];
+  for (var s = 0; s < starts.length; s++) {
+    var abs = path.resolve(root, starts[s]);
+    if (abs !== root && !abs.startsWith(root + path.sep)) {
+      skipped.push({ relativePath: starts[s], reason: 'outside project' });
+      continue;
+    }
+    var stat;
+    try {
+      stat = await fs.lstat(abs);
+    } catch (err) {
+      skipped.push({ relativePath: starts[s], reason: 'not found' });
+      continue;
+    }
+    if (relative(abs).split('/').indexOf('.git') !== -1) {
+      skipped.push({ relativePath: relative(abs), reason: 'inside .git' });
+      continue;
+    }
+    var parentStack = await stackFor(root, path.dirname(abs));
+    if (abs !== root && (isIgnored(parentStack, abs, stat.isDirectory()) || await insideIgnoredDir(root, abs))) {
+      skipped.push({ relativePath: relative(abs), reason: 'ignored by .gitignore' });
+      continue;
+    }
+    if (stat.isDirectory()) {
+      // visitDir adds the directory's own .gitignore
+      await visitDir(abs, abs === root ? await excludeStack(root) : parentStack);
+    } else if (stat.isFile()) {
+      await addFile(abs);
+    }
+  }
+
+  files.sort(function(a, b) { return a.relativePath < b.relativePath ? -1 : a.relativePath > b.relativePath ? 1 : 0; });
+  return { files: files, skipped: skipped };
+}
+
+/**
+ * Reads a file as text, or explains why it was skipped.
+ *
+ * @returns {Promise<{text?: string, skip?: string}>}
+ */
+async function readTextFile(file, size, maxBytes) {
+  maxBytes = maxBytes || DEFAULT_MAX_BYTES;
+  if (size > maxBytes) return { skip: 'larger than ' + maxBytes + ' bytes' };
+  var buf;
+  try {
+    buf = await fs.readFile(file);
+  } catch (err) {
+    return { skip: 'unreadable: ' + err.code };
+  }
+  if (buf.subarray(0, BINARY_SNIFF_BYTES).indexOf(0) !== -1) return { skip: 'binary' };
+  return { text: buf.toString('utf8') };
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES: DEFAULT_MAX_BYTES,
+  walkFiles: walkFiles,
+  readTextFile: readTextFile,
+};
@@ -0,0 +1,94 @@
+/**
+ * Document Guard - YAML Frontmatter
+ *
+ * Extracts the frontmatter block at the top of a markdown document (opened
+ * by --- on the first line, closed by --- or ...), parses it with the bundled
+ * YAML parser, and checks field values against a small schema:
+ *
+ *   { type: 'string' | ['string', 'array'], enum: ['a', 'b'], regex: /^[a-z-]+$/ }
+ *
+ * `type` is one of FIELD_TYPES or a list of them. For array values, `enum`
+ * and `regex` apply to each item. Fields are addressed by dotted key path
+ * ("metadata.owner").
+ */
+
+const { parseYaml } = require('./yaml');
+const { deepEqual, isPlainObject, preview } = require('./structured-data');
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/**
+ * @param {string} text - Document content
+ * @returns {{data: (object|null), error: ({message: string, line: number}|null)}|null}
+ *   null when the document has no frontmatter block. `error.line` is a line
+ *   of the document, not of the block.
+ */
+function extractFrontmatter(text) {
+  var lines = String(text).split(/\r?\n/);
+  if (lines[0].replace(/^\uFEFF/, '').trimEnd() !== '---') return null;
+  var end = -1;
+  for (var i = 1; i < lines.length; i++) {
+    var line = lines[i].trimEnd();
+    if (line === '---' || line === '...') { end = i; break; }
+  }
+  if (end === -1) return null;
+
+  var data;
+  try {
+    data = parseYaml(lines.slice(1, end).join('\n'));
+  } catch (err) {
+    if (err.name !== 'YamlError') throw err;
+    return { data: null, error: { message: err.reason, line: err.line + 1 } };
+  }
+  if (data === null) return { data: {}, error: null };
+  if (!isPlainObject(data)) return { data: null, error: { message: 'frontmatter is not a mapping of fields', line: 2 } };
+  return { data: data, error: null };
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && !Number.isNaN(value);
+  if (type === 'object') return isPlainObject(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * @param {string} field - Key path, for messages
+ * @param {*} value - Parsed value (not undefined)
+ * @param {object} schema - { type, enum, regex }
+ * @returns {string[]} Human-readable problems (empty when the value fits)
+ */
+function validateField(field, value, schema) {
+  if (schema.type !== undefined) {
+    var types = [].concat(schema.type);
+    if (!types.some(function(t) { return hasType(value, t); })) {
+      return ["'" + field + "' must be of type " + types.join(' or ') + ', got ' + typeOf(value) + ' ' + preview(value)];
+    }
+  }
+  var problems = [];
+  var items = Array.isArray(value) ? value : [value];
+  items.forEach(function(item) {
+    if (schema.enum && !schema.enum.some(function(allowed) { return deepEqual(allowed, item); })) {
+      problems.push("'" + field + "' must be one of " + schema.enum.map(preview).join(', ') + ', got ' + preview(item));
+    }
+    if (schema.regex) {
+      schema.regex.lastIndex = 0;
+      if (!schema.regex.test(typeof item === 'string' ? item : preview(item))) {
+        problems.push("'" + field + "' must match " + schema.regex + ', got ' + preview(item));
+      }
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  FIELD_TYPES: FIELD_TYPES,
+  extractFrontmatter: extractFrontmatter,
+  validateField: validateField,
+};
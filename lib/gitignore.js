@@ -0,0 +1,139 @@
+/**
+ * Document Guard - .gitignore Matching
+ *
+ * Implements the gitignore pattern rules needed to walk a project the way
+ * git sees it:
+ *   - blank lines and # comments, \# and \! escapes, trailing-space trimming
+ *   - ! negation (last matching rule wins)
+ *   - trailing / matches directories only
+ *   - a pattern containing / is anchored to its .gitignore's directory,
+ *     otherwise it matches a name at any depth below it
+ *   - *, ?, [...] and ** (leading, trailing and middle)
+ *
+ * A file inside an ignored directory stays ignored (the walker never enters
+ * the directory), matching git's behavior.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function globToRegexSource(glob) {
+  var out = '';
+  for (var i = 0; i < glob.length; i++) {
+    var c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        var atStart = i === 0;
+        var slashAfter = glob[i + 2] === '/';
+        var atEnd = i + 2 === glob.length;
+        if (atStart && slashAfter) { out += '(?:.*/)?'; i += 2; continue; }
+        if (glob[i - 1] === '/' && atEnd) { out += '.*'; i += 1; continue; }
+        if (glob[i - 1] === '/' && slashAfter) { out += '(?:.*/)?'; i += 2; continue; }
+      }
+      out += '[^/]*';
+      // Collapse runs of * that aren't a valid ** segment
+      while (glob[i + 1] === '*') i++;
+      continue;
+    }
+    if (c === '?') { out += '[^/]'; continue; }
+    if (c === '[') {
+      var end = glob.indexOf(']', i + 2);
+      if (end !== -1) {
+        var body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (body[0] === '!') body = '^' + body.slice(1);
+        out += '[' + body + ']';
+        i = end;
+        continue;
+      }
+    }
+    if (c === '\\' && i + 1 < glob.length) {
+      out += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i++;
+      continue;
+    }
+    out += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+  return out;
+}
+
+/**
+ * Parses .gitignore content into rules.
+ *
+ * @returns {Array<{negate: boolean, dirOnly: boolean, regex: RegExp, source: string}>}
+ */
+function parseGitignore(text) {
+  var rules = [];
+  var lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    if (line === '' || line[0] === '#') continue;
+    // Trailing spaces are ignored unless escaped
+    line = line.replace(/(?:^|[^\\])( +)$/, function(m, spaces) { return m.slice(0, m.length - spaces.length); });
+    if (line === '') continue;
+
+    var negate = false;
+    if (line[0] === '!') {
+      negate = true;
+      line = line.slice(1);
+    } else if (line[0] === '\\' && (line[1] === '#' || line[1] === '!')) {
+      line = line.slice(1);
+    }
+    var dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    if (line === '') continue;
+
+    var anchored = line.indexOf('/') !== -1;
+    if (line[0] === '/') line = line.slice(1);
+    var source = globToRegexSource(line);
+    rules.push({
+      negate: negate,
+      dirOnly: dirOnly,
+      regex: new RegExp((anchored ? '^' : '(?:^|/)') + source + '$'),
+      source: lines[i],
+    });
+  }
+  return rules;
+}
+
+/**
+ * Ignore state for one directory: the rules of every .gitignore from the
+ * walk root down to it, outermost first.
+ */
+function createIgnoreStack() {
+  return [];
+}
+
+async function pushGitignore(stack, dir) {
+  try {
+    var text = await fs.readFile(path.join(dir, '.gitignore'), 'utf8');
+    return stack.concat([{ base: dir, rules: parseGitignore(text) }]);
+  } catch (e) {
+    return stack;
+  }
+}
+
+/**
+ * @param {Array} stack - From createIgnoreStack/pushGitignore
+ * @param {string} absolutePath
+ * @param {boolean} isDir
+ */
+function isIgnored(stack, absolutePath, isDir) {
+  var ignored = false;
+  for (var s = 0; s < stack.length; s++) {
+    var rel = path.relative(stack[s].base, absolutePath).split(path.sep).join('/');
+    if (rel === '' || rel.startsWith('..')) continue;
+    var rules = stack[s].rules;
+    for (var r = 0; r < rules.length; r++) {
+      if (rules[r].dirOnly && !isDir) continue;
+      if (rules[r].regex.test(rel)) ignored = !rules[r].negate;
+    }
+  }
+  return ignored;
+}
+
+module.exports = {
+  parseGitignore: parseGitignore,
+  createIgnoreStack: createIgnoreStack,
+  pushGitignore: pushGitignore,
+  isIgnored: isIgnored,
+};
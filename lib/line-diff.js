@@ -0,0 +1,115 @@
+/**
+ * Document Guard - Line Diff
+ *
+ * Line-level diff for summarizing what an edit removes: counts of added and
+ * removed lines and the removed hunks. Common leading and trailing lines are
+ * trimmed first; the rest is diffed by longest common subsequence. When that
+ * middle is too large to diff cheaply, it is reported as one replaced hunk,
+ * so counts are an upper bound rather than exact.
+ */
+
+// Largest middle section (old lines x new lines) diffed exactly
+const MAX_CELLS = 4000000;
+
+function splitLines(text) {
+  if (text === '') return [];
+  var lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Matched old/new index pairs of the longest common subsequence
+function lcsPairs(a, b) {
+  var n = a.length;
+  var m = b.length;
+  var table = new Uint32Array((n + 1) * (m + 1));
+  for (var i = n - 1; i >= 0; i--) {
+    for (var j = m - 1; j >= 0; j--) {
+      var at = i * (m + 1) + j;
+      table[at] = a[i] === b[j] ? table[at + m + 2] + 1 : Math.max(table[at + m + 1], table[at + 1]);
+    }
+  }
+  var pairs = [];
+  i = 0;
+  j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {{oldLines: number, newLines: number, added: number, removed: number, exact: boolean,
+ *   hunks: Array<{oldStart: number, oldLines: number, newStart: number, newLines: number}>}}
+ *   Hunks are 1-based and in file order
+ */
+function diffLines(before, after) {
+  var a = splitLines(before);
+  var b = splitLines(after);
+  var start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  var endA = a.length;
+  var endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  var midA = a.slice(start, endA);
+  var midB = b.slice(start, endB);
+  var exact = midA.length * midB.length <= MAX_CELLS;
+  var pairs = exact ? lcsPairs(midA, midB) : [];
+  pairs.push([midA.length, midB.length]);
+
+  var hunks = [];
+  var i = 0;
+  var j = 0;
+  for (var p = 0; p < pairs.length; p++) {
+    if (pairs[p][0] > i || pairs[p][1] > j) {
+      hunks.push({ oldStart: start + i + 1, oldLines: pairs[p][0] - i, newStart: start + j + 1, newLines: pairs[p][1] - j });
+    }
+    i = pairs[p][0] + 1;
+    j = pairs[p][1] + 1;
+  }
+
+  var result = { oldLines: a.length, newLines: b.length, added: 0, removed: 0, exact: exact, hunks: hunks };
+  hunks.forEach(function(h) {
+    result.added += h.newLines;
+    result.removed += h.oldLines;
+  });
+  return result;
+}
+
+/**
+ * One-line summary: "+12 -388 lines; largest removals: lines 13-260 (248), 300-399 (100)".
+ *
+ * @param {object} diff - From diffLines
+ * @param {number} [maxHunks] - Removed hunks to list (default 3)
+ */
+function summarizeDiff(diff, maxHunks) {
+  var removals = diff.hunks.filter(function(h) { return h.oldLines > 0; })
+    .sort(function(x, y) { return y.oldLines - x.oldLines || x.oldStart - y.oldStart; })
+    .slice(0, maxHunks || 3);
+  var text = '+' + diff.added + ' -' + diff.removed + ' lines' + (diff.exact ? '' : ' (approximate)');
+  if (removals.length === 0) return text;
+  return text + '; largest removals: ' + removals.map(function(h) {
+    var end = h.oldStart + h.oldLines - 1;
+    return 'line' + (end === h.oldStart ? ' ' + h.oldStart : 's ' + h.oldStart + '-' + end) + ' (' + h.oldLines + ')';
+  }).join(', ');
+}
+
+module.exports = {
+  splitLines: splitLines,
+  diffLines: diffLines,
+  summarizeDiff: summarizeDiff,
+};
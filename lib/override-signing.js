@@ -0,0 +1,202 @@
+/**
+ * Document Guard - Signed Overrides
+ *
+ * Overrides are only valid when signed with an HMAC key that lives outside
+ * the project (default ~/.config/document-guard/override.key, mode 0600), so
+ * the agent can't approve its own override by writing the override file.
+ * The key is created by the first `document-guard override grant`, which a
+ * human runs.
+ *
+ * Each entry carries a random nonce. Every use is counted against it in a
+ * ledger next to the key, so an entry allows at most `uses` tool calls even if
+ * it is copied back into the override file (a replay).
+ *
+ * Override file (<project>/.claude/logs/.document-guard-overrides.json):
+ *   { "overrides": [ { "id": "9f2c41d0", "file": ".env", "reason": "Rotate key",
+ *       "issued": 1739207280000, "expires": 1739207400000,
+ *       "nonce": "5be0...", "sig": "c41a..." } ] }
+ *
+ * Optional scope fields, all signed:
+ *   glob     - files matching a glob instead of one `file`
+ *   checks   - only violations of these checks are waived
+ *   rule     - only violations raised by this rule are waived
+ *   uses     - number of tool calls it allows (default 1)
+ *   session  - only valid for this Claude Code session_id
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Ledger entries outlive their override by this much, then get pruned
+const LEDGER_GRACE_MS = 24 * 60 * 60 * 1000;
+
+function signingDir() {
+  if (process.env.DOCUMENT_GUARD_KEY_FILE) return path.dirname(path.resolve(process.env.DOCUMENT_GUARD_KEY_FILE));
+  return path.join(os.homedir(), '.config', 'document-guard');
+}
+
+function keyPath() {
+  if (process.env.DOCUMENT_GUARD_KEY_FILE) return path.resolve(process.env.DOCUMENT_GUARD_KEY_FILE);
+  return path.join(signingDir(), 'override.key');
+}
+
+function ledgerPath() {
+  return path.join(signingDir(), 'used-overrides.json');
+}
+
+/**
+ * @param {boolean} create - Generate the key if it doesn't exist (CLI only)
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadKey(create) {
+  var hex;
+  try {
+    hex = (await fs.readFile(keyPath(), 'utf8')).trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return create ? createKey() : null;
+  }
+  if (!/^[0-9a-f]{64,}$/i.test(hex)) throw new Error('Malformed override key at ' + keyPath());
+  return Buffer.from(hex, 'hex');
+}
+
+async function createKey() {
+  await fs.mkdir(path.dirname(keyPath()), { recursive: true, mode: 0o700 });
+  var key = crypto.randomBytes(32);
+  await fs.writeFile(keyPath(), key.toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+  return key;
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(function(k) { return JSON.stringify(k) + ':' + canonical(value[k]); }).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// Every field except `sig` is covered, so scope fields can't be altered either
+function signature(entry, key) {
+  var unsigned = Object.assign({}, entry);
+  delete unsigned.sig;
+  return crypto.createHmac('sha256', key).update(canonical(unsigned)).digest('hex');
+}
+
+function signEntry(entry, key) {
+  var signed = Object.assign({}, entry, { nonce: entry.nonce || crypto.randomBytes(16).toString('hex') });
+  signed.sig = signature(signed, key);
+  return signed;
+}
+
+function validateScope(entry) {
+  if (typeof entry.file !== 'string' && typeof entry.glob !== 'string') return 'malformed scope (needs file or glob)';
+  if (entry.checks !== undefined && !(Array.isArray(entry.checks) && entry.checks.length > 0 && entry.checks.every(function(c) { return typeof c === 'string'; }))) {
+    return 'malformed scope (checks must be a non-empty list of names)';
+  }
+  if (entry.rule !== undefined && typeof entry.rule !== 'string') return 'malformed scope (rule must be a name)';
+  if (entry.uses !== undefined && !(Number.isInteger(entry.uses) && entry.uses > 0)) return 'malformed scope (uses must be a positive integer)';
+  if (entry.session !== undefined && typeof entry.session !== 'string') return 'malformed scope (session must be a session id)';
+  return null;
+}
+
+/**
+ * @returns {string|null} Why the entry is invalid, or null when the signature checks out
+ */
+function verifyEntry(entry, key) {
+  if (!entry || typeof entry !== 'object') return 'malformed entry';
+  if (typeof entry.sig !== 'string' || entry.sig === '') return 'unsigned';
+  if (typeof entry.nonce !== 'string' || entry.nonce === '') return 'missing nonce';
+  if (typeof entry.expires !== 'number') return 'missing expiry';
+  var scopeError = validateScope(entry);
+  if (scopeError) return scopeError;
+  if (!key) return 'no signing key on this machine (run "document-guard override grant" to create one)';
+  var expected = Buffer.from(signature(entry, key), 'hex');
+  var actual = Buffer.from(entry.sig, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'invalid signature (forged or modified)';
+  return null;
+}
+
+/**
+ * @returns {Promise<{entries: Array, error: (string|null)}>} A missing file has no entries
+ */
+async function readOverrideFile(file) {
+  var raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    return { entries: [], error: err.code === 'ENOENT' ? null : err.message };
+  }
+  try {
+    var parsed = JSON.parse(raw);
+    return { entries: Array.isArray(parsed.overrides) ? parsed.overrides : [], error: null };
+  } catch (err) {
+    return { entries: [], error: 'Invalid JSON in override file: ' + err.message };
+  }
+}
+
+// Removes the file once the last entry is gone
+async function writeOverrideFile(file, entries) {
+  if (entries.length === 0) {
+    await fs.unlink(file).catch(function() {});
+    return;
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ overrides: entries }, null, 2) + '\n');
+}
+
+// Ledger: { used: { <nonce>: { expires, count } } }
+async function readLedger() {
+  try {
+    var parsed = JSON.parse(await fs.readFile(ledgerPath(), 'utf8'));
+    return parsed && typeof parsed.used === 'object' && parsed.used ? parsed.used : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function usedCount(record) {
+  if (!record) return 0;
+  return typeof record === 'number' ? 1 : record.count || 0;
+}
+
+// Uses an entry has left; zero means it is spent and any copy is a replay
+async function usesLeft(entry) {
+  var used = await readLedger();
+  var allowed = entry.uses || 1;
+  return Math.max(0, allowed - usedCount(used[entry.nonce]));
+}
+
+/**
+ * Counts one use of an entry and prunes records of overrides that expired
+ * long ago.
+ *
+ * @returns {Promise<number>} Uses left afterwards
+ */
+async function recordUsed(entry) {
+  var used = await readLedger();
+  var now = Date.now();
+  for (var nonce in used) {
+    var expires = typeof used[nonce] === 'number' ? used[nonce] : used[nonce].expires;
+    if (expires + LEDGER_GRACE_MS < now) delete used[nonce];
+  }
+  var count = usedCount(used[entry.nonce]) + 1;
+  used[entry.nonce] = { expires: typeof entry.expires === 'number' ? entry.expires : now, count: count };
+  await fs.mkdir(path.dirname(ledgerPath()), { recursive: true, mode: 0o700 });
+  await fs.writeFile(ledgerPath(), JSON.stringify({ used: used }, null, 2) + '\n', { mode: 0o600 });
+  return Math.max(0, (entry.uses || 1) - count);
+}
+
+module.exports = {
+  signingDir: signingDir,
+  keyPath: keyPath,
+  ledgerPath: ledgerPath,
+  loadKey: loadKey,
+  signEntry: signEntry,
+  verifyEntry: verifyEntry,
+  readOverrideFile: readOverrideFile,
+  writeOverrideFile: writeOverrideFile,
+  usesLeft: usesLeft,
+  recordUsed: recordUsed,
+};
@@ -0,0 +1,864 @@
+/**
+ * Document Guard - Shell Command Analyzer
+ *
+ * Finds the files a Bash command would write, truncate, move or delete so the
+ * hook can run them through the same rules as Edit/Write.
+ *
+ * Recognized writers:
+ *   - Redirections: >, >>, >|, &>, &>>, N>, N>>
+ *   - sed -i / perl -i, tee [-a], cp, mv (source and destination), rm,
+ *     truncate, dd of=, git checkout [-- <file>], git restore
+ *   - Nested scripts: bash -c / sh -c, $(...) and `...` substitutions
+ *
+ * Variables assigned earlier in the command, and environment variables, are
+ * substituted into targets the way the shell would. A target that still
+ * depends on something unknown (command output, a loop variable, a script
+ * built at run time) is returned with `unresolved: true` and the unknown
+ * parts shown as *, never dropped. A directory or glob that expands past
+ * MAX_DIR_FILES is returned as a target with `incomplete: true`, since the
+ * files listed for it are only a part.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const childProcess = require('child_process');
+
+// Upper bound on files expanded from a directory target (rm -rf dir, cp dir, ...)
+const MAX_DIR_FILES = 2000;
+
+// Directories and glob patterns whose expansion stopped at MAX_DIR_FILES
+// during the current analyzeShellCommand call
+let truncatedExpansions = [];
+
+// Stands in for a value only known at run time ($(...), unset variables)
+const UNKNOWN = '\u0000';
+
+// Targets that depend on an UNKNOWN value, as { path, operation }, during the
+// current analyzeShellCommand call
+let unresolvedTargets = [];
+
+const SHELLS = new Set(['bash', 'sh', 'zsh', 'dash', 'ksh']);
+const PREFIX_COMMANDS = new Set(['sudo', 'env', 'command', 'builtin', 'exec', 'nohup', 'time', 'nice', 'timeout', 'stdbuf']);
+// Reserved words that can precede a simple command (if cmd; then cmd; fi)
+const RESERVED_WORDS = new Set(['if', 'then', 'else', 'elif', 'while', 'until', 'do', '!']);
+const DECLARE_COMMANDS = new Set(['export', 'declare', 'typeset', 'local', 'readonly']);
+
+// ============================================================
+// TOKENIZER
+// ============================================================
+
+// Splits a command line into words and operators, tracking quoting so that
+// only unquoted glob characters are expanded and unresolved $VARs are flagged.
+function tokenize(command) {
+  var tokens = [];
+  var substitutions = [];
+  var pendingHeredocs = [];
+  var i = 0;
+  var word = null;
+
+  function startWord() {
+    if (!word) word = { type: 'word', value: '', glob: false, dynamic: false, quoted: false };
+  }
+  function endWord() {
+    if (word) { tokens.push(word); word = null; }
+  }
+
+  // Reads a $( ... ) body starting after "$(", honoring nesting and quotes
+  function readSubstitution(start) {
+    var depth = 1;
+    var j = start;
+    var quote = null;
+    while (j < command.length) {
+      var c = command[j];
+      if (quote) {
+        if (c === '\\' && quote === '"') { j += 2; continue; }
+        if (c === quote) quote = null;
+      } else if (c === '\'' || c === '"') {
+        quote = c;
+      } else if (c === '(') {
+        depth++;
+      } else if (c === ')') {
+        depth--;
+        if (depth === 0) return j;
+      }
+      j++;
+    }
+    return command.length;
+  }
+
+  function readDollar() {
+    // $( ... ) command substitution
+    if (command[i + 1] === '(') {
+      var end = readSubstitution(i + 2);
+      substitutions.push(command.slice(i + 2, end));
+      word.value += command.slice(i, end + 1);
+      word.dynamic = true;
+      i = end + 1;
+      return;
+    }
+    // ${VAR} / $VAR / $1 etc.
+    if (command[i + 1] === '{') {
+      var close = command.indexOf('}', i + 2);
+      if (close === -1) close = command.length - 1;
+      word.value += command.slice(i, close + 1);
+      word.dynamic = true;
+      i = close + 1;
+      return;
+    }
+    var m = command.slice(i + 1).match(/^(?:[A-Za-z_]\w*|[0-9?#@*$!-])/);
+    if (m) {
+      word.value += '$' + m[0];
+      word.dynamic = true;
+      i += 1 + m[0].length;
+      return;
+    }
+    word.value += '$';
+    i++;
+  }
+
+  function readBacktick() {
+    var end = command.indexOf('`', i + 1);
+    if (end === -1) end = command.length;
+    substitutions.push(command.slice(i + 1, end));
+    word.value += command.slice(i, end + 1);
+    word.dynamic = true;
+    i = end + 1;
+  }
+
+  function skipHeredocBodies() {
+    // Called right after a newline: consume each pending heredoc body
+    while (pendingHeredocs.length > 0) {
+      var doc = pendingHeredocs.shift();
+      while (i < command.length) {
+        var nl = command.indexOf('\n', i);
+        var line = command.slice(i, nl === -1 ? command.length : nl);
+        i = nl === -1 ? command.length : nl + 1;
+        var cmp = doc.stripTabs ? line.replace(/^\t+/, '') : line;
+        if (cmp === doc.delimiter) break;
+      }
+    }
+  }
+
+  while (i < command.length) {
+    var c = command[i];
+
+    // Whitespace
+    if (c === ' ' || c === '\t') { endWord(); i++; continue; }
+    if (c === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      skipHeredocBodies();
+      continue;
+    }
+
+    // Comments (only at word start)
+    if (c === '#' && !word) {
+      while (i < command.length && command[i] !== '\n') i++;
+      continue;
+    }
+
+    // Line continuation / escapes
+    if (c === '\\') {
+      if (command[i + 1] === '\n') { i += 2; continue; }
+      startWord();
+      if (i + 1 < command.length) word.value += command[i + 1];
+      word.quoted = true;
+      i += 2;
+      continue;
+    }
+
+    // Quotes
+    if (c === '\'') {
+      startWord();
+      word.quoted = true;
+      var close = command.indexOf('\'', i + 1);
+      if (close === -1) close = command.length;
+      word.value += command.slice(i + 1, close);
+      i = close + 1;
+      continue;
+    }
+    if (c === '"') {
+      startWord();
+      word.quoted = true;
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && /["\\$`\n]/.test(command[i + 1] || '')) {
+          if (command[i + 1] !== '\n') word.value += command[i + 1];
+          i += 2;
+        } else if (command[i] === '$') {
+          readDollar();
+        } else if (command[i] === '`') {
+          readBacktick();
+        } else {
+          word.value += command[i];
+          i++;
+        }
+      }
+      i++;
+      continue;
+    }
+    if (c === '$') {
+      startWord();
+      if (command.slice(i, i + 2) === '$\'') {
+        // ANSI-C quoting: treat content literally
+        var ac = command.indexOf('\'', i + 2);
+        if (ac === -1) ac = command.length;
+        word.value += command.slice(i + 2, ac);
+        word.quoted = true;
+        i = ac + 1;
+        continue;
+      }
+      readDollar();
+      continue;
+    }
+    if (c === '`') {
+      startWord();
+      readBacktick();
+      continue;
+    }
+
+    // Redirections, optionally prefixed by a file descriptor number ("2>")
+    var redir = command.slice(i).match(/^(&>>|&>|>>|>\||>&|>|<<<|<<-|<<|<&|<>|<)/);
+    if (redir && !(word && !/^\d+$/.test(word.value))) {
+      var fd = null;
+      if (word && /^\d+$/.test(word.value) && !word.quoted) {
+        fd = word.value;
+        word = null;
+      } else {
+        endWord();
+      }
+      tokens.push({ type: 'redirect', value: redir[1], fd: fd });
+      i += redir[1].length;
+      if (redir[1] === '<<' || redir[1] === '<<-') {
+        // Capture heredoc delimiter so its body is not parsed as commands
+        var rest = command.slice(i).match(/^\s*(['"]?)([^\s'";|&<>()]+)\1/);
+        if (rest) {
+          pendingHeredocs.push({ delimiter: rest[2], stripTabs: redir[1] === '<<-' });
+          tokens.push({ type: 'word', value: rest[2], glob: false, dynamic: false, quoted: true });
+          i += rest[0].length;
+        }
+      }
+      continue;
+    }
+    if (redir) {
+      // ">" glued to a word ("echo hi>out") ends the word
+      endWord();
+      continue;
+    }
+
+    // Control operators
+    var op = command.slice(i).match(/^(&&|\|\||;;|\|&|[;&|(){}])/);
+    if (op && (op[1] !== '{' && op[1] !== '}' || !word)) {
+      endWord();
+      tokens.push({ type: 'op', value: op[1] });
+      i += op[1].length;
+      continue;
+    }
+
+    // Plain characters
+    startWord();
+    if (c === '*' || c === '?' || c === '[') word.glob = true;
+    if (c === '~' && word.value === '' && !word.quoted) word.tilde = true;
+    word.value += c;
+    i++;
+  }
+  endWord();
+
+  return { tokens: tokens, substitutions: substitutions };
+}
+
+// Groups tokens into simple commands: { words: [...], redirects: [...] }
+function splitCommands(tokens) {
+  var commands = [];
+  var current = { words: [], redirects: [] };
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (t.type === 'op') {
+      if (current.words.length || current.redirects.length) commands.push(current);
+      current = { words: [], redirects: [] };
+      continue;
+    }
+    if (t.type === 'redirect') {
+      var target = tokens[i + 1] && tokens[i + 1].type === 'word' ? tokens[i + 1] : null;
+      if (target) i++;
+      current.redirects.push({ op: t.value, fd: t.fd, target: target });
+      continue;
+    }
+    current.words.push(t);
+  }
+  if (current.words.length || current.redirects.length) commands.push(current);
+  return commands;
+}
+
+// ============================================================
+// PATH RESOLUTION
+// ============================================================
+
+function expandTilde(word) {
+  if (!word.tilde) return word.value;
+  if (word.value === '~') return os.homedir();
+  if (word.value.startsWith('~/')) return path.join(os.homedir(), word.value.slice(2));
+  return word.value;
+}
+
+function globSegmentToRegex(segment) {
+  var regex = segment
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp('^' + regex + '$');
+}
+
+// Expands unquoted glob characters against the filesystem (like the shell would)
+function expandGlob(absolutePattern) {
+  var parts = absolutePattern.split('/');
+  var results = [parts[0] === '' ? '/' : parts[0]];
+  for (var i = 1; i < parts.length; i++) {
+    var seg = parts[i];
+    if (seg === '') continue;
+    var next = [];
+    for (var r = 0; r < results.length; r++) {
+      if (!/[*?[]/.test(seg)) {
+        next.push(path.join(results[r], seg));
+        continue;
+      }
+      var re = globSegmentToRegex(seg);
+      var entries;
+      try { entries = fsSync.readdirSync(results[r]); } catch (e) { continue; }
+      for (var e2 = 0; e2 < entries.length; e2++) {
+        if (entries[e2].startsWith('.') && !seg.startsWith('.')) continue;
+        if (re.test(entries[e2])) next.push(path.join(results[r], entries[e2]));
+      }
+    }
+    results = next;
+    if (results.length > MAX_DIR_FILES) {
+      truncatedExpansions.push(absolutePattern);
+      break;
+    }
+  }
+  return results;
+}
+
+// Records a target that depends on an UNKNOWN value, shown with * for it
+function addUnresolved(shown, operation) {
+  unresolvedTargets.push({ path: shown.split(UNKNOWN).join('*'), operation: operation || 'write' });
+}
+
+// Whether a value (relative to cwd) depends on something only known at run time
+function isUnknown(value, cwd) {
+  return value.indexOf(UNKNOWN) !== -1 || (!path.isAbsolute(value) && cwd.indexOf(UNKNOWN) !== -1);
+}
+
+// Paths a word names, with globs expanded. Unknown ones are recorded, not returned.
+function resolveWord(word, cwd) {
+  if (!word) return [];
+  var value = expandTilde(word);
+  if (value === '' || value === '-') return [];
+  if (isUnknown(value, cwd)) {
+    // Not normalized: "$(x)/../.env" must not collapse to ".env"
+    addUnresolved(path.isAbsolute(value) || value[0] === UNKNOWN ? value : cwd + '/' + value);
+    return [];
+  }
+  var absolute = path.isAbsolute(value) ? path.normalize(value) : path.join(cwd, value);
+  if (word.glob) {
+    var expanded = expandGlob(absolute);
+    return expanded.length > 0 ? expanded : [absolute];
+  }
+  return [absolute];
+}
+
+// Directory for cd / git -C, or UNKNOWN
+function resolveDirectory(word, cwd) {
+  var value = expandTilde(word);
+  if (value === '-' || isUnknown(value, cwd)) return UNKNOWN;
+  return path.resolve(cwd, value);
+}
+
+function isDirectory(p) {
+  try { return fsSync.statSync(p).isDirectory(); } catch (e) { return false; }
+}
+
+function isFile(p) {
+  try { return fsSync.statSync(p).isFile(); } catch (e) { return false; }
+}
+
+// Lists files under a directory (bounded) so "rm -rf .credentials" is matched
+// against file-level patterns like ".credentials/**"
+function listFiles(dir) {
+  var files = [];
+  var stack = [dir];
+  while (stack.length > 0 && files.length < MAX_DIR_FILES) {
+    var current = stack.pop();
+    var entries;
+    try { entries = fsSync.readdirSync(current, { withFileTypes: true }); } catch (e) { continue; }
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i].name === '.git') continue;
+      var full = path.join(current, entries[i].name);
+      if (entries[i].isDirectory()) stack.push(full);
+      else files.push(full);
+    }
+  }
+  if (files.length >= MAX_DIR_FILES) truncatedExpansions.push(dir);
+  return files;
+}
+
+// ============================================================
+// COMMAND ANALYZERS
+// ============================================================
+
+function addTarget(targets, absolutePath, operation, opts) {
+  opts = opts || {};
+  if (absolutePath.indexOf(UNKNOWN) !== -1) {
+    addUnresolved(absolutePath, operation);
+    return;
+  }
+  if (absolutePath.startsWith('/dev/') || absolutePath === '/dev') return;
+  if (opts.recursive !== false && isDirectory(absolutePath)) {
+    var files = opts.listFiles ? opts.listFiles(absolutePath) : listFiles(absolutePath);
+    for (var i = 0; i < files.length; i++) {
+      targets.push({ path: files[i], operation: operation, append: !!opts.append, writesContent: !!opts.writesContent });
+    }
+    return;
+  }
+  targets.push({ path: absolutePath, operation: operation, append: !!opts.append, writesContent: !!opts.writesContent });
+}
+
+// Separates option flags from positional arguments. `withValue` lists options
+// that consume the following word (e.g. sed -e SCRIPT).
+function parseArgs(words, withValue) {
+  var options = [];
+  var positionals = [];
+  var endOfOptions = false;
+  for (var i = 0; i < words.length; i++) {
+    var w = words[i];
+    if (!endOfOptions && w.value === '--' && !w.quoted) { endOfOptions = true; continue; }
+    if (!endOfOptions && w.value.length > 1 && w.value[0] === '-' && !w.quoted) {
+      var opt = { name: w.value, value: null };
+      var eq = w.value.indexOf('=');
+      if (w.value.startsWith('--') && eq !== -1) {
+        opt.name = w.value.slice(0, eq);
+        opt.value = w.value.slice(eq + 1);
+      } else if (withValue && withValue.indexOf(w.value) !== -1 && i + 1 < words.length) {
+        opt.value = words[i + 1].value;
+        opt.valueWord = words[i + 1];
+        i++;
+      }
+      options.push(opt);
+      continue;
+    }
+    positionals.push(w);
+  }
+  return { options: options, positionals: positionals };
+}
+
+function hasOption(parsed, shortFlag, longFlag) {
+  for (var i = 0; i < parsed.options.length; i++) {
+    var o = parsed.options[i].name;
+    if (longFlag && o === longFlag) return true;
+    if (shortFlag && /^-[^-]/.test(o) && o.indexOf(shortFlag) !== -1) return true;
+  }
+  return false;
+}
+
+function analyzeSed(args, cwd, targets) {
+  // -i may carry a suffix (-i.bak, -i''); bundled flags like -ni also count
+  var inPlace = false;
+  var hasScriptOption = false;
+  for (var i = 0; i < args.length; i++) {
+    var w = args[i];
+    if (w.quoted) continue;
+    if (w.value === '--in-place' || w.value.startsWith('--in-place=')) inPlace = true;
+    else if (/^-[a-zA-Z]*i/.test(w.value) && !w.value.startsWith('--')) inPlace = true;
+    if (w.value === '-e' || w.value === '-f' || w.value.startsWith('--expression') || w.value.startsWith('--file')) hasScriptOption = true;
+  }
+  if (!inPlace) return;
+  var parsed = parseArgs(args, ['-e', '-f', '--expression', '--file', '-l', '--line-length']);
+  var files = hasScriptOption ? parsed.positionals : parsed.positionals.slice(1);
+  for (var f = 0; f < files.length; f++) {
+    var resolved = resolveWord(files[f], cwd);
+    for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'sed -i', { recursive: false });
+  }
+}
+
+function analyzePerl(args, cwd, targets) {
+  var inPlace = args.some(function(w) { return !w.quoted && /^-[a-zA-Z]*i/.test(w.value) && !w.value.startsWith('--'); });
+  if (!inPlace) return;
+  var parsed = parseArgs(args, ['-e', '-E', '-M', '-I']);
+  var hasScript = parsed.options.some(function(o) { return /^-[a-zA-Z]*[eE]$/.test(o.name); });
+  var files = hasScript ? parsed.positionals : parsed.positionals.slice(1);
+  for (var f = 0; f < files.length; f++) {
+    var resolved = resolveWord(files[f], cwd);
+    for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'perl -i', { recursive: false });
+  }
+}
+
+function analyzeTee(args, cwd, targets) {
+  var parsed = parseArgs(args);
+  var append = hasOption(parsed, 'a', '--append');
+  for (var f = 0; f < parsed.positionals.length; f++) {
+    var resolved = resolveWord(parsed.positionals[f], cwd);
+    for (var r = 0; r < resolved.length; r++) {
+      addTarget(targets, resolved[r], append ? 'tee -a' : 'tee', { append: append, writesContent: true, recursive: false });
+    }
+  }
+}
+
+function analyzeCopyMove(name, args, cwd, targets) {
+  var parsed = parseArgs(args, ['-t', '--target-directory', '-S', '--suffix']);
+  var targetDir = null;
+  for (var o = 0; o < parsed.options.length; o++) {
+    if (parsed.options[o].name === '-t' || parsed.options[o].name === '--target-directory') {
+      targetDir = parsed.options[o].valueWord ? resolveWord(parsed.options[o].valueWord, cwd)[0] : path.resolve(cwd, parsed.options[o].value || '');
+    }
+  }
+  var sources = parsed.positionals.slice();
+  var dest = null;
+  if (!targetDir) {
+    if (sources.length < 2) return;
+    var destWord = sources.pop();
+    dest = resolveWord(destWord, cwd)[0];
+    if (!dest) {
+      // Destination not known (recorded as unresolved); a move still removes its sources
+      if (name === 'mv') {
+        sources.forEach(function(w) {
+          resolveWord(w, cwd).forEach(function(src) { addTarget(targets, src, 'mv (source)'); });
+        });
+      }
+      return;
+    }
+    if (isDirectory(dest) || sources.length > 1) targetDir = dest;
+  }
+
+  for (var s = 0; s < sources.length; s++) {
+    var resolvedSources = resolveWord(sources[s], cwd);
+    for (var r = 0; r < resolvedSources.length; r++) {
+      var src = resolvedSources[r];
+      if (name === 'mv') addTarget(targets, src, 'mv (source)');
+      var destPath = targetDir ? path.join(targetDir, path.basename(src)) : dest;
+      if (isDirectory(src)) {
+        // Directory copy/move: map every file under src onto the destination tree
+        var files = listFiles(src);
+        for (var f = 0; f < files.length; f++) {
+          addTarget(targets, path.join(destPath, path.relative(src, files[f])), name, { recursive: false });
+        }
+        // Moving/copying onto an existing directory target overwrites its files too
+        if (!targetDir && isDirectory(dest)) addTarget(targets, dest, name);
+      } else {
+        addTarget(targets, destPath, name);
+      }
+    }
+  }
+}
+
+function analyzeRemove(args, cwd, targets) {
+  var parsed = parseArgs(args);
+  for (var f = 0; f < parsed.positionals.length; f++) {
+    var resolved = resolveWord(parsed.positionals[f], cwd);
+    for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'rm');
+  }
+}
+
+function analyzeTruncate(args, cwd, targets) {
+  var parsed = parseArgs(args, ['-s', '--size', '-r', '--reference']);
+  for (var f = 0; f < parsed.positionals.length; f++) {
+    var resolved = resolveWord(parsed.positionals[f], cwd);
+    for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'truncate', { recursive: false });
+  }
+}
+
+function analyzeDd(args, cwd, targets) {
+  for (var i = 0; i < args.length; i++) {
+    if (args[i].value.startsWith('of=')) {
+      var word = Object.assign({}, args[i], { value: args[i].value.slice(3) });
+      var resolved = resolveWord(word, cwd);
+      for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'dd', { recursive: false });
+    }
+  }
+}
+
+// Limits directory expansion for git to files git would actually touch
+function gitModifiedFiles(dir, cwd) {
+  try {
+    var out = childProcess.execFileSync('git', ['ls-files', '-m', '-z', '--', dir], {
+      cwd: cwd, encoding: 'utf8', timeout: 2000, stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    return out.split('\0').filter(Boolean).map(function(f) { return path.join(cwd, f); });
+  } catch (e) {
+    return listFiles(dir);
+  }
+}
+
+function analyzeGit(args, cwd, targets) {
+  // Skip global options (git -C dir, -c key=val, --no-pager ...)
+  var i = 0;
+  var gitCwd = cwd;
+  while (i < args.length && args[i].value.startsWith('-')) {
+    if ((args[i].value === '-C' || args[i].value === '-c') && i + 1 < args.length) {
+      if (args[i].value === '-C') gitCwd = resolveDirectory(args[i + 1], cwd);
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+  var sub = args[i] ? args[i].value : '';
+  var rest = args.slice(i + 1);
+  var files = [];
+  var opts = { listFiles: function(dir) { return gitModifiedFiles(dir, gitCwd); } };
+
+  if (sub === 'checkout') {
+    var dashIdx = rest.findIndex(function(w) { return w.value === '--' && !w.quoted; });
+    if (dashIdx !== -1) {
+      files = rest.slice(dashIdx + 1);
+    } else {
+      // "git checkout <path>" without "--": only treat existing files and
+      // directories as paths (the rest are branches); unknown words may be either
+      files = rest.filter(function(w) {
+        if (w.value.startsWith('-')) return false;
+        var value = expandTilde(w);
+        if (isUnknown(value, gitCwd)) return true;
+        var resolved = path.resolve(gitCwd, value);
+        return isFile(resolved) || isDirectory(resolved);
+      });
+    }
+  } else if (sub === 'restore') {
+    var parsed = parseArgs(rest, ['-s', '--source']);
+    var stagedOnly = hasOption(parsed, 'S', '--staged') && !hasOption(parsed, 'W', '--worktree');
+    if (!stagedOnly) files = parsed.positionals;
+  } else {
+    return;
+  }
+
+  for (var f = 0; f < files.length; f++) {
+    var resolved = resolveWord(files[f], gitCwd);
+    for (var r = 0; r < resolved.length; r++) addTarget(targets, resolved[r], 'git ' + sub, opts);
+  }
+}
+
+// Strips env assignments and wrapper commands (sudo, env, nohup, ...)
+function unwrapCommand(words) {
+  var i = 0;
+  while (i < words.length) {
+    var w = words[i];
+    if (/^[A-Za-z_]\w*=/.test(w.value) || (RESERVED_WORDS.has(w.value) && !w.quoted)) { i++; continue; }
+    var name = path.basename(w.value);
+    if (!PREFIX_COMMANDS.has(name)) break;
+    i++;
+    // Skip wrapper options and their values
+    while (i < words.length && words[i].value.startsWith('-')) {
+      var opt = words[i].value;
+      i++;
+      if ((name === 'sudo' && /^-[ugCDhpRrT]$/.test(opt)) || (name === 'nice' && opt === '-n') ||
+          (name === 'env' && /^-[uSC]$/.test(opt))) i++;
+    }
+    if (name === 'timeout' && i < words.length) i++;
+  }
+  return words.slice(i);
+}
+
+// The word with $VAR, ${VAR} and $(...) substituted (see substituteVariables)
+function substituteWord(word, vars) {
+  if (!word || !word.dynamic) return word;
+  return Object.assign({}, word, { value: substituteVariables(word.value, vars, UNKNOWN), dynamic: false });
+}
+
+// Records NAME=value assignments (leading ones, or export/declare arguments)
+function assignVariables(words, vars) {
+  for (var i = 0; i < words.length; i++) {
+    var m = /^([A-Za-z_]\w*)=([\s\S]*)$/.exec(words[i].value);
+    if (m) vars[m[1]] = m[2];
+  }
+}
+
+// Runs a script given as a word (bash -c, eval), unless it is only known at run time
+function analyzeScriptWord(word, name, state, targets, depth) {
+  if (word.value.indexOf(UNKNOWN) !== -1) {
+    addUnresolved(word.value, name + ' (script)');
+    return;
+  }
+  analyzeScript(word.value, { cwd: state.cwd, vars: Object.assign({}, state.vars) }, targets, depth + 1);
+}
+
+function analyzeSimpleCommand(cmd, state, targets, depth) {
+  var vars = state.vars;
+  var words = cmd.words.map(function(w) { return substituteWord(w, vars); });
+  var lead = 0;
+  while (lead < words.length && /^[A-Za-z_]\w*=/.test(words[lead].value)) lead++;
+  assignVariables(words.slice(0, lead), vars);
+
+  // Redirections first: they apply regardless of the command
+  for (var r = 0; r < cmd.redirects.length; r++) {
+    var redir = cmd.redirects[r];
+    var op = redir.op;
+    if (op !== '>' && op !== '>>' && op !== '>|' && op !== '&>' && op !== '&>>' && op !== '<>') continue;
+    if (!redir.target) continue;
+    var target = substituteWord(redir.target, vars);
+    // "2>&1" style duplications target descriptors, not files
+    if (target.value.startsWith('&') || /^\d+$/.test(target.value) && op === '>&') continue;
+    var resolved = resolveWord(target, state.cwd);
+    var append = op === '>>' || op === '&>>';
+    for (var t = 0; t < resolved.length; t++) {
+      addTarget(targets, resolved[t], append ? 'append (>>)' : 'redirect (>)', { append: append, writesContent: true, recursive: false });
+    }
+  }
+
+  words = unwrapCommand(words);
+  if (words.length === 0) return;
+  var name = path.basename(words[0].value);
+  var args = words.slice(1);
+
+  if (DECLARE_COMMANDS.has(name)) {
+    assignVariables(args, vars);
+    return;
+  }
+  switch (name) {
+    case 'cd':
+      state.cwd = args.length > 0 ? resolveDirectory(args[0], state.cwd) : os.homedir();
+      vars.PWD = state.cwd;
+      break;
+    case 'for':
+    case 'select':
+      if (args.length > 0) vars[args[0].value] = UNKNOWN;
+      break;
+    case 'read':
+    case 'mapfile':
+    case 'readarray':
+      args.forEach(function(w) { if (/^[A-Za-z_]\w*$/.test(w.value)) vars[w.value] = UNKNOWN; });
+      break;
+    case 'eval':
+      if (args.length > 0) {
+        analyzeScriptWord({ value: args.map(function(w) { return w.value; }).join(' ') }, name, state, targets, depth);
+      }
+      break;
+    case 'sed': analyzeSed(args, state.cwd, targets); break;
+    case 'perl': analyzePerl(args, state.cwd, targets); break;
+    case 'tee': analyzeTee(args, state.cwd, targets); break;
+    case 'cp':
+    case 'mv': analyzeCopyMove(name, args, state.cwd, targets); break;
+    case 'rm':
+    case 'unlink':
+    case 'shred': analyzeRemove(args, state.cwd, targets); break;
+    case 'truncate': analyzeTruncate(args, state.cwd, targets); break;
+    case 'dd': analyzeDd(args, state.cwd, targets); break;
+    case 'git': analyzeGit(args, state.cwd, targets); break;
+    default:
+      if (SHELLS.has(name)) {
+        var cIdx = args.findIndex(function(w) { return !w.quoted && /^-[a-z]*c$/.test(w.value); });
+        if (cIdx !== -1 && args[cIdx + 1]) analyzeScriptWord(args[cIdx + 1], name + ' -c', state, targets, depth);
+      }
+  }
+}
+
+function analyzeScript(command, state, targets, depth) {
+  if (depth > 4) return;
+  var tokenized = tokenize(command);
+  var commands = splitCommands(tokenized.tokens);
+  for (var s = 0; s < tokenized.substitutions.length; s++) {
+    analyzeScript(tokenized.substitutions[s], { cwd: state.cwd, vars: Object.assign({}, state.vars) }, targets, depth + 1);
+  }
+  for (var c = 0; c < commands.length; c++) {
+    analyzeSimpleCommand(commands[c], state, targets, depth);
+  }
+}
+
+// ============================================================
+// PATH MENTIONS
+// ============================================================
+
+// $NAME and ${NAME} from earlier assignments in the command or the
+// environment; anything else ($(...), unknown variables, $1, $@) becomes
+// `unknown` (a * glob unless given)
+function substituteVariables(value, vars, unknown) {
+  if (unknown === undefined) unknown = '*';
+  var substituted = value
+    .replace(/\$\((?:[^()]|\([^()]*\))*\)|`[^`]*`/g, unknown)
+    .replace(/\$\{([A-Za-z_]\w*)[^}]*\}|\$([A-Za-z_]\w*)|\$\{[^}]*\}|\$[0-9?#@*$!-]/g, function(all, braced, plain) {
+      var name = braced || plain;
+      if (!name) return unknown;
+      if (Object.prototype.hasOwnProperty.call(vars, name)) return vars[name];
+      return process.env[name] !== undefined ? process.env[name] : unknown;
+    });
+  // Substitutions nested deeper than the pattern above
+  return /\$\(|`/.test(substituted) ? unknown : substituted;
+}
+
+function mentionedIn(command, cwd, vars, out, depth) {
+  if (depth > 4) return;
+  var tokenized = tokenize(command);
+  tokenized.substitutions.forEach(function(sub) { mentionedIn(sub, cwd, vars, out, depth + 1); });
+  tokenized.tokens.forEach(function(token) {
+    if (token.type !== 'word') return;
+    var value = token.value;
+    var assignment = !token.quoted || token.dynamic ? /^([A-Za-z_]\w*)=(.*)$/.exec(value) : null;
+    if (assignment) value = assignment[2];
+    value = substituteVariables(value, vars);
+    if (assignment) vars[assignment[1]] = value;
+    // Quoted arguments may be scripts of their own (bash -c, node -e, xargs sh -c)
+    if (token.quoted && /\s/.test(token.value)) mentionedIn(token.value, cwd, vars, out, depth + 1);
+    if (value === '' || /\s/.test(value)) return;
+    if (value === '~' || value.startsWith('~/')) value = path.join(os.homedir(), value.slice(1));
+    var absolute = path.isAbsolute(value) ? path.normalize(value) : path.join(cwd, value);
+    if (/[*?[]/.test(value)) expandGlob(absolute).forEach(function(p) { out.push(p); });
+    out.push(absolute);
+  });
+}
+
+/**
+ * Every path a command mentions, spelled however the shell would resolve it:
+ * variables assigned earlier in the command and environment variables are
+ * substituted, unknown ones become globs, and ~ and globs are expanded. Used
+ * to spot reads of guard state, which no write analysis would see.
+ *
+ * @param {string} command
+ * @param {string} cwd
+ * @returns {string[]} Absolute paths (unresolved globs included as written)
+ */
+function mentionedPaths(command, cwd) {
+  var out = [];
+  if (typeof command !== 'string' || command.trim() === '') return out;
+  var saved = truncatedExpansions;
+  mentionedIn(command, cwd, {}, out, 0);
+  truncatedExpansions = saved;
+  return out.filter(function(p, i) { return out.indexOf(p) === i; });
+}
+
+/**
+ * Returns the files a shell command would modify.
+ *
+ * @param {string} command - The Bash tool's `command` input
+ * @param {string} cwd - Directory the command runs in
+ * @returns {Array<{path: string, operation: string, append: boolean, writesContent: boolean, incomplete: (boolean|undefined), unresolved: (boolean|undefined)}>}
+ *   Absolute paths, deduplicated by path + operation. `incomplete` targets are
+ *   directories or globs with more files than were listed. `unresolved`
+ *   targets depend on a run-time value, shown as * in `path`, which is
+ *   relative when not even its start is known
+ */
+function analyzeShellCommand(command, cwd) {
+  var targets = [];
+  if (typeof command !== 'string' || command.trim() === '') return targets;
+  truncatedExpansions = [];
+  unresolvedTargets = [];
+  analyzeScript(command, { cwd: cwd, vars: { PWD: cwd } }, targets, 0);
+  truncatedExpansions.forEach(function(p) {
+    targets.push({ path: p, operation: 'expand', append: false, writesContent: false, incomplete: true });
+  });
+  unresolvedTargets.forEach(function(u) {
+    targets.push({ path: u.path, operation: u.operation, append: false, writesContent: false, unresolved: true });
+  });
+
+  var seen = {};
+  return targets.filter(function(t) {
+    var key = t.path + '\0' + t.operation;
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+module.exports = {
+  MAX_DIR_FILES: MAX_DIR_FILES,
+  analyzeShellCommand: analyzeShellCommand,
+  mentionedPaths: mentionedPaths,
+  tokenize: tokenize,
+};
@@ -0,0 +1,242 @@
+/**
+ * Document Guard - Structured Data Helpers
+ *
+ * Parses JSON/YAML/TOML documents by file extension and compares them by
+ * dotted key path (e.g. "permissions.deny", "hooks.PreToolUse"). Used by the
+ * key_deletion_protection check.
+ *
+ * Key paths only descend into objects; array elements are values, compared
+ * via lockedValues rather than treated as keys.
+ */
+
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { parseToml } = require('./toml');
+
+const FORMATS = {
+  '.json': 'json',
+  '.jsonc': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+};
+
+function detectFormat(filePath) {
+  var ext = path.extname(filePath || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(FORMATS, ext) ? FORMATS[ext] : null;
+}
+
+// JSON parse errors only report an offset; convert it to line/column
+function jsonErrorLocation(text, err) {
+  var m = String(err.message).match(/position (\d+)/);
+  var lc = String(err.message).match(/line (\d+) column (\d+)/);
+  if (lc) return { line: Number(lc[1]), column: Number(lc[2]) };
+  if (!m) return { line: null, column: null };
+  var offset = Number(m[1]);
+  var before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+// Removes // and /* */ comments and trailing commas (JSONC) outside strings
+function stripJsonComments(text) {
+  var out = '';
+  var inString = false;
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (inString) {
+      out += c;
+      if (c === '\\') { out += text[i + 1] || ''; i++; }
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') { inString = true; out += c; continue; }
+    if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') { out += ' '; i++; }
+      out += text[i] || '';
+      continue;
+    }
+    if (c === '/' && text[i + 1] === '*') {
+      var end = text.indexOf('*/', i + 2);
+      if (end === -1) end = text.length;
+      // Keep newlines so error positions stay meaningful
+      out += text.slice(i, end + 2).replace(/[^\n]/g, ' ');
+      i = end + 1;
+      continue;
+    }
+    out += c;
+  }
+  return out.replace(/,(\s*[}\]])/g, ' $1');
+}
+
+/**
+ * Parses text in the given format.
+ *
+ * @param {string} text
+ * @param {'json'|'yaml'|'toml'} format
+ * @returns {*} Parsed value
+ * @throws {Error} With `line`/`column` properties when known
+ */
+function parseStructured(text, format) {
+  if (format === 'json') {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // Tolerate JSONC (comments/trailing commas) before reporting
+      try { return JSON.parse(stripJsonComments(text)); } catch (e) { /* report original */ }
+      var loc = jsonErrorLocation(text, err);
+      var jsonErr = new Error(err.message);
+      jsonErr.reason = err.message.replace(/ in JSON at position \d+.*$/, '');
+      jsonErr.line = loc.line;
+      jsonErr.column = loc.column;
+      throw jsonErr;
+    }
+  }
+  if (format === 'yaml') return parseYaml(text);
+  if (format === 'toml') return parseToml(text);
+  throw new Error('Unsupported format: ' + format);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Lists every object key path in a document ("a", "a.b", "a.b.c", ...).
+ */
+function collectKeyPaths(value, prefix, out) {
+  out = out || [];
+  if (!isPlainObject(value)) return out;
+  for (var key in value) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+    var p = prefix ? prefix + '.' + key : key;
+    out.push(p);
+    collectKeyPaths(value[key], p, out);
+  }
+  return out;
+}
+
+// "hooks.*" matches "hooks.PreToolUse"; "*" matches exactly one segment
+function keyPathMatches(pattern, keyPath) {
+  var ps = pattern.split('.');
+  var ks = keyPath.split('.');
+  if (ps.length !== ks.length) return false;
+  for (var i = 0; i < ps.length; i++) {
+    if (ps[i] !== '*' && ps[i] !== ks[i]) return false;
+  }
+  return true;
+}
+
+function hasKeyPath(value, keyPath) {
+  var parts = keyPath.split('.');
+  var cur = value;
+  for (var i = 0; i < parts.length; i++) {
+    if (!isPlainObject(cur) || !Object.prototype.hasOwnProperty.call(cur, parts[i])) return false;
+    cur = cur[parts[i]];
+  }
+  return true;
+}
+
+function getKeyPath(value, keyPath) {
+  var parts = keyPath.split('.');
+  var cur = value;
+  for (var i = 0; i < parts.length; i++) {
+    if (!isPlainObject(cur) || !Object.prototype.hasOwnProperty.call(cur, parts[i])) return undefined;
+    cur = cur[parts[i]];
+  }
+  return cur;
+}
+
+// Expands a (possibly wildcarded) key path against a document
+function expandKeyPath(value, pattern) {
+  if (pattern.indexOf('*') === -1) return hasKeyPath(value, pattern) ? [pattern] : [];
+  return collectKeyPaths(value).filter(function(p) { return keyPathMatches(pattern, p); });
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+  if (isPlainObject(value)) {
+    return '{' + Object.keys(value).sort().map(function(k) {
+      return JSON.stringify(k) + ':' + stableStringify(value[k]);
+    }).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function deepEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function preview(value) {
+  var s = typeof value === 'string' ? value : stableStringify(value);
+  if (s === undefined) s = String(value);
+  return s.length > 60 ? s.slice(0, 57) + '...' : s;
+}
+
+/**
+ * Compares a locked value between documents.
+ *
+ * Modes:
+ *   no_removals  (default) array entries and object keys may be added, not
+ *                removed; scalars may not change
+ *   no_additions array entries and object keys may be removed, not added
+ *                (e.g. an allow list); scalars may not change
+ *   exact        value must be identical
+ *
+ * @returns {string[]} Human-readable problems (empty when compliant)
+ */
+function compareLockedValue(keyPath, before, after, mode) {
+  mode = mode || 'no_removals';
+  var problems = [];
+  if (after === undefined) {
+    problems.push("'" + keyPath + "' would be removed");
+    return problems;
+  }
+  if (mode === 'exact') {
+    if (!deepEqual(before, after)) problems.push("'" + keyPath + "' changed: " + preview(before) + ' -> ' + preview(after));
+    return problems;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    var beforeSet = before.map(stableStringify);
+    var afterSet = after.map(stableStringify);
+    var diff = mode === 'no_additions'
+      ? after.filter(function(v, i) { return beforeSet.indexOf(afterSet[i]) === -1; })
+      : before.filter(function(v, i) { return afterSet.indexOf(beforeSet[i]) === -1; });
+    for (var d = 0; d < diff.length; d++) {
+      problems.push("'" + keyPath + "' would " + (mode === 'no_additions' ? 'gain' : 'lose') + ' entry ' + preview(diff[d]));
+    }
+    return problems;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    var keys = mode === 'no_additions' ? Object.keys(after) : Object.keys(before);
+    for (var k = 0; k < keys.length; k++) {
+      var childPath = keyPath + '.' + keys[k];
+      if (mode === 'no_additions' && !Object.prototype.hasOwnProperty.call(before, keys[k])) {
+        problems.push("'" + childPath + "' would be added");
+        continue;
+      }
+      var childAfter = Object.prototype.hasOwnProperty.call(after, keys[k]) ? after[keys[k]] : undefined;
+      problems = problems.concat(compareLockedValue(childPath, before[keys[k]], childAfter, mode));
+    }
+    return problems;
+  }
+
+  if (!deepEqual(before, after)) problems.push("'" + keyPath + "' changed: " + preview(before) + ' -> ' + preview(after));
+  return problems;
+}
+
+module.exports = {
+  detectFormat: detectFormat,
+  parseStructured: parseStructured,
+  jsonErrorLocation: jsonErrorLocation,
+  collectKeyPaths: collectKeyPaths,
+  keyPathMatches: keyPathMatches,
+  expandKeyPath: expandKeyPath,
+  getKeyPath: getKeyPath,
+  hasKeyPath: hasKeyPath,
+  compareLockedValue: compareLockedValue,
+  deepEqual: deepEqual,
+  isPlainObject: isPlainObject,
+  preview: preview,
+};
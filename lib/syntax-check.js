@@ -0,0 +1,171 @@
+/**
+ * Document Guard - Syntax Validation
+ *
+ * Parses a document with a parser chosen by file extension (or shebang) and
+ * reports the first syntax error with its line and column. Used by the
+ * syntax_valid check.
+ *
+ *   json    .json               strict JSON (no comments or trailing commas)
+ *   jsonc   .jsonc              JSON with comments and trailing commas
+ *   yaml    .yaml .yml          every document of the stream
+ *   toml    .toml
+ *   js      .js .cjs            compiled as a CommonJS module body, never run
+ *   esm     .mjs                checked with `node --check`
+ *   shell   .sh .bash, or a #!/bin/sh or bash shebang: `bash -n`
+ *
+ * Checks that need an external program return null when it isn't installed.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { parseYamlAll } = require('./yaml');
+const { parseToml } = require('./toml');
+const { jsonErrorLocation, parseStructured } = require('./structured-data');
+
+const SYNTAXES = ['json', 'jsonc', 'yaml', 'toml', 'js', 'esm', 'shell'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.jsonc': 'jsonc',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.js': 'js',
+  '.cjs': 'js',
+  '.mjs': 'esm',
+  '.sh': 'shell',
+  '.bash': 'shell',
+};
+
+const PROCESS_TIMEOUT_MS = 5000;
+
+// CommonJS parse errors that mean the file is an ES module
+const ESM_SYNTAX = /Cannot use import statement outside a module|Unexpected token 'export'|Cannot use 'import\.meta' outside a module/;
+
+/**
+ * @param {string} filePath
+ * @param {string} [text] - Content, for shebang detection of extensionless scripts
+ * @returns {string|null} One of SYNTAXES, or null when the file type isn't supported
+ */
+function detectSyntax(filePath, text) {
+  var ext = path.extname(filePath || '').toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(EXTENSIONS, ext)) return EXTENSIONS[ext];
+  if (typeof text === 'string' && /^#!\s*\S*\/(?:env\s+)?(?:ba)?sh\b/.test(text)) return 'shell';
+  return null;
+}
+
+function syntaxError(message, line, column) {
+  return { message: message, line: line || null, column: column || null };
+}
+
+// V8 syntax errors put "file:line" first in the stack and a caret under the column
+function v8ErrorLocation(stack) {
+  var lines = String(stack).split('\n');
+  var where = /:(\d+)$/.exec(lines[0]);
+  var caret = lines[2] !== undefined ? lines[2].indexOf('^') : -1;
+  return { line: where ? Number(where[1]) : null, column: caret !== -1 ? caret + 1 : null };
+}
+
+function run(command, args, input) {
+  return new Promise(function(resolve) {
+    var child;
+    try {
+      child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'], timeout: PROCESS_TIMEOUT_MS });
+    } catch (err) {
+      resolve(null);
+      return;
+    }
+    var stderr = '';
+    child.stderr.on('data', function(chunk) { stderr += chunk; });
+    child.on('error', function() { resolve(null); });
+    child.on('close', function(code, signal) { resolve(signal ? null : { code: code, stderr: stderr }); });
+    child.stdin.on('error', function() {});
+    child.stdin.end(input);
+  });
+}
+
+async function checkShell(text) {
+  var result = await run('bash', ['-n'], text);
+  if (!result || result.code === 0) return null;
+  var first = result.stderr.split('\n').filter(Boolean)[0] || 'bash -n failed';
+  var m = /line (\d+): (.*)$/.exec(first);
+  return m ? syntaxError(m[2], Number(m[1]), null) : syntaxError(first.replace(/^bash: /, ''), null, null);
+}
+
+async function checkModule(text) {
+  var dir = await fs.mkdtemp(path.join(os.tmpdir(), 'document-guard-'));
+  var file = path.join(dir, 'check.mjs');
+  try {
+    await fs.writeFile(file, text);
+    var result = await run(process.execPath, ['--check', file], '');
+    if (!result || result.code === 0) return null;
+    var stderr = result.stderr.replace(/\r/g, '');
+    var message = /^SyntaxError: (.*)$/m.exec(stderr);
+    var loc = v8ErrorLocation(stderr);
+    return syntaxError(message ? message[1] : stderr.trim().split('\n').pop(), loc.line, loc.column);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function checkScript(text, filePath) {
+  try {
+    // Node skips a leading #! line; blank it so line numbers stay the same
+    vm.compileFunction(text.replace(/^#!.*/, ''), ['exports', 'require', 'module', '__filename', '__dirname'], { filename: filePath });
+    return null;
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    if (ESM_SYNTAX.test(err.message)) return 'esm';
+    var loc = v8ErrorLocation(err.stack);
+    return syntaxError(err.message, loc.line, loc.column);
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} syntax - One of SYNTAXES
+ * @param {string} [filePath] - Shown in JS error stacks only
+ * @returns {Promise<{message: string, line: (number|null), column: (number|null)}|null>}
+ *   The first syntax error, or null when the text parses (or can't be checked)
+ */
+async function checkSyntax(text, syntax, filePath) {
+  switch (syntax) {
+    case 'json':
+      try {
+        JSON.parse(text);
+        return null;
+      } catch (err) {
+        var loc = jsonErrorLocation(text, err);
+        return syntaxError(err.message.replace(/ in JSON at position \d+.*$/, ''), loc.line, loc.column);
+      }
+    case 'jsonc':
+    case 'yaml':
+    case 'toml':
+      try {
+        if (syntax === 'yaml') parseYamlAll(text);
+        else if (syntax === 'toml') parseToml(text);
+        else parseStructured(text, 'json');
+        return null;
+      } catch (err) {
+        return syntaxError(err.reason || err.message, err.line, err.column);
+      }
+    case 'js':
+      var result = checkScript(text, filePath || 'file.js');
+      return result === 'esm' ? checkModule(text) : result;
+    case 'esm':
+      return checkModule(text);
+    case 'shell':
+      return checkShell(text);
+    default:
+      throw new Error('Unsupported syntax: ' + syntax);
+  }
+}
+
+module.exports = {
+  SYNTAXES: SYNTAXES,
+  detectSyntax: detectSyntax,
+  checkSyntax: checkSyntax,
+};
@@ -0,0 +1,306 @@
+/**
+ * Document Guard - Minimal TOML Parser
+ *
+ * Dependency-free TOML 1.0 parser covering what config files use:
+ *   - [tables], [[arrays of tables]], bare/quoted/dotted keys
+ *   - Basic, literal and multi-line strings
+ *   - Integers (incl. hex/octal/binary and underscores), floats, booleans
+ *   - Date/time values (kept as strings)
+ *   - Arrays (multi-line, trailing commas) and inline tables
+ *
+ * Parse failures throw a TomlError carrying 1-based line and column.
+ */
+
+class TomlError extends Error {
+  constructor(message, line, column) {
+    super(message + ' (line ' + line + ', column ' + column + ')');
+    this.name = 'TomlError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+function parseToml(text) {
+  var src = String(text).replace(/\r\n/g, '\n');
+  var i = 0;
+  var root = {};
+  var current = root;
+  // Tables defined explicitly via [header], to reject duplicates
+  var definedTables = new Set();
+  // Inline tables and static arrays may not be extended later
+  var frozen = new WeakSet();
+
+  function location(offset) {
+    var before = src.slice(0, offset);
+    var line = before.split('\n').length;
+    var column = offset - before.lastIndexOf('\n');
+    return { line: line, column: column };
+  }
+  function fail(message, offset) {
+    var loc = location(offset === undefined ? i : offset);
+    throw new TomlError(message, loc.line, loc.column);
+  }
+
+  function skipWs() {
+    while (i < src.length && (src[i] === ' ' || src[i] === '\t')) i++;
+  }
+  function skipComment() {
+    if (src[i] === '#') {
+      while (i < src.length && src[i] !== '\n') i++;
+    }
+  }
+  // Whitespace, newlines and comments (inside arrays)
+  function skipAll() {
+    for (;;) {
+      skipWs();
+      if (src[i] === '#') { skipComment(); continue; }
+      if (src[i] === '\n') { i++; continue; }
+      break;
+    }
+  }
+  function expectLineEnd() {
+    skipWs();
+    skipComment();
+    if (i < src.length && src[i] !== '\n') fail('Expected end of line, found "' + src[i] + '"');
+    if (src[i] === '\n') i++;
+  }
+
+  function parseBasicString() {
+    var start = i;
+    i++;
+    var out = '';
+    while (i < src.length && src[i] !== '"') {
+      if (src[i] === '\n') fail('Unterminated string', start);
+      if (src[i] === '\\') {
+        out += parseEscape();
+        continue;
+      }
+      out += src[i++];
+    }
+    if (i >= src.length) fail('Unterminated string', start);
+    i++;
+    return out;
+  }
+  function parseEscape() {
+    var e = src[i + 1];
+    if (e === 'u' || e === 'U') {
+      var len = e === 'u' ? 4 : 8;
+      var hex = src.slice(i + 2, i + 2 + len);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) fail('Invalid unicode escape');
+      i += 2 + len;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (!Object.prototype.hasOwnProperty.call(ESCAPES, e)) fail('Invalid escape sequence "\\' + e + '"');
+    i += 2;
+    return ESCAPES[e];
+  }
+  function parseLiteralString() {
+    var start = i;
+    var end = src.indexOf('\'', i + 1);
+    var nl = src.indexOf('\n', i + 1);
+    if (end === -1 || (nl !== -1 && nl < end)) fail('Unterminated string', start);
+    i = end + 1;
+    return src.slice(start + 1, end);
+  }
+  function parseMultilineBasic() {
+    var start = i;
+    i += 3;
+    if (src[i] === '\n') i++;
+    var out = '';
+    for (;;) {
+      if (i >= src.length) fail('Unterminated multi-line string', start);
+      if (src.startsWith('"""', i)) {
+        // Up to two quotes may directly precede the closing delimiter
+        var extra = 0;
+        while (src[i + 3 + extra] === '"' && extra < 2) extra++;
+        out += '"'.repeat(extra);
+        i += 3 + extra;
+        return out;
+      }
+      if (src[i] === '\\') {
+        // Line-ending backslash trims following whitespace
+        var m = src.slice(i).match(/^\\[ \t]*\n[\s]*/);
+        if (m) { i += m[0].length; continue; }
+        out += parseEscape();
+        continue;
+      }
+      out += src[i++];
+    }
+  }
+  function parseMultilineLiteral() {
+    var start = i;
+    i += 3;
+    if (src[i] === '\n') i++;
+    var end = src.indexOf('\'\'\'', i);
+    if (end === -1) fail('Unterminated multi-line string', start);
+    var extra = 0;
+    while (src[end + 3 + extra] === '\'' && extra < 2) extra++;
+    var out = src.slice(i, end + extra);
+    i = end + 3 + extra;
+    return out;
+  }
+
+  function parseKeySegment() {
+    if (src[i] === '"') return parseBasicString();
+    if (src[i] === '\'') return parseLiteralString();
+    var start = i;
+    while (i < src.length && /[A-Za-z0-9_-]/.test(src[i])) i++;
+    if (i === start) fail('Invalid key');
+    return src.slice(start, i);
+  }
+  function parseKey() {
+    var parts = [];
+    for (;;) {
+      skipWs();
+      parts.push(parseKeySegment());
+      skipWs();
+      if (src[i] === '.') { i++; continue; }
+      return parts;
+    }
+  }
+
+  function parseNumberOrDate() {
+    var start = i;
+    while (i < src.length && /[0-9A-Za-z_:+\-.]/.test(src[i])) i++;
+    // Local date-time with a space separator ("1979-05-27 07:32:00")
+    if (/^\d{4}-\d{2}-\d{2}$/.test(src.slice(start, i)) && src[i] === ' ' && /^\d{2}:/.test(src.slice(i + 1, i + 4))) {
+      i++;
+      while (i < src.length && /[0-9:+\-.Zz]/.test(src[i])) i++;
+    }
+    var raw = src.slice(start, i);
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^[+-]?(?:inf|nan)$/.test(raw)) return raw.endsWith('inf') ? (raw[0] === '-' ? -Infinity : Infinity) : NaN;
+    if (/^\d{4}-\d{2}-\d{2}/.test(raw) || /^\d{2}:\d{2}:\d{2}/.test(raw)) return raw;
+    if (/_(?:_|$)|^_|[^0-9a-fA-F]_|_[^0-9a-fA-F]/.test(raw)) fail('Invalid underscore in number', start);
+    var clean = raw.replace(/_/g, '');
+    if (/^0x[0-9a-fA-F]+$/.test(clean)) return parseInt(clean.slice(2), 16);
+    if (/^0o[0-7]+$/.test(clean)) return parseInt(clean.slice(2), 8);
+    if (/^0b[01]+$/.test(clean)) return parseInt(clean.slice(2), 2);
+    if (/^[+-]?(?:0|[1-9]\d*)$/.test(clean)) return parseInt(clean, 10);
+    if (/^[+-]?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(clean)) return parseFloat(clean);
+    fail('Invalid value "' + raw + '"', start);
+  }
+
+  function parseArray() {
+    var out = [];
+    i++;
+    for (;;) {
+      skipAll();
+      if (src[i] === ']') { i++; frozen.add(out); return out; }
+      if (i >= src.length) fail('Unterminated array');
+      out.push(parseValue());
+      skipAll();
+      if (src[i] === ',') { i++; continue; }
+      if (src[i] === ']') { i++; frozen.add(out); return out; }
+      fail('Expected "," or "]" in array');
+    }
+  }
+  function parseInlineTable() {
+    var out = {};
+    i++;
+    skipWs();
+    if (src[i] === '}') { i++; frozen.add(out); return out; }
+    for (;;) {
+      skipWs();
+      var keyStart = i;
+      var key = parseKey();
+      if (src[i] !== '=') fail('Expected "=" after key');
+      i++;
+      skipWs();
+      assign(out, key, parseValue(), keyStart);
+      skipWs();
+      if (src[i] === ',') { i++; continue; }
+      if (src[i] === '}') { i++; frozen.add(out); return out; }
+      fail('Expected "," or "}" in inline table');
+    }
+  }
+
+  function parseValue() {
+    var c = src[i];
+    if (src.startsWith('"""', i)) return parseMultilineBasic();
+    if (src.startsWith('\'\'\'', i)) return parseMultilineLiteral();
+    if (c === '"') return parseBasicString();
+    if (c === '\'') return parseLiteralString();
+    if (c === '[') return parseArray();
+    if (c === '{') return parseInlineTable();
+    if (c === undefined || c === '\n' || c === '#') fail('Missing value');
+    return parseNumberOrDate();
+  }
+
+  function isTable(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  // Assigns a dotted key within `table`, creating intermediate tables
+  function assign(table, keyParts, value, offset) {
+    var t = table;
+    for (var k = 0; k < keyParts.length - 1; k++) {
+      var part = keyParts[k];
+      if (!Object.prototype.hasOwnProperty.call(t, part)) t[part] = {};
+      else if (!isTable(t[part]) || frozen.has(t[part])) fail('Cannot redefine key "' + keyParts.slice(0, k + 1).join('.') + '"', offset);
+      t = t[part];
+    }
+    var last = keyParts[keyParts.length - 1];
+    if (Object.prototype.hasOwnProperty.call(t, last)) fail('Duplicate key "' + keyParts.join('.') + '"', offset);
+    t[last] = value;
+  }
+
+  function openTable(keyParts, isArray, offset) {
+    var t = root;
+    for (var k = 0; k < keyParts.length; k++) {
+      var part = keyParts[k];
+      var isLast = k === keyParts.length - 1;
+      if (isLast && isArray) {
+        if (!Object.prototype.hasOwnProperty.call(t, part)) t[part] = [];
+        if (!Array.isArray(t[part]) || frozen.has(t[part])) fail('Cannot redefine "' + keyParts.join('.') + '" as an array of tables', offset);
+        var entry = {};
+        t[part].push(entry);
+        return entry;
+      }
+      if (!Object.prototype.hasOwnProperty.call(t, part)) t[part] = {};
+      var next = t[part];
+      // Descending through an array of tables targets its last element
+      if (Array.isArray(next) && !frozen.has(next)) next = next[next.length - 1];
+      if (!isTable(next) || frozen.has(next)) fail('Cannot redefine key "' + keyParts.slice(0, k + 1).join('.') + '"', offset);
+      t = next;
+    }
+    var id = keyParts.join('\u0000');
+    if (definedTables.has(id)) fail('Duplicate table [' + keyParts.join('.') + ']', offset);
+    definedTables.add(id);
+    return t;
+  }
+
+  while (i < src.length) {
+    skipWs();
+    if (src[i] === '\n') { i++; continue; }
+    if (src[i] === '#') { skipComment(); continue; }
+    if (i >= src.length) break;
+    var lineStart = i;
+    if (src[i] === '[') {
+      var isArray = src[i + 1] === '[';
+      i += isArray ? 2 : 1;
+      var header = parseKey();
+      if (isArray ? !src.startsWith(']]', i) : src[i] !== ']') fail('Expected "' + (isArray ? ']]' : ']') + '" to close table header');
+      i += isArray ? 2 : 1;
+      current = openTable(header, isArray, lineStart);
+      expectLineEnd();
+      continue;
+    }
+    var key = parseKey();
+    if (src[i] !== '=') fail('Expected "=" after key');
+    i++;
+    skipWs();
+    assign(current, key, parseValue(), lineStart);
+    expectLineEnd();
+  }
+  return root;
+}
+
+module.exports = {
+  parseToml: parseToml,
+  TomlError: TomlError,
+};
@@ -0,0 +1,678 @@
+/**
+ * Document Guard - Minimal YAML Parser
+ *
+ * Dependency-free parser for the YAML subset found in config files and
+ * markdown frontmatter:
+ *   - Block mappings and sequences (including "- key: value" items)
+ *   - Plain, single-quoted and double-quoted scalars (multi-line folding)
+ *   - Block scalars (| and >, with chomping/indentation indicators)
+ *   - Flow collections ([a, b], {a: 1}), possibly spanning lines
+ *   - Comments, CRLF line endings, anchors/aliases and << merge keys
+ *   - Core schema scalars: null, booleans, integers, floats (dates stay strings)
+ *
+ * Parse failures throw a YamlError carrying 1-based line and column.
+ */
+
+class YamlError extends Error {
+  constructor(message, line, column) {
+    super(message + ' (line ' + line + ', column ' + column + ')');
+    this.name = 'YamlError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// ============================================================
+// SCALARS
+// ============================================================
+
+function resolvePlainScalar(value) {
+  if (value === '' || value === '~' || /^(?:null|Null|NULL)$/.test(value)) return null;
+  if (/^(?:true|True|TRUE)$/.test(value)) return true;
+  if (/^(?:false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?[0-9]+$/.test(value)) return parseInt(value, 10);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value.slice(2), 16);
+  if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(value)) return parseFloat(value);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(value)) return value[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(value)) return NaN;
+  return value;
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+  'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+  'N': '\x85', '_': '\xa0', 'L': ' ', 'P': ' ',
+};
+
+// Folds the raw lines of a multi-line quoted/plain scalar: single line
+// breaks become spaces, blank lines become newlines.
+function foldLines(parts) {
+  var out = '';
+  for (var i = 0; i < parts.length; i++) {
+    var part = i === 0 ? parts[i].replace(/[ \t]+$/, '') : parts[i].trim();
+    if (i === 0) { out = part; continue; }
+    if (part === '') { out += '\n'; continue; }
+    out += (out.endsWith('\n') || out === '' ? '' : ' ') + part;
+  }
+  return out;
+}
+
+// ============================================================
+// PARSER
+// ============================================================
+
+function Parser(text) {
+  this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+  // A final newline ends the last line; it does not start an empty one
+  if (this.lines.length > 1 && this.lines[this.lines.length - 1] === '') this.lines.pop();
+  this.pos = 0;
+  this.anchors = {};
+}
+
+Parser.prototype.error = function(message, lineIdx, column) {
+  var idx = lineIdx === undefined ? this.pos : lineIdx;
+  throw new YamlError(message, Math.min(idx, this.lines.length - 1) + 1, (column || 0) + 1);
+};
+
+Parser.prototype.checkTabs = function(line) {
+  var ind = indentOf(line);
+  if (line[ind] === '\t') this.error('Tabs are not allowed for indentation', this.pos, ind);
+};
+
+function indentOf(line) {
+  var m = line.match(/^ */);
+  return m[0].length;
+}
+
+// Strips a trailing comment (" #...") outside of quotes and flow strings
+function stripComment(text) {
+  var quote = null;
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quote) {
+      if (quote === '"' && c === '\\') { i++; continue; }
+      if (c === quote) {
+        if (quote === '\'' && text[i + 1] === '\'') { i++; continue; }
+        quote = null;
+      }
+      continue;
+    }
+    if ((c === '"' || c === '\'') && (i === 0 || /[\s\[{,:-]/.test(text[i - 1]))) { quote = c; continue; }
+    if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) return text.slice(0, i).replace(/\s+$/, '');
+  }
+  return text.replace(/\s+$/, '');
+}
+
+function isBlankOrComment(line) {
+  return /^\s*(?:#.*)?$/.test(line);
+}
+
+Parser.prototype.skipBlank = function() {
+  while (this.pos < this.lines.length && isBlankOrComment(this.lines[this.pos])) this.pos++;
+};
+
+Parser.prototype.atDocumentEnd = function() {
+  if (this.pos >= this.lines.length) return true;
+  var line = this.lines[this.pos];
+  return /^(?:---|\.\.\.)(?:\s|$)/.test(line);
+};
+
+// Finds the ": " separating a mapping key from its value, or -1
+function findMappingColon(text) {
+  var i = 0;
+  if (text[0] === '"' || text[0] === '\'') {
+    var q = text[0];
+    i = 1;
+    while (i < text.length) {
+      if (q === '"' && text[i] === '\\') { i += 2; continue; }
+      if (text[i] === q) {
+        if (q === '\'' && text[i + 1] === '\'') { i += 2; continue; }
+        break;
+      }
+      i++;
+    }
+    i++;
+    while (text[i] === ' ') i++;
+    return text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1])) ? i : -1;
+  }
+  if (text[0] === '[' || text[0] === '{' || text[0] === '#') return -1;
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) return i;
+    if (text[i] === '#' && i > 0 && /\s/.test(text[i - 1])) return -1;
+  }
+  return -1;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ') || text.startsWith('-\t');
+}
+
+Parser.prototype.parseKey = function(raw, lineIdx, column) {
+  raw = raw.trim();
+  if (raw[0] === '"' || raw[0] === '\'') {
+    var parsed = this.parseQuotedInline(raw, lineIdx, column);
+    return String(parsed);
+  }
+  if (raw === '') this.error('Empty mapping key', lineIdx, column);
+  if (raw.startsWith('? ')) this.error('Complex mapping keys are not supported', lineIdx, column);
+  return raw;
+};
+
+// Parses a single-line quoted scalar (the entire `raw` must be the scalar)
+Parser.prototype.parseQuotedInline = function(raw, lineIdx, column) {
+  var q = raw[0];
+  var out = '';
+  var i = 1;
+  while (i < raw.length) {
+    var c = raw[i];
+    if (q === '\'' && c === '\'') {
+      if (raw[i + 1] === '\'') { out += '\''; i += 2; continue; }
+      return out;
+    }
+    if (q === '"' && c === '"') return out;
+    if (q === '"' && c === '\\') {
+      var e = raw[i + 1];
+      if (e === 'x' || e === 'u' || e === 'U') {
+        var len = e === 'x' ? 2 : e === 'u' ? 4 : 8;
+        var hex = raw.slice(i + 2, i + 2 + len);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) this.error('Invalid escape sequence', lineIdx, column + i);
+        out += String.fromCodePoint(parseInt(hex, 16));
+        i += 2 + len;
+        continue;
+      }
+      if (!Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, e)) this.error('Invalid escape sequence "\\' + e + '"', lineIdx, column + i);
+      out += DOUBLE_QUOTE_ESCAPES[e];
+      i += 2;
+      continue;
+    }
+    out += c;
+    i++;
+  }
+  this.error('Unterminated quoted string', lineIdx, column);
+};
+
+// Parses a quoted scalar that may continue onto following lines. Returns the
+// value and any trailing text after the closing quote.
+Parser.prototype.parseQuoted = function(text, column) {
+  var q = text[0];
+  var startLine = this.pos;
+  var parts = [];
+  var current = text.slice(1);
+  var lineIdx = this.pos;
+  for (;;) {
+    var closeIdx = -1;
+    for (var i = 0; i < current.length; i++) {
+      if (q === '"' && current[i] === '\\') { i++; continue; }
+      if (current[i] === q) {
+        if (q === '\'' && current[i + 1] === '\'') { i++; continue; }
+        closeIdx = i;
+        break;
+      }
+    }
+    if (closeIdx !== -1) {
+      parts.push(current.slice(0, closeIdx));
+      var rest = stripComment(current.slice(closeIdx + 1));
+      var body = parts.length === 1 ? parts[0] : foldLines(parts);
+      this.pos = lineIdx + 1;
+      return { value: this.parseQuotedInline(q + body + q, startLine, column), rest: rest.trim() };
+    }
+    parts.push(current);
+    lineIdx++;
+    if (lineIdx >= this.lines.length) this.error('Unterminated quoted string', startLine, column);
+    current = this.lines[lineIdx];
+  }
+};
+
+Parser.prototype.parseBlockScalar = function(header, parentIndent) {
+  var headerLine = this.pos;
+  var m = header.match(/^([|>])([+-]?)([1-9]?)([+-]?)\s*(?:#.*)?$/);
+  if (!m) this.error('Invalid block scalar header "' + header + '"', headerLine);
+  var literal = m[1] === '|';
+  var chomp = m[2] || m[4] || '';
+  var explicitIndent = m[3] ? parentIndent + parseInt(m[3], 10) : null;
+  this.pos++;
+
+  var contentIndent = explicitIndent;
+  var raw = [];
+  while (this.pos < this.lines.length) {
+    var line = this.lines[this.pos];
+    if (line.trim() === '') { raw.push(''); this.pos++; continue; }
+    var ind = indentOf(line);
+    if (contentIndent === null) {
+      if (ind <= parentIndent) break;
+      contentIndent = ind;
+    }
+    if (ind < contentIndent) break;
+    raw.push(line.slice(contentIndent));
+    this.pos++;
+  }
+
+  // Trailing blank lines belong to chomping, not content
+  var trailing = 0;
+  while (raw.length > 0 && raw[raw.length - 1] === '') { raw.pop(); trailing++; }
+  var body;
+  if (literal) {
+    body = raw.join('\n');
+  } else {
+    // Folding: single breaks become spaces, blank lines become newlines,
+    // and more-indented lines keep their line breaks
+    body = '';
+    var pending = 0;
+    var prevMore = false;
+    var first = true;
+    for (var i = 0; i < raw.length; i++) {
+      var l = raw[i];
+      if (l === '') { pending++; continue; }
+      var more = /^\s/.test(l);
+      if (first) body = '\n'.repeat(pending) + l;
+      else if (pending > 0) body += '\n'.repeat(pending + (more || prevMore ? 1 : 0)) + l;
+      else body += (more || prevMore ? '\n' : ' ') + l;
+      pending = 0;
+      prevMore = more;
+      first = false;
+    }
+  }
+  if (raw.length === 0) return chomp === '+' ? '\n'.repeat(trailing) : '';
+  if (chomp === '-') return body;
+  if (chomp === '+') return body + '\n' + '\n'.repeat(trailing);
+  return body + '\n';
+};
+
+// ---- Flow collections ----
+
+Parser.prototype.parseFlow = function(text, column) {
+  // Gather lines until brackets balance
+  var startLine = this.pos;
+  var buffer = text;
+  var lineIdx = this.pos;
+  var lineStarts = [{ offset: 0, line: lineIdx, column: column }];
+  var self = this;
+
+  function balanced(s) {
+    var depth = 0;
+    var quote = null;
+    for (var i = 0; i < s.length; i++) {
+      var c = s[i];
+      if (quote) {
+        if (quote === '"' && c === '\\') { i++; continue; }
+        if (c === quote) quote = null;
+        continue;
+      }
+      if (c === '"' || c === '\'') quote = c;
+      else if (c === '#' && (i === 0 || /\s/.test(s[i - 1]))) {
+        var nl = s.indexOf('\n', i);
+        if (nl === -1) break;
+        i = nl;
+      }
+      else if (c === '[' || c === '{') depth++;
+      else if (c === ']' || c === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  var end = balanced(buffer);
+  while (end === -1) {
+    lineIdx++;
+    if (lineIdx >= this.lines.length) this.error('Unterminated flow collection', startLine, column);
+    lineStarts.push({ offset: buffer.length + 1, line: lineIdx, column: 0 });
+    buffer += '\n' + this.lines[lineIdx];
+    end = balanced(buffer);
+  }
+
+  function locate(offset) {
+    var loc = lineStarts[0];
+    for (var i = 0; i < lineStarts.length; i++) {
+      if (lineStarts[i].offset <= offset) loc = lineStarts[i];
+    }
+    return { line: loc.line, column: loc.column + offset - loc.offset };
+  }
+
+  var i = 0;
+  var src = buffer.slice(0, end + 1);
+
+  function fail(message) {
+    var loc = locate(i);
+    self.error(message, loc.line, loc.column);
+  }
+  function skipWs() {
+    while (i < src.length) {
+      if (/\s/.test(src[i])) { i++; continue; }
+      if (src[i] === '#' && (i === 0 || /\s/.test(src[i - 1]))) {
+        while (i < src.length && src[i] !== '\n') i++;
+        continue;
+      }
+      break;
+    }
+  }
+  function parseScalarToken() {
+    if (src[i] === '"' || src[i] === '\'') {
+      var q = src[i];
+      var start = i;
+      i++;
+      while (i < src.length) {
+        if (q === '"' && src[i] === '\\') { i += 2; continue; }
+        if (src[i] === q) {
+          if (q === '\'' && src[i + 1] === '\'') { i += 2; continue; }
+          break;
+        }
+        i++;
+      }
+      if (i >= src.length) fail('Unterminated quoted string');
+      i++;
+      var loc = locate(start);
+      var raw = src.slice(start, i);
+      if (raw.indexOf('\n') !== -1) {
+        var inner = raw.slice(1, -1).split('\n');
+        raw = q + foldLines(inner) + q;
+      }
+      return { value: self.parseQuotedInline(raw, loc.line, loc.column), quoted: true };
+    }
+    var s = i;
+    while (i < src.length && !/[,\]\}]/.test(src[i]) && !(src[i] === ':' && /[\s,\]\}]/.test(src[i + 1] || ' ')) &&
+           !(src[i] === '#' && /\s/.test(src[i - 1] || ''))) i++;
+    var plain = src.slice(s, i).replace(/\s+/g, ' ').trim();
+    return { value: plain, quoted: false };
+  }
+  function parseValue() {
+    skipWs();
+    if (src[i] === '[') return parseSeq();
+    if (src[i] === '{') return parseMap();
+    var tok = parseScalarToken();
+    if (tok.quoted) return tok.value;
+    if (tok.value[0] === '*') return self.resolveAlias(tok.value.slice(1), locate(i).line);
+    return resolvePlainScalar(tok.value);
+  }
+  function parseSeq() {
+    var out = [];
+    i++;
+    for (;;) {
+      skipWs();
+      if (src[i] === ']') { i++; return out; }
+      if (i >= src.length) fail('Unterminated flow sequence');
+      var startItem = i;
+      var value = parseValue();
+      skipWs();
+      // Single-pair mapping inside a sequence: [a: 1]
+      if (src[i] === ':') {
+        i++;
+        var pair = {};
+        pair[String(value)] = parseValue();
+        value = pair;
+        skipWs();
+      }
+      if (i === startItem) fail('Unexpected character "' + src[i] + '" in flow sequence');
+      out.push(value);
+      if (src[i] === ',') { i++; continue; }
+      if (src[i] === ']') { i++; return out; }
+      fail('Expected "," or "]" in flow sequence');
+    }
+  }
+  function parseMap() {
+    var out = {};
+    i++;
+    for (;;) {
+      skipWs();
+      if (src[i] === '}') { i++; return out; }
+      if (i >= src.length) fail('Unterminated flow mapping');
+      var keyTok = parseScalarToken();
+      var key = String(keyTok.value);
+      if (key === '' && !keyTok.quoted) fail('Expected key in flow mapping');
+      skipWs();
+      var value = null;
+      if (src[i] === ':') {
+        i++;
+        skipWs();
+        value = src[i] === ',' || src[i] === '}' ? null : parseValue();
+        skipWs();
+      }
+      if (Object.prototype.hasOwnProperty.call(out, key)) fail('Duplicate key "' + key + '"');
+      out[key] = value;
+      if (src[i] === ',') { i++; continue; }
+      if (src[i] === '}') { i++; return out; }
+      fail('Expected "," or "}" in flow mapping');
+    }
+  }
+
+  var result = src[0] === '[' ? parseSeq() : parseMap();
+  var after = stripComment(buffer.slice(end + 1)).trim();
+  if (after !== '') {
+    var loc = locate(end + 1);
+    this.error('Unexpected content after flow collection', loc.line, loc.column);
+  }
+  this.pos = lineIdx + 1;
+  return result;
+};
+
+Parser.prototype.resolveAlias = function(name, lineIdx) {
+  if (!Object.prototype.hasOwnProperty.call(this.anchors, name)) this.error('Unknown alias "*' + name + '"', lineIdx);
+  return this.anchors[name];
+};
+
+// Parses the value part of "key: <value>" or "- <value>". `text` is the
+// remaining text on the current line, `column` its column, `indent` the
+// indentation of the owning key/item.
+Parser.prototype.parseInlineValue = function(text, column, indent) {
+  var anchor = null;
+  var m = text.match(/^&([^\s,\[\]{}]+)\s*/);
+  if (m) {
+    anchor = m[1];
+    text = text.slice(m[0].length);
+    column += m[0].length;
+  }
+  var tag = text.match(/^!!?[^\s]*\s*/);
+  if (tag) {
+    text = text.slice(tag[0].length);
+    column += tag[0].length;
+  }
+
+  var value;
+  var stripped = stripComment(text);
+  if (stripped === '') {
+    this.pos++;
+    value = this.parseNestedBlock(indent);
+  } else if (stripped[0] === '*') {
+    value = this.resolveAlias(stripped.slice(1).trim(), this.pos);
+    this.pos++;
+  } else if (stripped[0] === '|' || stripped[0] === '>') {
+    value = this.parseBlockScalar(stripped, indent);
+  } else if (stripped[0] === '[' || stripped[0] === '{') {
+    value = this.parseFlow(text, column);
+  } else if (stripped[0] === '"' || stripped[0] === '\'') {
+    var quoted = this.parseQuoted(text, column);
+    if (quoted.rest !== '') {
+      if (quoted.rest[0] === ':') this.error('Nested mappings are not allowed in compact notation', this.pos - 1, column);
+      this.error('Unexpected content after quoted string', this.pos - 1, column);
+    }
+    value = quoted.value;
+  } else if (stripped[0] === '@' || stripped[0] === '`') {
+    this.error('Reserved indicator "' + stripped[0] + '" cannot start a plain scalar', this.pos, column);
+  } else {
+    if (findMappingColon(stripped) !== -1) {
+      this.error('Mapping values are not allowed here', this.pos, column + findMappingColon(stripped));
+    }
+    value = this.parsePlainMultiline(stripped, indent);
+  }
+  if (anchor) this.anchors[anchor] = value;
+  return value;
+};
+
+// Plain scalars may continue on more-indented lines (folded with spaces)
+Parser.prototype.parsePlainMultiline = function(first, indent) {
+  var parts = [first];
+  this.pos++;
+  while (this.pos < this.lines.length) {
+    var line = this.lines[this.pos];
+    if (line.trim() === '') {
+      // Only a continuation if a more-indented non-blank line follows
+      var look = this.pos + 1;
+      while (look < this.lines.length && this.lines[look].trim() === '') look++;
+      if (look >= this.lines.length || indentOf(this.lines[look]) <= indent || isBlankOrComment(this.lines[look])) break;
+      parts.push('');
+      this.pos++;
+      continue;
+    }
+    if (indentOf(line) <= indent || /^\s*#/.test(line)) break;
+    var content = stripComment(line.trim());
+    if (findMappingColon(content) !== -1 || isSequenceItem(content)) break;
+    parts.push(content);
+    this.pos++;
+  }
+  return resolvePlainScalar(parts.length === 1 ? first : foldLines(parts));
+};
+
+// After "key:" with nothing else on the line: a nested block (more indented)
+// or a sequence at the same indentation as the key
+Parser.prototype.parseNestedBlock = function(indent) {
+  this.skipBlank();
+  if (this.atDocumentEnd()) return null;
+  var line = this.lines[this.pos];
+  var ind = indentOf(line);
+  if (ind > indent) return this.parseNode(ind);
+  if (ind === indent && isSequenceItem(line.slice(ind)) && this.inMapping) return this.parseSequence(ind);
+  return null;
+};
+
+Parser.prototype.parseNode = function(indent) {
+  this.skipBlank();
+  if (this.atDocumentEnd()) return null;
+  var line = this.lines[this.pos];
+  this.checkTabs(line);
+  var ind = indentOf(line);
+  var text = line.slice(ind);
+  if (isSequenceItem(text)) return this.parseSequence(ind);
+  if (findMappingColon(stripComment(text)) !== -1) return this.parseMapping(ind);
+  return this.parseInlineValue(text, ind, ind - 1);
+};
+
+Parser.prototype.parseMapping = function(indent) {
+  var out = {};
+  var merges = [];
+  while (true) {
+    this.skipBlank();
+    if (this.atDocumentEnd()) break;
+    var line = this.lines[this.pos];
+    this.checkTabs(line);
+    var ind = indentOf(line);
+    if (ind < indent) break;
+    if (ind > indent) this.error('Bad indentation of a mapping entry', this.pos, ind);
+    var text = line.slice(ind);
+    if (isSequenceItem(text)) {
+      // A sequence at key indentation only belongs to the preceding key
+      this.error('Unexpected sequence item in mapping', this.pos, ind);
+    }
+    var colon = findMappingColon(text);
+    if (colon === -1) this.error('Expected a mapping key ("key: value")', this.pos, ind);
+    var key = this.parseKey(text.slice(0, colon), this.pos, ind);
+    if (Object.prototype.hasOwnProperty.call(out, key) && key !== '<<') this.error('Duplicate key "' + key + '"', this.pos, ind);
+    var rest = text.slice(colon + 1).replace(/^\s+/, '');
+    var restColumn = ind + text.length - rest.length;
+    var wasInMapping = this.inMapping;
+    this.inMapping = true;
+    var value = this.parseInlineValue(rest, restColumn, indent);
+    this.inMapping = wasInMapping;
+    if (key === '<<') merges.push(value);
+    else out[key] = value;
+  }
+  // Merge keys: explicit keys win over merged ones
+  for (var m = merges.length - 1; m >= 0; m--) {
+    var sources = Array.isArray(merges[m]) ? merges[m] : [merges[m]];
+    for (var s = 0; s < sources.length; s++) {
+      if (!sources[s] || typeof sources[s] !== 'object') continue;
+      for (var k in sources[s]) {
+        if (!Object.prototype.hasOwnProperty.call(out, k)) out[k] = sources[s][k];
+      }
+    }
+  }
+  return out;
+};
+
+Parser.prototype.parseSequence = function(indent) {
+  var out = [];
+  while (true) {
+    this.skipBlank();
+    if (this.atDocumentEnd()) break;
+    var line = this.lines[this.pos];
+    this.checkTabs(line);
+    var ind = indentOf(line);
+    if (ind < indent) break;
+    var text = line.slice(ind);
+    if (ind > indent) this.error('Bad indentation of a sequence entry', this.pos, ind);
+    if (!isSequenceItem(text)) break;
+    var rest = text.slice(1).replace(/^[ \t]+/, '');
+    var itemColumn = ind + text.length - rest.length;
+    var wasInMapping = this.inMapping;
+    this.inMapping = false;
+    if (stripComment(rest) === '') {
+      this.pos++;
+      out.push(this.parseNestedBlock(indent));
+    } else if (isSequenceItem(rest) || (findMappingColon(stripComment(rest)) !== -1 && rest[0] !== '[' && rest[0] !== '{')) {
+      // Compact nested node: re-indent the remainder in place and parse it
+      this.lines[this.pos] = ' '.repeat(itemColumn) + rest;
+      out.push(this.parseNode(itemColumn));
+    } else {
+      out.push(this.parseInlineValue(rest, itemColumn, indent));
+    }
+    this.inMapping = wasInMapping;
+  }
+  return out;
+};
+
+Parser.prototype.parseDocument = function() {
+  this.skipBlank();
+  // Directives and explicit document start
+  while (this.pos < this.lines.length && /^%/.test(this.lines[this.pos])) this.pos++;
+  this.skipBlank();
+  if (this.pos < this.lines.length && /^---(?:\s|$)/.test(this.lines[this.pos])) {
+    var inline = this.lines[this.pos].slice(3).trim();
+    if (inline !== '' && !inline.startsWith('#')) {
+      this.lines[this.pos] = inline;
+    } else {
+      this.pos++;
+    }
+  }
+  var value = this.parseNode(0);
+  this.skipBlank();
+  if (this.pos < this.lines.length && !this.atDocumentEnd()) {
+    this.error('Unexpected content', this.pos, indentOf(this.lines[this.pos]));
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Parses YAML text and returns the first document.
+ *
+ * @param {string} text
+ * @returns {*} Plain JS value (objects, arrays, strings, numbers, booleans, null)
+ * @throws {YamlError} With line/column of the first syntax error
+ */
+function parseYaml(text) {
+  return new Parser(String(text)).parseDocument();
+}
+
+/**
+ * Parses every document in a YAML stream (separated by --- or ...).
+ * Used for syntax validation, where later documents must be valid too.
+ */
+function parseYamlAll(text) {
+  var parser = new Parser(String(text));
+  var docs = [];
+  while (true) {
+    parser.skipBlank();
+    if (parser.pos >= parser.lines.length) break;
+    docs.push(parser.parseDocument());
+    if (parser.pos < parser.lines.length && /^\.\.\.(?:\s|$)/.test(parser.lines[parser.pos])) parser.pos++;
+    if (docs.length > 1000) break;
+  }
+  return docs;
+}
+
+module.exports = {
+  parseYaml: parseYaml,
+  parseYamlAll: parseYamlAll,
+  YamlError: YamlError,
+};
@@ -0,0 +1,28 @@
+/**
+ * lib/entropy.js: placeholderPatterns apply to values (and .npmrc registry
+ * URLs), never to the variable name a value is assigned to.
+ */
+
+const { detectSecrets, entropyOptionsFor, DEFAULTS } = require('../lib/entropy');
+const { placeholderPatterns } = require('../config/document-guard.config');
+const { assert, runTable } = require('./helpers/run-table');
+
+const SECRET = 'Zq8vR2mXk4Lp9Tw7Ny3Bc6Hd1Fs5Jg0A';
+
+function findings(text, file) {
+  var options = entropyOptionsFor(Object.assign({}, DEFAULTS, { enabled: true }), file);
+  return detectSecrets(text, options, placeholderPatterns).length;
+}
+
+runTable('entropy detection and placeholders', [
+  { name: 'keyword assignment', text: 'API_KEY=' + SECRET, file: '.env', expected: 1 },
+  { name: 'placeholder word in the name (test)', text: 'TEST_API_KEY=' + SECRET, file: '.env', expected: 1 },
+  { name: 'placeholder word in the name (mock)', text: 'MOCK_SERVICE_TOKEN=' + SECRET, file: '.env', expected: 1 },
+  { name: 'placeholder value', text: 'API_KEY=your_api_key_here_0000000000', file: '.env', expected: 0 },
+  { name: 'template value', text: 'API_KEY="${SERVICE_API_KEY_FROM_VAULT}"', file: '.env', expected: 0 },
+  { name: 'npm auth token', text: '//registry.npmjs.org/:_authToken=' + SECRET, file: '.npmrc', expected: 1 },
+  { name: 'npm auth token for a placeholder registry', text: '//registry.example.com/:_authToken=' + SECRET, file: '.npmrc', expected: 0 },
+  { name: 'npm auth token from the environment', text: '//registry.npmjs.org/:_authToken=${NPM_TOKEN}', file: '.npmrc', expected: 0 },
+], function(c) {
+  assert.strictEqual(findings(c.text, c.file), c.expected, c.text);
+});
@@ -0,0 +1,32 @@
+/**
+ * Document Guard - Table Test Runner
+ *
+ * Runs a table of cases through one function and reports each failure with
+ * its case name. Dependency-free, so a test file runs with plain `node`.
+ */
+
+const assert = require('assert');
+
+/**
+ * @param {string} title - Printed with the summary
+ * @param {Array<{name: string}>} cases
+ * @param {function(object): void} check - Throws (e.g. via assert) when a case fails
+ */
+function runTable(title, cases, check) {
+  var failed = 0;
+  cases.forEach(function(c) {
+    try {
+      check(c);
+    } catch (err) {
+      failed++;
+      console.error('not ok - ' + title + ': ' + c.name + '\n  ' + String(err.message).split('\n').join('\n  '));
+    }
+  });
+  console.log((failed === 0 ? 'ok' : 'FAIL') + ' - ' + title + ' (' + (cases.length - failed) + '/' + cases.length + ')');
+  if (failed > 0) process.exitCode = 1;
+}
+
+module.exports = {
+  assert: assert,
+  runTable: runTable,
+};
@@ -0,0 +1,51 @@
+/**
+ * Reads of the override signing key through Bash: naming the key, its
+ * directory, or any directory that contains it is denied; commands that stay
+ * inside the project pass. Runs the hook as Claude Code would.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const { assert, runTable } = require('./helpers/run-table');
+
+const HOOK = path.join(__dirname, '..', 'hooks', 'document-guard.js');
+
+var root = fs.mkdtempSync(path.join(os.tmpdir(), 'dg-tamper-'));
+var project = path.join(root, 'project');
+var keyFile = path.join(root, 'keys', 'override.key');
+fs.mkdirSync(path.join(project, 'docs'), { recursive: true });
+fs.mkdirSync(path.dirname(keyFile));
+fs.writeFileSync(keyFile, 'test-key\n');
+
+function decide(command) {
+  var result = childProcess.spawnSync(process.execPath, [HOOK], {
+    cwd: project,
+    input: JSON.stringify({ hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command: command }, cwd: project }),
+    env: Object.assign({}, process.env, { CLAUDE_PROJECT_DIR: project, DOCUMENT_GUARD_KEY_FILE: keyFile, HOME: root }),
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+  var output = result.stdout.trim();
+  return output === '' ? 'pass' : JSON.parse(output).hookSpecificOutput.permissionDecision;
+}
+
+var keyDir = path.dirname(keyFile);
+
+runTable('override key reads through Bash', [
+  { name: 'cat the key', command: 'cat ' + keyFile, expected: 'deny' },
+  { name: 'key name in a variable', command: 'N=override.key; cat ' + keyDir + '/$N', expected: 'deny' },
+  { name: 'glob onto the key directory', command: 'cat ' + keyDir.slice(0, -2) + '*/*', expected: 'deny' },
+  { name: 'grep -r a parent directory', command: 'grep -r . ' + root, expected: 'deny' },
+  { name: 'tar a parent directory', command: 'tar c ' + root + ' | base64', expected: 'deny' },
+  { name: 'cp -r a parent directory', command: 'cp -r ' + root + ' /tmp/x', expected: 'deny' },
+  { name: 'parent through ~', command: 'grep -r secret ~', expected: 'deny' },
+  { name: 'write the ledger from node', command: 'node -e "require(\'fs\').writeFileSync(\'.claude/logs/.document-guard-overrides.json\', \'{}\')"', expected: 'deny' },
+  { name: 'grep -r inside the project', command: 'grep -r foo .', expected: 'pass' },
+  { name: 'list a project directory', command: 'ls docs', expected: 'pass' },
+], function(c) {
+  assert.strictEqual(decide(c.command), c.expected, c.command);
+});
+
+fs.rmSync(root, { recursive: true, force: true });
@@ -0,0 +1,101 @@
+/**
+ * lib/shell-analyzer.js: the files a Bash command writes, for a table of
+ * commands run against a scratch project (a git repo with two modified files).
+ *
+ * Targets are written as "<operation> <path relative to the project>", with
+ * "?" before unresolved ones (run-time parts shown as *) and "!" before
+ * expansions cut off at MAX_DIR_FILES.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const { analyzeShellCommand, MAX_DIR_FILES } = require('../lib/shell-analyzer');
+const { assert, runTable } = require('./helpers/run-table');
+
+var root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'dg-shell-')));
+process.env.HOME = path.join(root, 'home');
+delete process.env.DG_UNSET;
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+write('CLAUDE.md', '# Project\n');
+write('.env', 'KEY=1\n');
+write('docs/a.md', 'a\n');
+write('docs/b.md', 'b\n');
+function git(args) {
+  childProcess.execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com'].concat(args), { cwd: root, stdio: 'ignore' });
+}
+git(['init', '-q']);
+git(['add', '.']);
+git(['commit', '-q', '-m', 'init']);
+write('CLAUDE.md', '# Changed\n');
+write('docs/a.md', 'changed\n');
+for (var n = 0; n <= MAX_DIR_FILES; n++) write('big/' + n + '.txt', '');
+
+function targets(command) {
+  return analyzeShellCommand(command, root).map(function(t) {
+    var shown = t.path.startsWith(root + '/') ? t.path.slice(root.length + 1) : t.path;
+    return (t.unresolved ? '?' : t.incomplete ? '!' : '') + t.operation + ' ' + shown;
+  }).sort();
+}
+
+runTable('shell write targets', [
+  // Literal targets
+  { name: 'redirect', command: 'echo x > .env', expected: ['redirect (>) .env'] },
+  { name: 'append', command: 'echo x >> docs/a.md', expected: ['append (>>) docs/a.md'] },
+  { name: 'descriptor duplication only', command: 'ls > /dev/null 2>&1', expected: [] },
+  { name: 'read only', command: 'cat .env | grep KEY', expected: [] },
+  { name: 'heredoc body is not a command', command: 'cat > CLAUDE.md <<EOF\nrm .env\nEOF', expected: ['redirect (>) CLAUDE.md'] },
+  { name: 'sed -i', command: "sed -i 's/a/b/' CLAUDE.md", expected: ['sed -i CLAUDE.md'] },
+  { name: 'cp destination', command: 'cp docs/b.md CLAUDE.md', expected: ['cp CLAUDE.md'] },
+  { name: 'rm in an if body', command: 'if true; then rm CLAUDE.md; fi', expected: ['rm CLAUDE.md'] },
+  { name: 'eval', command: 'eval "echo x > CLAUDE.md"', expected: ['redirect (>) CLAUDE.md'] },
+
+  // Variables resolved from the command and the environment
+  { name: 'variable assigned earlier', command: 'f=.env; echo x > $f', expected: ['redirect (>) .env'] },
+  { name: 'braced, quoted variable', command: 'f=.env; echo x > "${f}"', expected: ['redirect (>) .env'] },
+  { name: 'variable as a directory', command: 'd=docs; rm "$d/a.md"', expected: ['rm docs/a.md'] },
+  { name: 'exported variable', command: 'export OUT=CLAUDE.md; tee $OUT < /dev/null', expected: ['tee CLAUDE.md'] },
+  { name: 'environment variable', command: 'echo x > "$HOME/notes"', expected: ['redirect (>) home/notes'] },
+  { name: 'script from a variable', command: 'S="rm .env"; bash -c "$S"', expected: ['rm .env'] },
+
+  // Run-time values are reported, never dropped
+  { name: 'command substitution', command: 'echo x > "$(echo .env)"', expected: ['?write *'] },
+  { name: 'backticks', command: 'echo x > `echo .env`', expected: ['?write *'] },
+  { name: 'loop variable', command: 'for f in .env; do echo x > "$f"; done', expected: ['?write *'] },
+  { name: 'unset variable', command: 'echo x > $DG_UNSET', expected: ['?write *'] },
+  { name: 'positional parameter', command: 'echo x > $1', expected: ['?write *'] },
+  { name: 'partly known path', command: 'echo x > docs/$(date +%s).md', expected: ['?write docs/*.md'] },
+  { name: 'outside path keeps its known start', command: 'echo x > /tmp/log.$$', expected: ['?write /tmp/log.*'] },
+  { name: 'unknown cd', command: 'cd "$(mktemp -d)" && rm -rf *', expected: ['?write */*'] },
+  { name: 'unknown cd, then ..', command: 'cd "$DG_UNSET" && rm ../.env', expected: ['?write */../.env'] },
+  { name: 'mv to an unknown destination', command: 'mv .env "$(mktemp)"', expected: ['?write *', 'mv (source) .env'] },
+  { name: 'script only known at run time', command: 'bash -c "$DG_UNSET"', expected: ['?bash -c (script) *'] },
+
+  // git restores directories to their modified files, with or without --
+  { name: 'git checkout .', command: 'git checkout .', expected: ['git checkout CLAUDE.md', 'git checkout docs/a.md'] },
+  { name: 'git checkout -- .', command: 'git checkout -- .', expected: ['git checkout CLAUDE.md', 'git checkout docs/a.md'] },
+  { name: 'git checkout <dir>', command: 'git checkout docs', expected: ['git checkout docs/a.md'] },
+  { name: 'git checkout <commit> <file>', command: 'git checkout HEAD CLAUDE.md', expected: ['git checkout CLAUDE.md'] },
+  { name: 'git checkout <branch>', command: 'git checkout main', expected: [] },
+  { name: 'git restore .', command: 'git restore .', expected: ['git restore CLAUDE.md', 'git restore docs/a.md'] },
+  { name: 'git restore --staged', command: 'git restore --staged .', expected: [] },
+
+  // Expansion limit
+  { name: 'directory past the limit', command: 'rm -rf big', includes: ['!expand big'] },
+  { name: 'glob past the limit', command: 'rm big/*', includes: ['!expand big/*'] },
+], function(c) {
+  var actual = targets(c.command);
+  if (c.expected) {
+    assert.deepStrictEqual(actual, c.expected.slice().sort(), c.command);
+  } else {
+    c.includes.forEach(function(t) { assert.ok(actual.indexOf(t) !== -1, c.command + ': no "' + t + '" in ' + actual.length + ' targets'); });
+  }
+});
+
+fs.rmSync(root, { recursive: true, force: true });
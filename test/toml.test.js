@@ -0,0 +1,70 @@
+/**
+ * lib/toml.js: documents and the values they parse to, and malformed
+ * documents with the line their error is reported on.
+ */
+
+const { parseToml } = require('../lib/toml');
+const { assert, runTable } = require('./helpers/run-table');
+
+runTable('toml values', [
+  // Keys and tables
+  { name: 'bare keys', text: 'a = 1\nb-c = 2\nd_e = 3', expected: { a: 1, 'b-c': 2, d_e: 3 } },
+  { name: 'quoted keys', text: '"a b" = 1\n\'c.d\' = 2', expected: { 'a b': 1, 'c.d': 2 } },
+  { name: 'dotted keys', text: 'a.b = 1\na.c = 2\n"x".\'y\' = 3', expected: { a: { b: 1, c: 2 }, x: { y: 3 } } },
+  { name: 'tables', text: '[a]\nx = 1\n[b.c]\ny = 2', expected: { a: { x: 1 }, b: { c: { y: 2 } } } },
+  { name: 'parent table after its child', text: '[a.b]\nx = 1\n[a]\ny = 2', expected: { a: { b: { x: 1 }, y: 2 } } },
+  { name: 'whitespace in headers', text: '[ a . b ]\nx = 1', expected: { a: { b: { x: 1 } } } },
+  { name: 'arrays of tables', text: '[[p]]\nn = 1\n[[p]]\nn = 2\n[p.sub]\nx = 3', expected: { p: [{ n: 1 }, { n: 2, sub: { x: 3 } }] } },
+  { name: 'comments', text: '# heading\na = 1 # one\n[t] # table\nb = "#x"', expected: { a: 1, t: { b: '#x' } } },
+
+  // Strings
+  { name: 'basic string escapes', text: 'a = "tab\\there\\n\\"q\\""\nb = "\\u00e9\\U0001F600"', expected: { a: 'tab\there\n"q"', b: '\u00e9\u{1F600}' } },
+  { name: 'literal string', text: 'a = \'C:\\path\\n\'', expected: { a: 'C:\\path\\n' } },
+  { name: 'multi-line basic', text: 'a = """\nline 1\nline 2"""', expected: { a: 'line 1\nline 2' } },
+  { name: 'line-ending backslash', text: 'a = """\\\n    one \\\n    two"""', expected: { a: 'one two' } },
+  { name: 'quotes before the closing delimiter', text: 'a = """x""""', expected: { a: 'x"' } },
+  { name: 'multi-line literal', text: 'a = \'\'\'\nraw \\n\n\'\'\'', expected: { a: 'raw \\n\n' } },
+
+  // Numbers, booleans and dates
+  { name: 'integers', text: 'a = 42\nb = -17\nc = +3\nd = 1_000', expected: { a: 42, b: -17, c: 3, d: 1000 } },
+  { name: 'hex, octal and binary', text: 'a = 0xDEAD_beef\nb = 0o755\nc = 0b1010', expected: { a: 0xdeadbeef, b: 493, c: 10 } },
+  { name: 'floats', text: 'a = 3.14\nb = -0.5\nc = 5e+2\nd = 6.2E-3\ne = inf\nf = -inf', expected: { a: 3.14, b: -0.5, c: 500, d: 0.0062, e: Infinity, f: -Infinity } },
+  { name: 'nan', text: 'a = nan', expected: { a: NaN } },
+  { name: 'booleans', text: 'a = true\nb = false', expected: { a: true, b: false } },
+  { name: 'dates stay strings', text: 'a = 1979-05-27\nb = 1979-05-27T07:32:00Z\nc = 1979-05-27 07:32:00\nd = 07:32:00', expected: { a: '1979-05-27', b: '1979-05-27T07:32:00Z', c: '1979-05-27 07:32:00', d: '07:32:00' } },
+
+  // Arrays and inline tables
+  { name: 'arrays', text: 'a = [1, 2, 3]\nb = ["x", \'y\']\nc = []\nd = [[1], [2, [3]]]', expected: { a: [1, 2, 3], b: ['x', 'y'], c: [], d: [[1], [2, [3]]] } },
+  { name: 'multi-line array with comments and trailing comma', text: 'a = [\n  1, # one\n  2,\n]', expected: { a: [1, 2] } },
+  { name: 'inline tables', text: 'a = { x = 1, y.z = "s" }\nb = {}', expected: { a: { x: 1, y: { z: 's' } }, b: {} } },
+  { name: 'array of inline tables', text: 'a = [{ n = 1 }, { n = 2 }]', expected: { a: [{ n: 1 }, { n: 2 }] } },
+
+  // Documents
+  { name: 'CRLF line endings', text: 'a = 1\r\n[t]\r\nb = "x"\r\n', expected: { a: 1, t: { b: 'x' } } },
+  { name: 'empty document', text: '# only a comment\n', expected: {} },
+], function(c) {
+  assert.deepStrictEqual(parseToml(c.text), c.expected);
+});
+
+runTable('toml errors', [
+  { name: 'duplicate key', text: 'a = 1\na = 2', line: 2 },
+  { name: 'duplicate table', text: '[t]\n[t]', line: 2 },
+  { name: 'dotted key over a value', text: 'a = 1\na.b = 2', line: 2 },
+  { name: 'extending an inline table', text: 'a = { x = 1 }\n[a.b]', line: 2 },
+  { name: 'array of tables over a static array', text: 'a = [1]\n[[a]]', line: 2 },
+  { name: 'missing value', text: 'a = 1\nb =', line: 2 },
+  { name: 'two pairs on one line', text: 'a = 1 b = 2', line: 1 },
+  { name: 'unterminated string', text: 'a = 1\nb = "open\nc = 2', line: 2 },
+  { name: 'unterminated multi-line string', text: 'a = """\nopen', line: 1 },
+  { name: 'unterminated array', text: 'a = [1, 2', line: 1 },
+  { name: 'invalid escape', text: 'a = "\\q"', line: 1 },
+  { name: 'bad underscore', text: 'a = 1__0', line: 1 },
+  { name: 'bare word value', text: 'a = 1\nb = yes', line: 2 },
+  { name: 'unclosed table header', text: '[t\na = 1', line: 1 },
+], function(c) {
+  assert.throws(function() { parseToml(c.text); }, function(err) {
+    assert.strictEqual(err.name, 'TomlError');
+    assert.strictEqual(err.line, c.line, err.message);
+    return true;
+  });
+});
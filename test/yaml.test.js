@@ -0,0 +1,61 @@
+/**
+ * lib/yaml.js: documents and the values they parse to, and malformed
+ * documents with the line their error is reported on.
+ */
+
+const { parseYaml, parseYamlAll } = require('../lib/yaml');
+const { assert, runTable } = require('./helpers/run-table');
+
+runTable('yaml values', [
+  // Scalars
+  { name: 'plain scalars', text: 'a: text\nb: 12\nc: -3.5\nd: true\ne: ~\nf: null', expected: { a: 'text', b: 12, c: -3.5, d: true, e: null, f: null } },
+  { name: 'hex and octal', text: 'a: 0x1F\nb: 0o17', expected: { a: 31, b: 15 } },
+  { name: 'dates stay strings', text: 'created: 2026-01-02', expected: { created: '2026-01-02' } },
+  { name: 'quoted scalars keep their type', text: 'a: "12"\nb: \'true\'\nc: "x"\nd: x', expected: { a: '12', b: 'true', c: 'x', d: 'x' } },
+  { name: 'double-quoted escapes', text: 'a: "tab\\there\\n"\nb: "\\u00e9"', expected: { a: 'tab\there\n', b: '\u00e9' } },
+  { name: 'single-quoted quote', text: "a: 'it''s'", expected: { a: "it's" } },
+  { name: 'colon inside a value', text: 'url: http://example.com:8080/x', expected: { url: 'http://example.com:8080/x' } },
+  { name: 'trailing comment', text: 'a: 1 # one\nb: x#not-a-comment', expected: { a: 1, b: 'x#not-a-comment' } },
+  { name: 'multi-line plain scalar folds', text: 'a: one\n  two\n  three', expected: { a: 'one two three' } },
+
+  // Block scalars
+  { name: 'literal block', text: 'a: |\n  line 1\n  line 2\nb: 1', expected: { a: 'line 1\nline 2\n', b: 1 } },
+  { name: 'folded block', text: 'a: >\n  one\n  two\n\n  three\n', expected: { a: 'one two\nthree\n' } },
+  { name: 'strip chomping', text: 'a: |-\n  x\n\n', expected: { a: 'x' } },
+  { name: 'keep chomping', text: 'a: |+\n  x\n\n', expected: { a: 'x\n\n' } },
+
+  // Collections
+  { name: 'nested mapping', text: 'a:\n  b:\n    c: 1\n  d: 2', expected: { a: { b: { c: 1 }, d: 2 } } },
+  { name: 'sequence', text: 'tags:\n  - one\n  - two', expected: { tags: ['one', 'two'] } },
+  { name: 'sequence at the key\'s indent', text: 'tags:\n- one\n- two\nnext: 1', expected: { tags: ['one', 'two'], next: 1 } },
+  { name: 'sequence of mappings', text: 'items:\n  - name: a\n    n: 1\n  - name: b', expected: { items: [{ name: 'a', n: 1 }, { name: 'b' }] } },
+  { name: 'flow collections', text: 'a: [1, "two", {b: 3}]\nc: {}', expected: { a: [1, 'two', { b: 3 }], c: {} } },
+  { name: 'flow sequence over lines', text: 'a: [\n  1,\n  2,\n]', expected: { a: [1, 2] } },
+  { name: 'anchors, aliases and merge keys', text: 'base: &b\n  x: 1\n  y: 2\nother:\n  <<: *b\n  y: 3', expected: { base: { x: 1, y: 2 }, other: { x: 1, y: 3 } } },
+  { name: 'CRLF line endings', text: 'a: 1\r\nb:\r\n  - x\r\n', expected: { a: 1, b: ['x'] } },
+  { name: 'empty document', text: '# only a comment\n', expected: null },
+  { name: 'top-level sequence', text: '- a\n- b', expected: ['a', 'b'] },
+], function(c) {
+  assert.deepStrictEqual(parseYaml(c.text), c.expected);
+});
+
+runTable('yaml streams', [
+  { name: 'two documents', text: 'a: 1\n---\nb: 2\n', expected: [{ a: 1 }, { b: 2 }] },
+], function(c) {
+  assert.deepStrictEqual(parseYamlAll(c.text), c.expected);
+});
+
+runTable('yaml errors', [
+  { name: 'unclosed flow sequence', text: 'a: [1, 2\nb: 3', line: 1 },
+  { name: 'unclosed double quote', text: 'a: 1\nb: "open', line: 2 },
+  { name: 'bad indentation', text: 'a:\n  b: 1\n c: 2', line: 3 },
+  { name: 'duplicate key', text: 'a: 1\na: 2', line: 2 },
+  { name: 'unknown alias', text: 'a: *missing', line: 1 },
+  { name: 'tab indentation', text: 'a:\n\tb: 1', line: 2 },
+], function(c) {
+  assert.throws(function() { parseYaml(c.text); }, function(err) {
+    assert.strictEqual(err.name, 'YamlError');
+    assert.strictEqual(err.line, c.line, err.message);
+    return true;
+  });
+});